@@ -0,0 +1,8 @@
+#!/usr/bin/env node
+/**
+ * Командная строка планировщика, см. src/cli.js и README
+ */
+
+import { runCli } from '../src/cli.js';
+
+process.exitCode = await runCli(process.argv.slice(2));
@@ -0,0 +1,166 @@
+/**
+ * Анализ плана: критический путь, резервы времени, прогноз окончания и трудозатраты
+ */
+
+import { alignToWorkingTime, calculateEndTime, getWorkingMinutesBetween } from './calendar.js';
+import { linkWorkItems, orderTaskGroups } from './graph.js';
+import { getPlanItems } from './editing.js';
+import { getAssignmentMinutes } from './splitting.js';
+
+/**
+ * Связывает работы проекта: операция зависит от предыдущей операции своей задачи и захватки
+ * (по типу связи), первая операция задачи - от последних операций задач-предшественников
+ * (см. linkWorkItems; через задачи без назначенных работ зависимость передается дальше).
+ * Возвращает Map ключ работы -> связи [{ work, type, lag }], work - работа-предшественник.
+ */
+export function buildItemDependencies(project, planItems) {
+    const links = linkWorkItems(orderTaskGroups(project.taskGroups), planItems, project.operationLink);
+    return new Map(planItems.map(planItem => [planItem.key, links.get(planItem)]));
+}
+
+/**
+ * Анализирует один проект методом критического пути по спланированным работам.
+ *
+ * Время считается в рабочих минутах календаря от начала проекта. Прямой проход дает
+ * самое раннее начало по предшествованию (без учета занятости исполнителей), обратный проход
+ * от прогнозного окончания проекта - самое позднее начало. Резерв - на сколько рабочих минут
+ * работа может сдвинуться от запланированного начала, не сдвигая окончание проекта.
+ */
+function analyzeProject(project, assignments, calendar) {
+    const planItems = getPlanItems(project, assignments);
+    if (planItems.length === 0) return null;
+
+    const dependencies = buildItemDependencies(project, planItems);
+    const origin = alignToWorkingTime(
+        new Date(Math.min(project.startDate.getTime(), ...planItems.map(p => p.assignments[0].startTime.getTime()))),
+        calendar
+    );
+    const toOffset = time => getWorkingMinutesBetween(origin, time, calendar);
+    const toTime = offset => alignToWorkingTime(calculateEndTime(origin, offset, calendar), calendar);
+
+    const nodes = planItems.map(planItem => {
+        const first = planItem.assignments[0];
+        const start = toOffset(first.startTime);
+        return {
+            planItem,
+            start,
+            duration: toOffset(first.endTime) - start,
+            earliestStart: 0,
+            latestStart: 0
+        };
+    });
+    const nodeByKey = new Map(nodes.map(node => [node.planItem.key, node]));
+
+    // Прямой проход (работы уже упорядочены по графу): связь ОН - от окончания предшественника,
+    // НН - от его начала, с задержкой связи
+    for (const node of nodes) {
+        for (const link of dependencies.get(node.planItem.key)) {
+            const predecessorNode = nodeByKey.get(link.work.key);
+            const release = predecessorNode.earliestStart + (link.type === 'SS' ? 0 : predecessorNode.duration) + link.lag;
+            node.earliestStart = Math.max(node.earliestStart, release);
+        }
+    }
+
+    // Обратный проход от прогнозного окончания
+    const projectEnd = Math.max(...nodes.map(node => node.start + node.duration));
+    const latestFinish = new Map(nodes.map(node => [node.planItem.key, projectEnd]));
+
+    for (const node of nodes.slice().reverse()) {
+        node.latestStart = latestFinish.get(node.planItem.key) - node.duration;
+        for (const link of dependencies.get(node.planItem.key)) {
+            const predecessorNode = nodeByKey.get(link.work.key);
+            const limit = node.latestStart - link.lag + (link.type === 'SS' ? predecessorNode.duration : 0);
+            if (limit < latestFinish.get(link.work.key)) {
+                latestFinish.set(link.work.key, limit);
+            }
+        }
+    }
+
+    const items = nodes.map(node => {
+        const first = node.planItem.assignments[0];
+        const slack = node.latestStart - node.start;
+        return {
+            key: node.planItem.key,
+            taskId: node.planItem.itemId,
+            taskName: first.taskName,
+            taskGroupId: node.planItem.taskGroup.taskId,
+            taskGroupName: node.planItem.taskGroup.taskName,
+            startTime: first.startTime,
+            endTime: first.endTime,
+            earliestStart: toTime(node.earliestStart),
+            latestStart: toTime(node.latestStart),
+            slack,
+            critical: slack <= 0
+        };
+    });
+
+    const forecastEnd = new Date(Math.max(...planItems.map(p => p.assignments[0].endTime.getTime())));
+
+    return {
+        projectId: project.projectId,
+        projectName: project.projectName,
+        startDate: project.startDate,
+        forecastEnd,
+        items,
+        // Критическая цепочка в порядке выполнения
+        criticalPath: items
+            .filter(item => item.critical)
+            .sort((a, b) => a.startTime - b.startTime)
+            .map(item => item.key)
+    };
+}
+
+/**
+ * Анализирует результат планирования { assignments, projects, calendar }.
+ *
+ * Возвращает { projects, forecastEnd, labourByTask, labourByExecutor }:
+ * по каждому проекту - работы с ранним и поздним началом и резервом (рабочие минуты),
+ * критическая цепочка и прогноз окончания; трудозатраты (минуты работы исполнителей)
+ * по задачам проекта и по исполнителям.
+ */
+export function analyzeSchedule(result) {
+    const { assignments, projects, calendar } = result;
+
+    const analyzedProjects = projects
+        .map(project => analyzeProject(project, assignments, calendar))
+        .filter(Boolean);
+
+    // Трудозатраты: длительность работы умножается на число исполнителей
+    const labourByTask = new Map();
+    const labourByExecutor = new Map();
+
+    for (const assignment of assignments) {
+        const project = projects.find(p => p.projectId === assignment.projectId);
+        const taskGroup = project && (project.taskGroups || []).find(tg => tg.taskId === assignment.taskGroupId);
+        const taskKey = `${assignment.projectId}:${assignment.taskGroupId}`;
+
+        if (!labourByTask.has(taskKey)) {
+            labourByTask.set(taskKey, {
+                projectId: assignment.projectId,
+                projectName: assignment.projectName,
+                taskId: assignment.taskGroupId,
+                taskName: taskGroup ? taskGroup.taskName : assignment.taskName,
+                minutes: 0
+            });
+        }
+        labourByTask.get(taskKey).minutes += getAssignmentMinutes(assignment);
+
+        if (!labourByExecutor.has(assignment.executorId)) {
+            labourByExecutor.set(assignment.executorId, {
+                executorId: assignment.executorId,
+                executorName: assignment.executorName,
+                minutes: 0
+            });
+        }
+        labourByExecutor.get(assignment.executorId).minutes += getAssignmentMinutes(assignment);
+    }
+
+    const ends = analyzedProjects.map(project => project.forecastEnd.getTime());
+
+    return {
+        projects: analyzedProjects,
+        forecastEnd: ends.length > 0 ? new Date(Math.max(...ends)) : null,
+        labourByTask: Array.from(labourByTask.values()),
+        labourByExecutor: Array.from(labourByExecutor.values()).sort((a, b) => b.minutes - a.minutes)
+    };
+}
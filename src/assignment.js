@@ -0,0 +1,99 @@
+/**
+ * Стратегии назначения исполнителей
+ */
+
+import { log } from './logger.js';
+
+/**
+ * Стратегии назначения исполнителей. Каждая стратегия задает порядок предпочтения
+ * свободных исполнителей (compare) и объяснение выбора (reason).
+ * Контекст: getLoad(executor) - назначено минут в плане, isInTaskCrew(executor) -
+ * исполнитель уже работает на операциях этой задачи, taskName - название задачи.
+ */
+export const ASSIGNMENT_STRATEGIES = {
+    // Первые свободные исполнители в порядке списка (прежнее поведение)
+    first_fit: {
+        compare: () => 0,
+        reason: () => 'Первый свободный исполнитель по списку'
+    },
+
+    // Равномерная загрузка: исполнители с наименьшим числом назначенных минут
+    balance_load: {
+        compare: (a, b, context) => context.getLoad(a) - context.getLoad(b),
+        reason: (executor, context) => `Наименьшая загрузка в плане: ${context.getLoad(executor)} мин`
+    },
+
+    // Та же бригада на всех операциях задачи, остальные - по загрузке
+    same_crew: {
+        compare: (a, b, context) =>
+            (context.isInTaskCrew(b) ? 1 : 0) - (context.isInTaskCrew(a) ? 1 : 0) ||
+            context.getLoad(a) - context.getLoad(b),
+        reason: (executor, context) => context.isInTaskCrew(executor)
+            ? `Уже работает на задаче "${context.taskName}"`
+            : `Новый участник бригады, наименьшая загрузка: ${context.getLoad(executor)} мин`
+    },
+
+    // Наименьшая достаточная квалификация, при равенстве - по загрузке
+    lowest_qualification: {
+        compare: (a, b, context) =>
+            getQualificationLevel(a) - getQualificationLevel(b) ||
+            context.getLoad(a) - context.getLoad(b),
+        reason: executor => `Наименьшая достаточная квалификация: ${getQualificationLevel(executor)}`
+    }
+};
+
+/**
+ * Возвращает уровень квалификации исполнителя (0, если не указан)
+ */
+function getQualificationLevel(executor) {
+    return parseInt(executor['Квалификация -> Уровень']) || 0;
+}
+
+/**
+ * Выбирает бригаду из свободных исполнителей по стратегии назначения.
+ * Возвращает [{ executor, reason }, ...] длиной count.
+ */
+export function selectCrew(freeExecutors, count, strategy, context) {
+    return freeExecutors
+        .slice()
+        .sort((a, b) => strategy.compare(a, b, context))
+        .slice(0, count)
+        .map(executor => ({ executor, reason: strategy.reason(executor, context) }));
+}
+
+/**
+ * Возвращает стратегию назначения по коду настройки assignment_strategy
+ */
+export function getAssignmentStrategy(strategyName) {
+    const name = strategyName || 'balance_load';
+    if (!ASSIGNMENT_STRATEGIES[name]) {
+        log(`Warning: Unknown assignment strategy "${name}", using balance_load`);
+        return ASSIGNMENT_STRATEGIES.balance_load;
+    }
+    return ASSIGNMENT_STRATEGIES[name];
+}
+
+/**
+ * Возвращает исполнителей, закрепленных за задачей/операцией в поле "Исполнитель Задачи"
+ * (имена или ID пользователей через запятую)
+ */
+export function findPinnedExecutors(item, executors) {
+    const pinned = [];
+    if (!item['Исполнитель Задачи']) return pinned;
+
+    for (const value of String(item['Исполнитель Задачи']).split(',')) {
+        const performer = value.trim();
+        if (!performer) continue;
+
+        const executor = executors.find(ex =>
+            ex['ПользовательID'] === performer || ex['Пользователь'] === performer
+        );
+        if (executor) {
+            if (!pinned.includes(executor)) pinned.push(executor);
+        } else {
+            log(`Warning: Pinned executor "${performer}" not found among executors`);
+        }
+    }
+
+    return pinned;
+}
@@ -0,0 +1,499 @@
+/**
+ * Занятость исполнителей и поиск свободного окна
+ */
+
+import { log } from './logger.js';
+import { getAssignmentSegments } from './splitting.js';
+import { atMinutes, formatDateShort, parseDateShort, parseTimeOfDay } from './dates.js';
+import {
+    alignToWorkingTime, calculateEndTime, calculateWorkSegments, getExecutorCalendar, getNextWorkingPeriodStart,
+    getWorkingDayEnd, getWorkingMinutesBetween, getWorkingPeriods, intersectCalendars, splitByWorkingDays
+} from './calendar.js';
+
+/**
+ * Парсит занятое время исполнителя в интервалы с точностью до минуты.
+ * Поддерживаемые форматы (через запятую):
+ * - "20251121:9-12" - часы
+ * - "20251121:9:30-12:15" - часы и минуты
+ * - "20251121:14:00-20251122:12:00" - интервал на несколько дней
+ * - "20251121" - весь день
+ * Интервал, записанный планировщиком, помечен ID проекта после "#": "20251121:9-12#2614",
+ * метка возвращается в поле tag интервала (null для интервалов без метки).
+ * Нераспознанные значения пропускаются и добавляются в массив unrecognized, если он передан.
+ */
+export function parseOccupiedTime(occupiedStr, unrecognized = null) {
+    if (!occupiedStr) return [];
+
+    const occupied = [];
+    const parts = occupiedStr.split(',');
+
+    for (const part of parts) {
+        const [value, tagValue] = part.trim().split('#').map(v => v.trim());
+        const tag = tagValue || null;
+
+        const dayMatch = value.match(/^(\d{8})$/);
+        if (dayMatch) {
+            const start = parseDateShort(dayMatch[1]);
+            const end = new Date(start);
+            end.setDate(end.getDate() + 1);
+            occupied.push({ start, end, tag });
+            continue;
+        }
+
+        const match = value.match(/^(\d{8}):(\d{1,2}(?::\d{2})?)-(?:(\d{8}):)?(\d{1,2}(?::\d{2})?)$/);
+        if (match) {
+            const [, startDateStr, startTimeStr, endDateStr, endTimeStr] = match;
+            const start = atMinutes(parseDateShort(startDateStr), parseTimeOfDay(startTimeStr));
+            const end = atMinutes(parseDateShort(endDateStr || startDateStr), parseTimeOfDay(endTimeStr));
+            if (end > start) {
+                occupied.push({ start, end, tag });
+            }
+        } else if (value) {
+            log(`Warning: Unrecognized occupied time "${value}"`);
+            if (unrecognized) unrecognized.push(value);
+        }
+    }
+
+    return occupied;
+}
+
+/**
+ * Форматирует время суток для занятого времени: "9" или "9:30"
+ */
+function formatOccupiedTimeOfDay(date) {
+    const minutes = date.getMinutes();
+    return minutes === 0 ? String(date.getHours()) : `${date.getHours()}:${String(minutes).padStart(2, '0')}`;
+}
+
+/**
+ * Форматирует интервал занятого времени: "20251121:9-12" в пределах дня,
+ * "20251121:14-20251122:12" для нескольких дней; tag добавляется после "#"
+ */
+export function formatOccupiedInterval(start, end, tag = null) {
+    const startDate = formatDateShort(start);
+    const endDate = formatDateShort(end);
+    const endPart = startDate === endDate
+        ? formatOccupiedTimeOfDay(end)
+        : `${endDate}:${formatOccupiedTimeOfDay(end)}`;
+
+    return `${startDate}:${formatOccupiedTimeOfDay(start)}-${endPart}${tag ? `#${tag}` : ''}`;
+}
+
+/**
+ * Удаляет из занятого времени интервалы с метками из списка tags (ID проектов),
+ * остальные значения сохраняются без изменений
+ */
+export function releaseOccupiedTime(occupiedStr, tags) {
+    if (!occupiedStr) return '';
+
+    return occupiedStr
+        .split(',')
+        .map(part => part.trim())
+        .filter(part => {
+            const tag = part.split('#')[1];
+            return part && !(tag && tags.includes(tag.trim()));
+        })
+        .join(',');
+}
+
+/**
+ * Формирует занятое время исполнителя по назначениям плана: каждый отрезок назначения
+ * (назначение без отрезков разбивается по рабочим дням исполнителя) - отдельный интервал,
+ * смежные отрезки одного проекта объединяются. Каждый интервал помечается ID проекта.
+ */
+export function formatAssignmentsOccupiedTime(assignments, calendar) {
+    const segments = assignments
+        .flatMap(assignment => (assignment.segments || splitByWorkingDays(assignment.startTime, assignment.endTime, calendar))
+            .map(segment => ({ tag: assignment.projectId, startTime: segment.startTime, endTime: segment.endTime })))
+        .sort((a, b) => a.startTime - b.startTime);
+
+    const merged = [];
+    for (const segment of segments) {
+        const last = merged[merged.length - 1];
+        if (last && last.tag === segment.tag && segment.startTime <= last.endTime &&
+            formatDateShort(segment.startTime) === formatDateShort(last.startTime)) {
+            if (segment.endTime > last.endTime) last.endTime = segment.endTime;
+        } else {
+            merged.push(Object.assign({}, segment));
+        }
+    }
+
+    return merged.map(segment => formatOccupiedInterval(segment.startTime, segment.endTime, segment.tag));
+}
+
+/**
+ * Формирует изменения поля "Занятое время" исполнителей по результату планирования:
+ * интервалы спланированных проектов заменяются интервалами их назначений
+ * (с учетом ручных правок), остальное занятое время сохраняется.
+ * Исходное значение берется из result.sourceExecutors - строк справочника до планирования.
+ * Возвращает список изменений в формате набора изменений (itemId - ID исполнителя).
+ */
+export function buildOccupiedTimeChanges(result, fieldCode) {
+    const projectIds = result.projects.map(project => project.projectId);
+    const changes = [];
+
+    for (const executor of result.sourceExecutors || result.executors) {
+        const executorId = executor['ПользовательID'];
+        const oldValue = executor['Занятое время'] || '';
+        const kept = releaseOccupiedTime(oldValue, projectIds);
+        const planned = formatAssignmentsOccupiedTime(
+            result.assignments.filter(a => a.executorId === executorId),
+            getExecutorCalendar(executor, result.calendar)
+        );
+        const newValue = [kept].concat(planned).filter(Boolean).join(',');
+
+        if (newValue !== oldValue) {
+            changes.push({
+                itemId: executorId,
+                itemName: executor['Пользователь'],
+                projectName: '',
+                fields: [{ label: 'Занятое время', code: fieldCode, oldValue, newValue }]
+            });
+        }
+    }
+
+    return changes;
+}
+
+/**
+ * Проверяет пересечение полуоткрытых интервалов [start1, end1) и [start2, end2)
+ */
+export function intervalsOverlap(start1, end1, start2, end2) {
+    return start1 < end2 && start2 < end1;
+}
+
+/**
+ * Возвращает интервалы занятости исполнителя: занятое время из базы данных
+ * и отрезки назначений текущего плана (см. getAssignmentSegments).
+ * travel - { location, getTravelTime(from, to) } для работы на объекте location: назначения
+ * на других объектах расширяются на время переезда (в пределах дня отрезка).
+ */
+export function getExecutorBusyIntervals(executor, currentAssignments, travel = null) {
+    const executorId = executor['ПользовательID'];
+    const intervals = parseOccupiedTime(executor['Занятое время']);
+
+    for (const assignment of currentAssignments) {
+        if (assignment.executorId !== executorId) continue;
+
+        const travelTime = travel ? travel.getTravelTime(assignment.location, travel.location) : 0;
+
+        for (const segment of getAssignmentSegments(assignment)) {
+            let start = segment.startTime;
+            let end = segment.endTime;
+
+            if (travelTime > 0) {
+                const dayStart = new Date(start.getFullYear(), start.getMonth(), start.getDate());
+                const dayEnd = new Date(end.getFullYear(), end.getMonth(), end.getDate() + 1);
+                start = new Date(Math.max(start.getTime() - travelTime * 60000, dayStart.getTime()));
+                end = new Date(Math.min(end.getTime() + travelTime * 60000, dayEnd.getTime()));
+            }
+
+            intervals.push({ start, end });
+        }
+    }
+
+    return intervals;
+}
+
+/**
+ * Проверяет, свободен ли исполнитель на всем интервале [startTime, endTime):
+ * интервал начинается в рабочее время исполнителя и не пересекается
+ * с его занятым временем и текущими назначениями (с учетом переездов, см. getExecutorBusyIntervals)
+ */
+export function isExecutorAvailable(executor, startTime, endTime, currentAssignments, calendar, travel = null) {
+    if (calendar) {
+        const executorCalendar = getExecutorCalendar(executor, calendar);
+        if (alignToWorkingTime(startTime, executorCalendar).getTime() !== startTime.getTime()) {
+            return false;
+        }
+    }
+
+    return !getExecutorBusyIntervals(executor, currentAssignments, travel).some(interval =>
+        intervalsOverlap(startTime, endTime, interval.start, interval.end)
+    );
+}
+
+/**
+ * Подбирает единицы оборудования для отрезков работы segments: по каждому требованию
+ * { units, count } (units - см. getEquipmentUnits) - count единиц, свободных на всех отрезках.
+ * Возвращает [{ equipment, unit }] или null, если оборудования не хватает.
+ */
+export function reserveEquipment(requirements, segments) {
+    const reserved = [];
+
+    for (const requirement of requirements) {
+        const free = requirement.units.filter(unit => !unit.busy.some(interval =>
+            segments.some(segment => intervalsOverlap(segment.startTime, segment.endTime, interval.start, interval.end))
+        ));
+        if (free.length < requirement.count) return null;
+        reserved.push(...free.slice(0, requirement.count).map(unit => ({ equipment: unit.equipment, unit: unit.unit })));
+    }
+
+    return reserved;
+}
+
+/**
+ * Кандидаты для поиска окна: исполнитель, его календарь, интервалы занятости и длительность работы
+ */
+function createSlotCandidates(suitableExecutors, currentAssignments, calendar, options) {
+    return suitableExecutors.map(executor => ({
+        executor,
+        calendar: getExecutorCalendar(executor, calendar),
+        busy: getExecutorBusyIntervals(executor, currentAssignments, options.travel),
+        duration: options.getDuration(executor)
+    }));
+}
+
+/**
+ * Следующий после time момент, когда ситуация может измениться: освобождение исполнителя
+ * или единицы оборудования, начало рабочего периода (null, если таких моментов нет)
+ */
+function getNextEventTime(time, candidates, equipmentUnits = []) {
+    let nextTime = null;
+    for (const resource of candidates.concat(equipmentUnits)) {
+        for (const interval of resource.busy) {
+            if (interval.end > time && (!nextTime || interval.end < nextTime)) {
+                nextTime = interval.end;
+            }
+        }
+    }
+    for (const candidate of candidates) {
+        const periodStart = getNextWorkingPeriodStart(time, candidate.calendar);
+        if (periodStart && (!nextTime || periodStart < nextTime)) {
+            nextTime = periodStart;
+        }
+    }
+    return nextTime;
+}
+
+/**
+ * Выбирает count исполнителей из свободных кандидатов стратегией options.selectCrew.
+ * Возвращает [{ candidate, reason }].
+ */
+function selectCandidates(freeCandidates, count, options) {
+    const selection = options.selectCrew
+        ? options.selectCrew(freeCandidates.map(c => c.executor), count)
+        : freeCandidates.slice(0, count).map(c => ({ executor: c.executor, reason: null }));
+    return selection.map(s => ({ candidate: freeCandidates.find(c => c.executor === s.executor), reason: s.reason }));
+}
+
+/**
+ * Проверяет отрезки непрерывной работы по правилам разбиения split: работу, которую нельзя прерывать,
+ * переходящую на следующий день, можно начать только с начала рабочего дня; первый отрезок
+ * работы, переходящей на следующий день, не короче split.minChunk
+ */
+function fitsSplitRules(segments, calendar, split) {
+    if (!split || segments.length === 1) return true;
+
+    const startTime = segments[0].startTime;
+    if (!split.interruptible) {
+        const periods = getWorkingPeriods(startTime, calendar);
+        return periods.length > 0 && startTime.getHours() * 60 + startTime.getMinutes() === periods[0][0];
+    }
+    return segments[0].minutes >= split.minChunk;
+}
+
+/**
+ * Ищет окно для работы, которую можно прерывать с продолжением позже или другими исполнителями
+ * (см. findFreeSlot). Работа выполняется отрезками: отрезок длится до окончания работы, конца
+ * рабочего дня или занятости участника бригады и не короче split.minChunk (или остатка работы).
+ * Продолжение при split.finishPriority - в ближайшее рабочее время бригады, иначе - когда бригада
+ * освободится; при split.changeExecutors занятых участников заменяют другие подходящие исполнители.
+ */
+function findSegmentedSlot(earliestTime, candidates, requiredExecutors, calendar, horizon, options) {
+    const { minChunk, changeExecutors, finishPriority } = options.split;
+    const equipment = options.equipment || [];
+    const equipmentUnits = equipment.flatMap(requirement => requirement.units);
+
+    const isFreeAt = (candidate, time) =>
+        alignToWorkingTime(time, candidate.calendar).getTime() === time.getTime() &&
+        !candidate.busy.some(interval => interval.start <= time && time < interval.end);
+
+    // Отрезок бригады с момента time или null, если бригада не может работать достаточно долго
+    const getSegment = (crewCandidates, time, remaining) => {
+        const crewCalendar = intersectCalendars(crewCandidates.map(c => c.calendar));
+        if (alignToWorkingTime(time, crewCalendar).getTime() !== time.getTime()) return null;
+
+        let endTime = calculateEndTime(time, remaining, crewCalendar);
+        const dayEnd = getWorkingDayEnd(time, crewCalendar);
+        if (dayEnd && dayEnd < endTime) endTime = dayEnd;
+        for (const candidate of crewCandidates) {
+            for (const interval of candidate.busy) {
+                if (interval.start > time && interval.start < endTime) endTime = interval.start;
+            }
+        }
+
+        const minutes = getWorkingMinutesBetween(time, endTime, crewCalendar);
+        if (minutes < Math.max(1, Math.min(minChunk, remaining))) return null;
+        return { startTime: time, endTime, minutes, crew: crewCandidates.map(c => c.executor) };
+    };
+
+    // Бригада для продолжения работы: прежняя или, если можно, с заменой занятых участников
+    const getContinuationCrew = (time, current) => {
+        const free = candidates.filter(candidate => isFreeAt(candidate, time));
+        const kept = current.filter(candidate => free.includes(candidate));
+        if (kept.length === current.length) return current;
+        if (!changeExecutors) return null;
+
+        const others = free.filter(candidate => !kept.includes(candidate));
+        if (kept.length + others.length < current.length) return null;
+        return kept.concat(selectCandidates(others, current.length - kept.length, options).map(s => s.candidate));
+    };
+
+    const tryStart = startTime => {
+        const free = candidates.filter(candidate => isFreeAt(candidate, startTime));
+        if (free.length < requiredExecutors) return null;
+
+        const selection = selectCandidates(free, requiredExecutors, options);
+        let current = selection.map(s => s.candidate);
+        // Длительность определяется бригадой, начавшей работу
+        const duration = options.getCrewDuration(current.map(c => c.executor));
+        const first = getSegment(current, startTime, duration);
+        if (!first) return null;
+
+        const segments = [first];
+        const crew = current.slice();
+        const reasons = selection.map(s => s.reason);
+        let remaining = duration - first.minutes;
+
+        while (remaining > 0) {
+            const previousEnd = segments[segments.length - 1].endTime;
+            let time = finishPriority
+                ? alignToWorkingTime(previousEnd, intersectCalendars(current.map(c => c.calendar)))
+                : alignToWorkingTime(previousEnd, calendar);
+            let segment = null;
+
+            while (time < horizon) {
+                const next = getContinuationCrew(time, current);
+                segment = next ? getSegment(next, time, remaining) : null;
+                if (segment) {
+                    current = next;
+                    break;
+                }
+                if (finishPriority) return null;
+
+                const nextTime = getNextEventTime(time, candidates, equipmentUnits);
+                if (!nextTime) return null;
+                time = alignToWorkingTime(nextTime, calendar);
+            }
+            if (!segment) return null;
+
+            for (const candidate of current) {
+                if (!crew.includes(candidate)) {
+                    crew.push(candidate);
+                    reasons.push('Продолжение работы');
+                }
+            }
+            segments.push(segment);
+            remaining -= segment.minutes;
+        }
+
+        // Оборудование занимается на все отрезки работы
+        const reserved = reserveEquipment(equipment, segments);
+        if (!reserved) return null;
+
+        return {
+            startTime,
+            endTime: segments[segments.length - 1].endTime,
+            duration,
+            crew: crew.map(c => c.executor),
+            reasons,
+            segments,
+            equipment: reserved
+        };
+    };
+
+    let time = alignToWorkingTime(earliestTime, calendar);
+    while (time < horizon) {
+        const slot = tryStart(time);
+        if (slot) return slot;
+
+        const nextTime = getNextEventTime(time, candidates, equipmentUnits);
+        if (!nextTime) break;
+        time = alignToWorkingTime(nextTime, calendar);
+    }
+
+    return null;
+}
+
+/**
+ * Ищет самое раннее окно не раньше earliestTime, в котором требуемое число
+ * подходящих исполнителей свободно на всю длительность работы.
+ *
+ * options.getDuration(executor) - длительность работы для исполнителя (мин),
+ * options.getCrewDuration(crew) - длительность работы бригады (мин),
+ * options.selectCrew(freeExecutors, count) - выбор бригады из свободных исполнителей (см. selectCrew),
+ * options.travel - объект работы и модель переездов (см. getExecutorBusyIntervals),
+ * options.split - правила разбиения работы { interruptible, minChunk, changeExecutors, finishPriority }
+ * (см. createSplitRules и isInterruptible); без правил работа выполняется одной бригадой без перерывов,
+ * options.equipment - требуемое оборудование [{ units, count }] (см. reserveEquipment): окно подходит,
+ * только если оборудование свободно на все отрезки работы.
+ * Прерываемая работа, которую можно продолжить позже или другими исполнителями, ищется по отрезкам
+ * (см. findSegmentedSlot), остальные - одной бригадой с переходом на следующие рабочие дни.
+ * Возвращает { startTime, endTime, duration, crew, reasons, segments, equipment } или null, если окно не найдено за год.
+ * segments - отрезки работы по дням и бригадам [{ startTime, endTime, minutes, crew }],
+ * crew - все исполнители работы, включая продолживших ее, equipment - занятые единицы оборудования.
+ */
+export function findFreeSlot(earliestTime, suitableExecutors, requiredExecutors, currentAssignments, calendar, options) {
+    const horizon = new Date(earliestTime);
+    horizon.setFullYear(horizon.getFullYear() + 1);
+
+    const split = options.split || null;
+    const equipment = options.equipment || [];
+    const equipmentUnits = equipment.flatMap(requirement => requirement.units);
+    const candidates = createSlotCandidates(suitableExecutors, currentAssignments, calendar, options);
+
+    if (split && split.interruptible && (split.changeExecutors || !split.finishPriority)) {
+        return findSegmentedSlot(earliestTime, candidates, requiredExecutors, calendar, horizon, options);
+    }
+
+    const isFree = (candidate, startTime, endTime) => !candidate.busy.some(interval =>
+        intervalsOverlap(startTime, endTime, interval.start, interval.end)
+    );
+
+    let time = alignToWorkingTime(earliestTime, calendar);
+
+    while (time < horizon) {
+        // Исполнители, которые работают в этот момент и свободны на всю свою длительность
+        const freeCandidates = candidates.filter(candidate => {
+            if (alignToWorkingTime(time, candidate.calendar).getTime() !== time.getTime()) return false;
+            return isFree(candidate, time, calculateEndTime(time, candidate.duration, candidate.calendar));
+        });
+
+        if (freeCandidates.length >= requiredExecutors) {
+            // Состав бригады выбирает стратегия назначения
+            const selection = selectCandidates(freeCandidates, requiredExecutors, options);
+            const crew = selection.map(s => s.candidate.executor);
+            const crewCandidates = selection.map(s => s.candidate);
+            const crewCalendar = intersectCalendars(crewCandidates.map(c => c.calendar));
+
+            if (alignToWorkingTime(time, crewCalendar).getTime() === time.getTime()) {
+                const duration = options.getCrewDuration(crew);
+                const endTime = calculateEndTime(time, duration, crewCalendar);
+                const segments = calculateWorkSegments(time, duration, crewCalendar);
+
+                const reserved = crewCandidates.every(c => isFree(c, time, endTime)) && fitsSplitRules(segments, crewCalendar, split)
+                    ? reserveEquipment(equipment, segments)
+                    : null;
+
+                if (reserved) {
+                    return {
+                        startTime: time,
+                        endTime,
+                        duration,
+                        crew,
+                        reasons: selection.map(s => s.reason),
+                        segments: segments.map(segment => Object.assign(segment, { crew })),
+                        equipment: reserved
+                    };
+                }
+            }
+        }
+
+        const nextTime = getNextEventTime(time, candidates, equipmentUnits);
+        if (!nextTime) break;
+        time = alignToWorkingTime(nextTime, calendar);
+    }
+
+    return null;
+}
@@ -0,0 +1,358 @@
+/**
+ * Рабочий календарь: рабочие дни, праздники, рабочие часы, обед и смены исполнителей
+ */
+
+import { log } from './logger.js';
+import { atMinutes, formatDateShort, parseDate, parseTimeOfDay } from './dates.js';
+
+/**
+ * Парсит список дней недели "1-5" или "1,2,3,4,5" (1 - понедельник, 7 - воскресенье)
+ */
+function parseWeekdays(weekdaysStr) {
+    const weekdays = new Set();
+    if (!weekdaysStr) return weekdays;
+
+    for (const part of String(weekdaysStr).split(',')) {
+        const match = part.trim().match(/^(\d)(?:-(\d))?$/);
+        if (!match) continue;
+        const from = parseInt(match[1]);
+        const to = match[2] ? parseInt(match[2]) : from;
+        for (let day = from; day <= to; day++) {
+            weekdays.add(day);
+        }
+    }
+
+    return weekdays;
+}
+
+/**
+ * Парсит список дат "DD.MM.YYYY" или "YYYYMMDD" через запятую в множество ключей "YYYYMMDD"
+ */
+function parseDateList(datesStr) {
+    const dates = new Set();
+    if (!datesStr) return dates;
+
+    for (const part of String(datesStr).split(',')) {
+        const value = part.trim();
+        if (/^\d{8}$/.test(value)) {
+            dates.add(value);
+            continue;
+        }
+        const date = parseDate(value);
+        if (date) dates.add(formatDateShort(date));
+    }
+
+    return dates;
+}
+
+/**
+ * Создает рабочий календарь из настроек проекта:
+ * day_start, day_end, lunch_start, lunch_duration (мин), work_days (дни недели),
+ * holidays (нерабочие даты), work_weekends (рабочие выходные, например перенесенные субботы)
+ */
+export function createCalendar(settings) {
+    const dayStart = parseTimeOfDay(settings.day_start || 9);
+    const dayEnd = parseTimeOfDay(settings.day_end || 18);
+    const lunchStart = parseTimeOfDay(settings.lunch_start || 13);
+    const lunchDuration = settings.lunch_duration !== undefined ? settings.lunch_duration : 60;
+    const workDays = parseWeekdays(settings.work_days || '1-5');
+
+    return {
+        dayStart,
+        dayEnd,
+        lunchStart,
+        lunchEnd: lunchStart + lunchDuration,
+        workDays,
+        holidays: parseDateList(settings.holidays),
+        workWeekends: parseDateList(settings.work_weekends)
+    };
+}
+
+/**
+ * Разбирает смену исполнителя из поля "Смена".
+ * Формат: "ЧЧ[:ММ]-ЧЧ[:ММ]" или "ДНИ|ЧЧ[:ММ]-ЧЧ[:ММ]", например "8-17" или "1-4|7:30-19".
+ * Возвращает { dayStart, dayEnd, workDays } (workDays - null, если дни не указаны) или null.
+ */
+export function parseShift(shiftStr) {
+    const match = String(shiftStr).trim().match(/^(?:([\d,\s-]+)\|)?\s*(\d{1,2}(?::\d{2})?)-(\d{1,2}(?::\d{2})?)$/);
+    if (!match) return null;
+
+    const [, weekdaysStr, startStr, endStr] = match;
+    return {
+        dayStart: parseTimeOfDay(startStr),
+        dayEnd: parseTimeOfDay(endStr),
+        workDays: weekdaysStr ? parseWeekdays(weekdaysStr) : null
+    };
+}
+
+/**
+ * Возвращает календарь исполнителя с учетом его смены из поля "Смена" (см. parseShift).
+ * Праздники, перенесенные рабочие дни и обед берутся из общего календаря.
+ * Нераспознанная смена, смена с окончанием не позже начала (ночные смены не поддерживаются)
+ * и смена без рабочего времени (например, только на время обеда) заменяются общим календарем.
+ */
+export function getExecutorCalendar(executor, calendar) {
+    const shiftStr = executor['Смена'];
+    if (!shiftStr) return calendar;
+
+    const shift = parseShift(shiftStr);
+    if (!shift) {
+        log(`Warning: Unrecognized shift "${shiftStr}" for executor ${executor['Пользователь']}`);
+        return calendar;
+    }
+    if (shift.dayEnd <= shift.dayStart) {
+        log(`Warning: Shift "${shiftStr}" for executor ${executor['Пользователь']} ends before it starts, using the common calendar`);
+        return calendar;
+    }
+
+    const executorCalendar = Object.assign({}, calendar, {
+        dayStart: shift.dayStart,
+        dayEnd: shift.dayEnd,
+        workDays: shift.workDays || calendar.workDays
+    });
+    if (!hasWorkingTime(executorCalendar)) {
+        log(`Warning: Shift "${shiftStr}" for executor ${executor['Пользователь']} has no working time, using the common calendar`);
+        return calendar;
+    }
+    return executorCalendar;
+}
+
+/**
+ * Проверяет, есть ли в календаре рабочее время: рабочие дни недели (или рабочие выходные)
+ * и рабочие периоды дня за вычетом обеда
+ */
+export function hasWorkingTime(calendar) {
+    const hasDays = [...calendar.workDays].some(day => day >= 1 && day <= 7) || calendar.workWeekends.size > 0;
+    return hasDays && getDayPeriods(calendar).length > 0;
+}
+
+/**
+ * Пересечение календарей: бригада работает только тогда, когда работают все ее участники
+ */
+export function intersectCalendars(calendars) {
+    if (calendars.length === 0) return null;
+    if (calendars.length === 1) return calendars[0];
+
+    const workDays = new Set([...calendars[0].workDays].filter(day =>
+        calendars.every(c => c.workDays.has(day))
+    ));
+
+    return Object.assign({}, calendars[0], {
+        dayStart: Math.max(...calendars.map(c => c.dayStart)),
+        dayEnd: Math.min(...calendars.map(c => c.dayEnd)),
+        workDays
+    });
+}
+
+/**
+ * Проверяет, является ли дата рабочим днем по календарю
+ */
+export function isWorkingDay(date, calendar) {
+    const dateStr = formatDateShort(date);
+    if (calendar.holidays.has(dateStr)) return false;
+    if (calendar.workWeekends.has(dateStr)) return true;
+
+    const weekday = date.getDay() || 7;
+    return calendar.workDays.has(weekday);
+}
+
+/**
+ * Возвращает рабочие периоды дня в минутах от начала суток: [[начало, конец], ...]
+ */
+export function getWorkingPeriods(date, calendar) {
+    if (!isWorkingDay(date, calendar)) return [];
+    return getDayPeriods(calendar);
+}
+
+/**
+ * Рабочие периоды рабочего дня календаря без учета даты (см. getWorkingPeriods)
+ */
+function getDayPeriods(calendar) {
+    const { dayStart, dayEnd, lunchStart, lunchEnd } = calendar;
+    if (dayEnd <= dayStart) return [];
+
+    // Обед вне смены не разбивает рабочий день
+    if (lunchEnd <= dayStart || lunchStart >= dayEnd || lunchEnd <= lunchStart) {
+        return [[dayStart, dayEnd]];
+    }
+
+    const periods = [];
+    if (lunchStart > dayStart) periods.push([dayStart, lunchStart]);
+    if (lunchEnd < dayEnd) periods.push([lunchEnd, dayEnd]);
+    return periods;
+}
+
+/**
+ * Сдвигает время на ближайший рабочий момент (начало следующего рабочего периода,
+ * если время попадает на обед, нерабочие часы или нерабочий день)
+ */
+export function alignToWorkingTime(time, calendar) {
+    let day = new Date(time);
+    day.setHours(0, 0, 0, 0);
+    let minutes = time.getHours() * 60 + time.getMinutes();
+
+    // Ограничиваем поиск годом, чтобы не зациклиться на пустом календаре
+    for (let i = 0; i < 366; i++) {
+        for (const [periodStart, periodEnd] of getWorkingPeriods(day, calendar)) {
+            if (minutes < periodEnd) {
+                return atMinutes(day, Math.max(minutes, periodStart));
+            }
+        }
+        day.setDate(day.getDate() + 1);
+        minutes = 0;
+    }
+
+    throw new Error('Working calendar has no working time within a year');
+}
+
+/**
+ * Возвращает начало следующего рабочего дня после указанной даты
+ */
+export function startOfNextWorkingDay(time, calendar) {
+    const nextDay = new Date(time);
+    nextDay.setDate(nextDay.getDate() + 1);
+    nextDay.setHours(0, 0, 0, 0);
+    return alignToWorkingTime(nextDay, calendar);
+}
+
+/**
+ * Возвращает начало ближайшего рабочего периода строго после указанного времени
+ */
+export function getNextWorkingPeriodStart(time, calendar) {
+    const minutes = time.getHours() * 60 + time.getMinutes();
+    for (const [periodStart] of getWorkingPeriods(time, calendar)) {
+        if (periodStart > minutes) return atMinutes(time, periodStart);
+    }
+    return startOfNextWorkingDay(time, calendar);
+}
+
+/**
+ * Рассчитывает время окончания задачи с учетом рабочего календаря
+ * (рабочие дни, праздники, рабочие часы и обед)
+ */
+export function calculateEndTime(startTime, durationMinutes, calendar) {
+    let currentTime = alignToWorkingTime(startTime, calendar);
+    let remainingMinutes = durationMinutes;
+
+    while (remainingMinutes > 0) {
+        const minutes = currentTime.getHours() * 60 + currentTime.getMinutes();
+        const period = getWorkingPeriods(currentTime, calendar)
+            .find(([periodStart, periodEnd]) => minutes >= periodStart && minutes < periodEnd);
+
+        // Рассчитываем, сколько минут осталось до конца текущего периода
+        const minutesUntilBreak = period[1] - minutes;
+
+        if (remainingMinutes <= minutesUntilBreak) {
+            // Задача завершится в текущем периоде
+            currentTime = atMinutes(currentTime, minutes + remainingMinutes);
+            remainingMinutes = 0;
+        } else {
+            // Задача продолжится в следующем рабочем периоде
+            remainingMinutes -= minutesUntilBreak;
+            currentTime = alignToWorkingTime(atMinutes(currentTime, period[1]), calendar);
+        }
+    }
+
+    return currentTime;
+}
+
+/**
+ * Рассчитывает время начала работы по времени окончания и длительности
+ * (обратный расчет по рабочему календарю)
+ */
+export function calculateStartTime(endTime, durationMinutes, calendar) {
+    const day = new Date(endTime);
+    day.setHours(0, 0, 0, 0);
+    let minutes = endTime.getHours() * 60 + endTime.getMinutes();
+    let remainingMinutes = durationMinutes;
+
+    // Ограничиваем поиск годом, чтобы не зациклиться на пустом календаре
+    for (let i = 0; i < 366; i++) {
+        for (const [periodStart, periodEnd] of getWorkingPeriods(day, calendar).slice().reverse()) {
+            const end = Math.min(minutes, periodEnd);
+            if (end <= periodStart) continue;
+
+            if (remainingMinutes <= end - periodStart) {
+                return atMinutes(day, end - remainingMinutes);
+            }
+            remainingMinutes -= end - periodStart;
+        }
+        day.setDate(day.getDate() - 1);
+        minutes = 24 * 60;
+    }
+
+    throw new Error('Working calendar has no working time within a year');
+}
+
+/**
+ * Считает рабочее время календаря (в минутах) между двумя моментами, 0 - если end <= start
+ */
+export function getWorkingMinutesBetween(start, end, calendar) {
+    let minutes = 0;
+
+    for (let day = new Date(start.getFullYear(), start.getMonth(), start.getDate()); day < end;
+        day = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1)) {
+        for (const [from, to] of getWorkingPeriods(day, calendar)) {
+            const periodStart = Math.max(atMinutes(day, from).getTime(), start.getTime());
+            const periodEnd = Math.min(atMinutes(day, to).getTime(), end.getTime());
+            if (periodEnd > periodStart) {
+                minutes += (periodEnd - periodStart) / 60000;
+            }
+        }
+    }
+
+    return Math.round(minutes);
+}
+
+/**
+ * Разбивает интервал работы на отрезки по рабочим дням календаря исполнителя
+ * (от начала первого до конца последнего рабочего периода дня).
+ * Работа вне календаря возвращается одним отрезком.
+ */
+export function splitByWorkingDays(startTime, endTime, calendar) {
+    const segments = [];
+
+    for (let day = new Date(startTime.getFullYear(), startTime.getMonth(), startTime.getDate()); day < endTime;
+        day = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1)) {
+        const periods = getWorkingPeriods(day, calendar);
+        if (periods.length === 0) continue;
+
+        const dayStart = new Date(day.getFullYear(), day.getMonth(), day.getDate(), 0, periods[0][0]);
+        const dayEnd = new Date(day.getFullYear(), day.getMonth(), day.getDate(), 0, periods[periods.length - 1][1]);
+        const start = startTime > dayStart ? startTime : dayStart;
+        const end = endTime < dayEnd ? endTime : dayEnd;
+
+        if (end > start) {
+            segments.push({ startTime: start, endTime: end });
+        }
+    }
+
+    return segments.length > 0 ? segments : [{ startTime, endTime }];
+}
+
+/**
+ * Рассчитывает отрезки работы по рабочим дням календаря: работа длительностью durationMinutes
+ * рабочих минут, начатая в startTime, разбивается на отрезки [{ startTime, endTime, minutes }]
+ * (по одному на день, обед внутри отрезка; minutes - рабочие минуты отрезка).
+ * Окончание последнего отрезка совпадает с calculateEndTime.
+ */
+export function calculateWorkSegments(startTime, durationMinutes, calendar) {
+    const start = alignToWorkingTime(startTime, calendar);
+    const endTime = calculateEndTime(start, durationMinutes, calendar);
+
+    return splitByWorkingDays(start, endTime, calendar).map(segment => ({
+        startTime: segment.startTime,
+        endTime: segment.endTime,
+        minutes: getWorkingMinutesBetween(segment.startTime, segment.endTime, calendar)
+    }));
+}
+
+/**
+ * Возвращает окончание рабочего дня календаря, в который попадает момент time
+ * (конец последнего рабочего периода дня) или null для нерабочего дня
+ */
+export function getWorkingDayEnd(time, calendar) {
+    const periods = getWorkingPeriods(time, calendar);
+    if (periods.length === 0) return null;
+    return atMinutes(time, periods[periods.length - 1][1]);
+}
@@ -0,0 +1,121 @@
+/**
+ * Набор изменений и пакетное сохранение с повторными попытками и откатом
+ */
+
+import { log, error } from './logger.js';
+
+/**
+ * Добавляет изменение поля элемента в набор изменений.
+ * Изменения одного элемента объединяются: { itemId, itemName, projectName, fields: [...] }.
+ * Поле без изменения значения не добавляется.
+ */
+export function recordChange(changes, item, field) {
+    if (String(field.oldValue || '') === String(field.newValue || '')) return;
+
+    let change = changes.find(c => c.itemId === item.itemId);
+    if (!change) {
+        change = { itemId: item.itemId, itemName: item.itemName, projectName: item.projectName, fields: [] };
+        changes.push(change);
+    }
+    change.fields.push(field);
+}
+
+/**
+ * Заменяет изменение поля элемента в наборе изменений (при ручной корректировке плана).
+ * Если новое значение совпадает с прежним, изменение поля удаляется.
+ */
+export function setChange(changes, item, field) {
+    const change = changes.find(c => c.itemId === item.itemId);
+    if (change) {
+        change.fields = change.fields.filter(f => f.label !== field.label);
+        if (change.fields.length === 0) {
+            changes.splice(changes.indexOf(change), 1);
+        }
+    }
+    recordChange(changes, item, field);
+}
+
+/**
+ * Возвращает параметры запроса сохранения для изменения: новые (или прежние) значения
+ * полей, у которых есть код integram
+ */
+export function getChangeParams(change, valueKey) {
+    const params = {};
+    for (const field of change.fields) {
+        if (field.code) {
+            params[field.code] = field[valueKey] || '';
+        }
+    }
+    return params;
+}
+
+/**
+ * Сохраняет данные через источник данных с повторными попытками при ошибке
+ * (пауза удваивается после каждой попытки)
+ */
+async function saveDataWithRetry(dataSource, itemId, params, options) {
+    const retries = options.retries || 1;
+    let delay = options.retryDelay || 0;
+
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await dataSource.saveItem(itemId, params);
+        } catch (err) {
+            if (attempt >= retries) throw err;
+            log(`Retrying save of item ${itemId} (attempt ${attempt + 1} of ${retries}) in ${delay} ms`);
+            await new Promise(resolve => setTimeout(resolve, delay));
+            delay *= 2;
+        }
+    }
+}
+
+/**
+ * Сохраняет подтвержденный набор изменений пакетом через источник данных: элементы
+ * записываются по очереди с повторными попытками. Если запись элемента не удалась,
+ * уже записанные элементы возвращаются к прежним значениям.
+ * options: { retries, retryDelay, onProgress(done, total) }.
+ * Возвращает число записанных элементов.
+ */
+export async function saveChanges(dataSource, changes, options = {}) {
+    const pending = changes.filter(change => Object.keys(getChangeParams(change, 'newValue')).length > 0);
+    const written = [];
+
+    for (const change of pending) {
+        try {
+            await saveDataWithRetry(dataSource, change.itemId, getChangeParams(change, 'newValue'), options);
+            written.push(change);
+            if (options.onProgress) options.onProgress(written.length, pending.length);
+        } catch (err) {
+            error(`Failed to save item ${change.itemId}, rolling back ${written.length} saved items`, err);
+            const rollbackFailures = await rollbackChanges(dataSource, written, options);
+
+            let message = `Не удалось сохранить элемент ${change.itemId} (${change.itemName}): ${err.message}. ` +
+                `Записанные изменения (${written.length - rollbackFailures.length} из ${written.length}) отменены.`;
+            if (rollbackFailures.length > 0) {
+                message += ` Не удалось отменить изменения элементов: ${rollbackFailures.join(', ')}.`;
+            }
+            throw new Error(message);
+        }
+    }
+
+    return written.length;
+}
+
+/**
+ * Возвращает записанные элементы к прежним значениям (в обратном порядке).
+ * Возвращает ID элементов, которые вернуть не удалось.
+ */
+async function rollbackChanges(dataSource, written, options) {
+    const failures = [];
+
+    for (const change of written.slice().reverse()) {
+        try {
+            await saveDataWithRetry(dataSource, change.itemId, getChangeParams(change, 'oldValue'), options);
+        } catch (err) {
+            error(`Failed to roll back item ${change.itemId}`, err);
+            failures.push(change.itemId);
+        }
+    }
+
+    return failures;
+}
@@ -0,0 +1,356 @@
+/**
+ * Запуск планировщика из командной строки (только Node.js): данные берутся из каталога
+ * или файла с записанными отчетами либо из базы integram, план выводится таблицей или JSON.
+ * В базу ничего не записывается.
+ */
+
+import { format, parseArgs } from 'util';
+import { createScheduler } from './scheduler.js';
+import { setLogOutput } from './logger.js';
+import { createIntegramDataSource, createJsonFileDataSource } from './data-sources.js';
+import { formatDateTime } from './dates.js';
+
+const USAGE = `Usage:
+  orbits-scheduler --fixtures <dir|file.json> [options]
+  orbits-scheduler --host <host> --db <db> [options]
+
+Options:
+  --fixtures <path>      Directory with <report ID>.json files or a JSON file { "<report ID>": [rows] }
+  --host <host>          integram host (default integram.io)
+  --db <db>              integram database (default orbits)
+  --format <table|json>  Output format (default table)
+  --config <file.json>   Scheduler config merged with the defaults (report IDs, field codes)
+  --replan               Re-plan remaining work (see README)
+  --replan-from <time>   Re-plan from "DD.MM.YYYY HH:MM" (default now)
+  --scenarios <file.json> Compare the plan with what-if scenarios (array, see README)
+  --optimize             Optimise the order of work to finish earlier (see README)
+  --optimize-budget <ms> Time budget of the optimisation (default 3000)
+  --strict               Exit with code 1 when data validation finds errors
+  --debug                Print planner log to stderr
+  --help                 Show this help`;
+
+/**
+ * Преобразует результат планирования в объект для вывода в JSON:
+ * даты в формате "DD.MM.YYYY HH:MM:SS", назначения с отрезками по дням, использование оборудования,
+ * фактическое выполнение, результат оптимизации, изменения, отклонения, нарушения ограничений
+ * и замечания проверки
+ */
+export function toPlanJson(result) {
+    return {
+        forecastEnd: result.analysis && result.analysis.forecastEnd ? formatDateTime(result.analysis.forecastEnd) : null,
+        assignments: result.assignments.map(assignment => ({
+            projectId: assignment.projectId,
+            projectName: assignment.projectName,
+            taskGroupId: assignment.taskGroupId,
+            taskId: assignment.taskId,
+            taskName: assignment.taskName,
+            section: assignment.section || '',
+            executorId: assignment.executorId,
+            executorName: assignment.executorName,
+            startTime: formatDateTime(assignment.startTime),
+            endTime: formatDateTime(assignment.endTime),
+            duration: assignment.duration,
+            normative: assignment.normative,
+            tolerance: assignment.tolerance,
+            fixed: assignment.fixed,
+            reason: assignment.reason,
+            segments: (assignment.segments || []).map(segment => ({
+                startTime: formatDateTime(segment.startTime),
+                endTime: formatDateTime(segment.endTime),
+                minutes: segment.minutes
+            }))
+        })),
+        equipment: (result.equipmentAssignments || []).map(usage => ({
+            equipmentId: usage.equipmentId,
+            equipmentName: usage.equipmentName,
+            unit: usage.unit,
+            projectId: usage.projectId,
+            taskId: usage.taskId,
+            taskName: usage.taskName,
+            startTime: formatDateTime(usage.startTime),
+            endTime: formatDateTime(usage.endTime)
+        })),
+        progress: result.progress ? toProgressJson(result.progress) : null,
+        optimization: result.optimization ? toOptimizationJson(result.optimization) : null,
+        changes: result.changes,
+        rejections: result.rejections,
+        violations: result.violations || [],
+        validation: result.validation ? result.validation.issues : []
+    };
+}
+
+/**
+ * Преобразует фактическое выполнение (см. analyzeProgress) в объект для вывода в JSON:
+ * процент выполнения проектов и задач, работы с фактом, производительность и предлагаемые нормативы
+ */
+export function toProgressJson(progress) {
+    const formatTime = time => time ? formatDateTime(time) : null;
+
+    return {
+        projects: progress.projects,
+        tasks: progress.tasks,
+        items: progress.items.filter(item => item.actual).map(item => ({
+            projectId: item.projectId,
+            taskId: item.taskId,
+            taskName: item.taskName,
+            plannedStart: formatTime(item.plannedStart),
+            actualStart: formatTime(item.actual.startTime),
+            actualEnd: formatTime(item.actual.endTime),
+            normative: item.normative,
+            actualMinutes: item.actualMinutes,
+            startVariance: item.startVariance,
+            durationVariance: item.durationVariance,
+            percentComplete: item.percentComplete
+        })),
+        executors: progress.executors,
+        normatives: progress.normatives.map(suggestion => ({
+            itemId: suggestion.itemId,
+            itemName: suggestion.itemName,
+            oldValue: suggestion.oldValue,
+            newValue: suggestion.newValue,
+            ratio: suggestion.ratio,
+            samples: suggestion.samples
+        }))
+    };
+}
+
+/**
+ * Преобразует результат режима оптимизации (см. optimizeSchedule) в объект для вывода в JSON
+ */
+export function toOptimizationJson(optimization) {
+    const formatSummary = summary => Object.assign({}, summary, { forecastEnd: formatDateTime(summary.forecastEnd) });
+
+    return {
+        rule: optimization.rule,
+        iterations: optimization.iterations,
+        elapsed: optimization.elapsed,
+        baseline: formatSummary(optimization.baseline),
+        best: formatSummary(optimization.best),
+        rules: optimization.rules.map(formatSummary)
+    };
+}
+
+/**
+ * Форматирует план текстовой таблицей: назначения исполнителей и оборудования по времени начала,
+ * итоги, нарушения ограничений и замечания проверки
+ */
+export function formatPlanTable(result) {
+    const header = ['Начало', 'Окончание', 'Проект', 'Работа', 'Исполнитель', 'Мин'];
+    const rows = result.assignments
+        .concat((result.equipmentAssignments || []).map(usage => Object.assign({}, usage, {
+            executorName: `[${usage.equipmentName}]`,
+            duration: ''
+        })))
+        .sort((a, b) => a.startTime - b.startTime)
+        .map(assignment => [
+            formatDateTime(assignment.startTime).slice(0, 16),
+            formatDateTime(assignment.endTime).slice(0, 16),
+            assignment.projectName || '',
+            `${assignment.taskName} (${assignment.taskId})`,
+            assignment.executorName,
+            String(assignment.duration)
+        ]);
+
+    const widths = header.map((title, column) => Math.max(title.length, ...rows.map(row => row[column].length)));
+    const formatRow = row => row.map((value, column) => value.padEnd(widths[column])).join('  ').trimEnd();
+
+    const lines = [formatRow(header), widths.map(width => '-'.repeat(width)).join('  ')];
+    lines.push(...rows.map(formatRow));
+    lines.push('');
+
+    const forecastEnd = result.analysis && result.analysis.forecastEnd;
+    lines.push(`Назначений: ${result.assignments.length}, изменений: ${result.changes.length}` +
+        (forecastEnd ? `, прогноз окончания: ${formatDateTime(forecastEnd).slice(0, 16)}` : ''));
+
+    const optimization = result.optimization;
+    if (optimization) {
+        const formatSummary = summary => `окончание ${formatDateTime(summary.forecastEnd).slice(0, 16)}, ` +
+            `загрузка ${Math.round(summary.utilisation * 100)}%`;
+        lines.push(`Оптимизация (${optimization.rule}, вариантов: ${optimization.iterations}): ${formatSummary(optimization.best)}; ` +
+            `жадный план: ${formatSummary(optimization.baseline)}`);
+    }
+
+    // Процент выполнения выводится, если указан факт хотя бы по одной работе
+    const progress = result.progress;
+    if (progress && progress.items.some(item => item.actual)) {
+        lines.push(`Выполнено: ${progress.projects.map(project => `${project.projectName} ${project.percentComplete}%`).join(', ')}`);
+    }
+
+    for (const rejection of result.rejections.filter(rejection => !rejection.executorId)) {
+        lines.push(`Не спланировано: ${rejection.taskName} (${rejection.taskId}): ${rejection.reasons.join('; ')}`);
+    }
+
+    for (const violation of result.violations || []) {
+        lines.push(`Нарушение: ${violation.projectName}, ${violation.taskName} (${violation.taskId}): ${violation.message}`);
+    }
+
+    for (const issue of result.validation ? result.validation.issues : []) {
+        const target = [issue.projectName, issue.itemId ? `${issue.itemName || ''} (${issue.itemId})` : null]
+            .filter(Boolean).join(', ');
+        lines.push(`${issue.severity === 'error' ? 'Ошибка' : 'Предупреждение'}: ${target ? `${target}: ` : ''}${issue.message}`);
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Преобразует сравнение сценариев (см. compareScenarios) в объекты для вывода в JSON
+ */
+export function toScenariosJson(comparison) {
+    return comparison.map(variant => ({
+        name: variant.name,
+        error: variant.error,
+        forecastEnd: variant.summary && variant.summary.forecastEnd ? formatDateTime(variant.summary.forecastEnd) : null,
+        labourMinutes: variant.summary ? variant.summary.labourMinutes : null,
+        executors: variant.summary ? variant.summary.executors : [],
+        unassigned: variant.summary ? variant.summary.unassigned : []
+    }));
+}
+
+/**
+ * Форматирует сравнение сценариев текстовой таблицей: сценарии по строкам
+ */
+export function formatScenarioTable(comparison) {
+    const header = ['Сценарий', 'Окончание', 'Трудозатраты, мин', 'Без исполнителей', 'Загрузка'];
+    const rows = comparison.map(variant => variant.summary
+        ? [
+            variant.name,
+            variant.summary.forecastEnd ? formatDateTime(variant.summary.forecastEnd).slice(0, 16) : '',
+            String(variant.summary.labourMinutes),
+            String(variant.summary.unassigned.length),
+            variant.summary.executors
+                .map(executor => `${executor.executorName} ${Math.round(executor.utilisation * 100)}%`)
+                .join(', ')
+        ]
+        : [variant.name, `ошибка: ${variant.error}`, '', '', '']);
+
+    const widths = header.map((title, column) => Math.max(title.length, ...rows.map(row => row[column].length)));
+    const formatRow = row => row.map((value, column) => value.padEnd(widths[column])).join('  ').trimEnd();
+
+    return [formatRow(header), widths.map(width => '-'.repeat(width)).join('  '), ...rows.map(formatRow)].join('\n') + '\n';
+}
+
+/**
+ * Выполняет команду: argv - аргументы командной строки (без node и имени скрипта),
+ * io - { stdout, stderr } для вывода. Возвращает код завершения:
+ * 0 - план построен, 1 - ошибка планирования (или ошибки данных при --strict), 2 - неверные аргументы.
+ */
+export async function runCli(argv, io = { stdout: process.stdout, stderr: process.stderr }) {
+    let values;
+    try {
+        ({ values } = parseArgs({
+            args: argv,
+            options: {
+                fixtures: { type: 'string' },
+                host: { type: 'string' },
+                db: { type: 'string' },
+                format: { type: 'string', default: 'table' },
+                config: { type: 'string' },
+                replan: { type: 'boolean', default: false },
+                'replan-from': { type: 'string' },
+                scenarios: { type: 'string' },
+                optimize: { type: 'boolean', default: false },
+                'optimize-budget': { type: 'string' },
+                strict: { type: 'boolean', default: false },
+                debug: { type: 'boolean', default: false },
+                help: { type: 'boolean', default: false }
+            }
+        }));
+    } catch (err) {
+        io.stderr.write(`${err.message}\n\n${USAGE}\n`);
+        return 2;
+    }
+
+    if (values.help) {
+        io.stdout.write(`${USAGE}\n`);
+        return 0;
+    }
+    if (!values.fixtures && !values.host && !values.db) {
+        io.stderr.write(`Either --fixtures or --host/--db is required\n\n${USAGE}\n`);
+        return 2;
+    }
+    if (!['table', 'json'].includes(values.format)) {
+        io.stderr.write(`Unknown format "${values.format}"\n\n${USAGE}\n`);
+        return 2;
+    }
+    if (values['optimize-budget'] && !(Number(values['optimize-budget']) > 0)) {
+        io.stderr.write(`Invalid optimisation budget "${values['optimize-budget']}"\n\n${USAGE}\n`);
+        return 2;
+    }
+
+    const { readFile } = await import('fs/promises');
+    // Файлы аргументов, которые не удалось прочитать или разобрать, - неверные аргументы
+    const readJsonArgument = async (option, path) => {
+        try {
+            return { value: JSON.parse(await readFile(path, 'utf8')) };
+        } catch (err) {
+            io.stderr.write(`Cannot read ${option} file "${path}": ${err.message}\n\n${USAGE}\n`);
+            return null;
+        }
+    };
+
+    let config = {};
+    if (values.config) {
+        const loaded = await readJsonArgument('--config', values.config);
+        if (!loaded) return 2;
+        config = loaded.value;
+    }
+    let scenarios = null;
+    if (values.scenarios) {
+        const loaded = await readJsonArgument('--scenarios', values.scenarios);
+        if (!loaded) return 2;
+        if (!Array.isArray(loaded.value)) {
+            io.stderr.write(`Scenarios file "${values.scenarios}" must contain an array of scenarios\n\n${USAGE}\n`);
+            return 2;
+        }
+        scenarios = loaded.value;
+    }
+
+    const dataSource = values.fixtures
+        ? createJsonFileDataSource(values.fixtures)
+        : createIntegramDataSource({ host: values.host, db: values.db });
+
+    const scheduler = createScheduler({
+        dataSource,
+        config: Object.assign({}, config, {
+            target: null,
+            debug: values.debug,
+            replan: values.replan || config.replan,
+            replanFrom: values['replan-from'] || config.replanFrom || null,
+            optimize: values.optimize || config.optimize,
+            optimizeBudget: values['optimize-budget'] ? Number(values['optimize-budget']) : config.optimizeBudget
+        })
+    });
+
+    // Лог планировщика выводится в io.stderr, чтобы не смешиваться с планом
+    const writeLog = (...args) => io.stderr.write(`${format(...args)}\n`);
+    const previousLogOutput = setLogOutput({ log: writeLog, error: writeLog });
+
+    let result;
+    let comparison = null;
+    try {
+        const data = await scheduler.load();
+        // Сценарии планируются на копиях данных до основного плана, который дополняет исходные строки
+        if (scenarios) comparison = scheduler.compare(data, scenarios);
+        result = scheduler.plan(data);
+    } catch (err) {
+        io.stderr.write(`Planning failed: ${err.message}\n`);
+        for (const issue of err.validation ? err.validation.errors : []) {
+            io.stderr.write(`Ошибка: ${issue.projectName ? `${issue.projectName}: ` : ''}${issue.message}\n`);
+        }
+        return 1;
+    } finally {
+        setLogOutput(previousLogOutput);
+    }
+
+    if (values.format === 'json') {
+        const output = toPlanJson(result);
+        if (comparison) output.scenarios = toScenariosJson(comparison);
+        io.stdout.write(`${JSON.stringify(output, null, 2)}\n`);
+    } else {
+        io.stdout.write(formatPlanTable(result));
+        if (comparison) io.stdout.write(`\n${formatScenarioTable(comparison)}`);
+    }
+
+    return values.strict && result.validation.errors.length > 0 ? 1 : 0;
+}
@@ -0,0 +1,74 @@
+/**
+ * Конфигурация планировщика по умолчанию
+ */
+
+export const DEFAULT_CONFIG = {
+    // ID отчетов integram
+    reports: {
+        projects: 2681,
+        settings: 3283,
+        parameters: 3248,
+        executors: 2777,
+        // Справочник оборудования (необязательно): ОборудованиеID, Оборудование, Количество, Занятое время
+        equipment: null
+    },
+
+    // Коды полей integram для сохранения результатов планирования.
+    // Код поля исполнителя не задан: исполнители показываются в сравнении, но не сохраняются.
+    // occupiedTime - код поля "Занятое время" исполнителя: если задан, назначения плана
+    // записываются в занятое время исполнителей.
+    // actualStart, actualEnd, actualMinutes - коды полей фактического выполнения (см. PROGRESS_FIELDS
+    // в progress.js): факт, введенный в графике, сохраняется, если коды заданы.
+    fieldCodes: {
+        normative: 't3094',
+        operationStart: 't2665',
+        taskStart: 't798',
+        executor: null,
+        occupiedTime: null,
+        actualStart: null,
+        actualEnd: null,
+        actualMinutes: null
+    },
+
+    // CSS-селектор элемента для вывода результатов
+    target: '.content',
+
+    // Детальное логирование в консоль
+    debug: true,
+
+    // Параметры сохранения: число попыток записи и начальная пауза между ними (мс)
+    saveRetries: 3,
+    saveRetryDelay: 500,
+
+    // Запрет сохранения, если проверка исходных данных нашла ошибки
+    blockSaveOnErrors: false,
+
+    // Перепланирование: оставшаяся работа планируется не раньше replanFrom
+    // ("DD.MM.YYYY HH:MM" или Date, по умолчанию - текущее время)
+    replan: false,
+    replanFrom: null,
+
+    // Сценарии "что если" для сравнения с текущим планом (см. applyScenario в scenarios.js),
+    // например [{ name: 'Старт в понедельник', start: '24.11.2025' }]
+    scenarios: [],
+
+    // Уточнение нормативов шаблона по фактической производительности: предлагаемые нормативы
+    // (см. analyzeProgress в progress.js) добавляются в набор изменений для сохранения
+    normativeFeedback: false,
+
+    // Режим оптимизации: порядок работ подбирается по правилам приоритета и имитацией отжига
+    // (см. optimizeSchedule в optimization.js) в пределах optimizeBudget мс
+    optimize: false,
+    optimizeBudget: 3000
+};
+
+/**
+ * Объединяет конфигурацию пользователя с конфигурацией по умолчанию
+ * (вложенные reports и fieldCodes объединяются по ключам)
+ */
+export function mergeConfig(config = {}) {
+    return Object.assign({}, DEFAULT_CONFIG, config, {
+        reports: Object.assign({}, DEFAULT_CONFIG.reports, config.reports),
+        fieldCodes: Object.assign({}, DEFAULT_CONFIG.fieldCodes, config.fieldCodes)
+    });
+}
@@ -0,0 +1,164 @@
+/**
+ * Источники данных планировщика.
+ *
+ * Источник данных - объект с методами:
+ * - fetchReport(reportId) - возвращает Promise со строками отчета
+ * - saveItem(itemId, params) - сохраняет значения полей элемента, возвращает Promise
+ */
+
+import { log, error } from './logger.js';
+
+/**
+ * Источник данных integram через HTTP API
+ *
+ * options: { host, db, xsrf, fetch } - по умолчанию host "integram.io", db "orbits",
+ * fetch - глобальная функция fetch
+ */
+export function createIntegramDataSource(options = {}) {
+    const db = options.db || 'orbits';
+    const xsrf = options.xsrf || '';
+    const host = options.host || 'integram.io';
+    const baseUrl = `https://${host}/${db}`;
+    const fetchFn = options.fetch || ((...args) => fetch(...args));
+
+    return {
+        /**
+         * Выполняет GET-запрос к API
+         */
+        async fetchReport(reportId, params = 'JSON_KV') {
+            const url = `${baseUrl}/report/${reportId}?${params}`;
+            log(`Fetching data from: ${url}`);
+
+            try {
+                const response = await fetchFn(url);
+                if (!response.ok) {
+                    throw new Error(`HTTP error! status: ${response.status}`);
+                }
+                const data = await response.json();
+                log(`Fetched ${data.length} records from report ${reportId}`);
+                return data;
+            } catch (err) {
+                error(`Failed to fetch data from report ${reportId}`, err);
+                throw err;
+            }
+        },
+
+        /**
+         * Выполняет POST-запрос для сохранения данных
+         */
+        async saveItem(itemId, params) {
+            const url = `${baseUrl}/_m_set/${itemId}?JSON=1`;
+            log(`Saving data to item ${itemId}`, params);
+
+            const formData = new URLSearchParams();
+            formData.append('_xsrf', xsrf);
+            for (const [key, value] of Object.entries(params)) {
+                formData.append(key, value);
+            }
+
+            try {
+                const response = await fetchFn(url, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/x-www-form-urlencoded',
+                    },
+                    body: formData.toString()
+                });
+
+                if (!response.ok) {
+                    throw new Error(`HTTP error! status: ${response.status}`);
+                }
+
+                const result = await response.json();
+                log(`Successfully saved data to item ${itemId}`);
+                return result;
+            } catch (err) {
+                error(`Failed to save data to item ${itemId}`, err);
+                throw err;
+            }
+        }
+    };
+}
+
+/**
+ * Источник данных в памяти: reports - объект { ID отчета: строки отчета }.
+ * Сохраненные значения не меняют строки отчетов, а накапливаются в массиве saved.
+ */
+export function createMemoryDataSource(reports) {
+    const saved = [];
+
+    return {
+        saved,
+
+        async fetchReport(reportId) {
+            const rows = reports[reportId];
+            if (!rows) {
+                throw new Error(`Report ${reportId} not found in data source`);
+            }
+            log(`Loaded ${rows.length} records from report ${reportId}`);
+            // Возвращаем копию, чтобы планирование не меняло исходные данные
+            return JSON.parse(JSON.stringify(rows));
+        },
+
+        async saveItem(itemId, params) {
+            log(`Saving data to item ${itemId}`, params);
+            saved.push({ itemId, params: Object.assign({}, params) });
+            return { id: itemId };
+        }
+    };
+}
+
+/**
+ * Источник данных из JSON (только Node): path - файл вида { "ID отчета": [строки] }
+ * или каталог с файлами "<ID отчета>.json". Сохраненные значения накапливаются в массиве saved.
+ */
+export function createJsonFileDataSource(path) {
+    let source = null;
+
+    // Файлы читаются при первом обращении; модули Node загружаются динамически,
+    // чтобы модуль можно было подключать и в браузере
+    async function getSource() {
+        if (source) return source;
+
+        const { readFile, stat } = await import('fs/promises');
+        const { join } = await import('path');
+
+        if ((await stat(path)).isDirectory()) {
+            source = {
+                async read(reportId) {
+                    return JSON.parse(await readFile(join(path, `${reportId}.json`), 'utf8'));
+                }
+            };
+        } else {
+            const reports = JSON.parse(await readFile(path, 'utf8'));
+            source = {
+                async read(reportId) {
+                    if (!reports[reportId]) {
+                        throw new Error(`Report ${reportId} not found in ${path}`);
+                    }
+                    return reports[reportId];
+                }
+            };
+        }
+
+        return source;
+    }
+
+    const saved = [];
+
+    return {
+        saved,
+
+        async fetchReport(reportId) {
+            const rows = await (await getSource()).read(reportId);
+            log(`Loaded ${rows.length} records from report ${reportId}`);
+            return rows;
+        },
+
+        async saveItem(itemId, params) {
+            log(`Saving data to item ${itemId}`, params);
+            saved.push({ itemId, params: Object.assign({}, params) });
+            return { id: itemId };
+        }
+    };
+}
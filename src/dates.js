@@ -0,0 +1,93 @@
+/**
+ * Форматирование и разбор дат и времени
+ */
+
+/**
+ * Парсит дату из формата "DD.MM.YYYY"
+ */
+export function parseDate(dateStr) {
+    if (!dateStr) return null;
+    const match = dateStr.match(/(\d{2})\.(\d{2})\.(\d{4})/);
+    if (!match) return null;
+    const [, day, month, year] = match;
+    return new Date(parseInt(year), parseInt(month) - 1, parseInt(day));
+}
+
+/**
+ * Парсит дату и время из формата "DD.MM.YYYY HH:MM:SS" (время и секунды необязательны)
+ */
+export function parseDateTime(dateTimeStr) {
+    if (!dateTimeStr) return null;
+    const match = String(dateTimeStr).match(/(\d{2})\.(\d{2})\.(\d{4})(?:\s+(\d{1,2}):(\d{2})(?::(\d{2}))?)?/);
+    if (!match) return null;
+    const [, day, month, year, hours, minutes, seconds] = match;
+    return new Date(
+        parseInt(year), parseInt(month) - 1, parseInt(day),
+        parseInt(hours || 0), parseInt(minutes || 0), parseInt(seconds || 0)
+    );
+}
+
+/**
+ * Парсит дату из формата "YYYYMMDD"
+ */
+export function parseDateShort(dateStr) {
+    const year = parseInt(dateStr.slice(0, 4));
+    const month = parseInt(dateStr.slice(4, 6));
+    const day = parseInt(dateStr.slice(6, 8));
+    return new Date(year, month - 1, day);
+}
+
+/**
+ * Форматирует дату в формат "YYYYMMDD"
+ */
+export function formatDateShort(date) {
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${year}${month}${day}`;
+}
+
+/**
+ * Форматирует дату и время в формат "DD.MM.YYYY HH:MM:SS"
+ */
+export function formatDateTime(date) {
+    const day = String(date.getDate()).padStart(2, '0');
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const year = date.getFullYear();
+    const hours = String(date.getHours()).padStart(2, '0');
+    const minutes = String(date.getMinutes()).padStart(2, '0');
+    const seconds = String(date.getSeconds()).padStart(2, '0');
+    return `${day}.${month}.${year} ${hours}:${minutes}:${seconds}`;
+}
+
+/**
+ * Переводит время "ЧЧ" или "ЧЧ:ММ" (или число часов) в минуты от начала суток
+ */
+export function parseTimeOfDay(value) {
+    if (typeof value === 'number') return Math.round(value * 60);
+    if (!value) return null;
+
+    const match = String(value).trim().match(/^(\d{1,2})(?::(\d{2}))?$/);
+    if (!match) return null;
+    const [, hours, minutes] = match;
+    return parseInt(hours) * 60 + parseInt(minutes || 0);
+}
+
+/**
+ * Возвращает дату с временем, заданным в минутах от начала суток
+ */
+export function atMinutes(date, minutes) {
+    const result = new Date(date);
+    result.setHours(0, minutes, 0, 0);
+    return result;
+}
+
+/**
+ * Форматирует длительность в минутах как "Ч ч ММ мин"
+ */
+export function formatMinutes(totalMinutes) {
+    const sign = totalMinutes < 0 ? '-' : '';
+    const hours = Math.floor(Math.abs(totalMinutes) / 60);
+    const minutes = Math.abs(totalMinutes) % 60;
+    return hours > 0 ? `${sign}${hours} ч ${String(minutes).padStart(2, '0')} мин` : `${sign}${minutes} мин`;
+}
@@ -0,0 +1,454 @@
+/**
+ * Ручная корректировка плана: перенос работ, замена исполнителей, ввод фактического выполнения,
+ * сдвиг зависимых работ и проверка ограничений
+ */
+
+import { log } from './logger.js';
+import { DEFAULT_CONFIG } from './config.js';
+import { formatDateTime } from './dates.js';
+import {
+    alignToWorkingTime, calculateWorkSegments, getExecutorCalendar, getWorkingMinutesBetween, hasWorkingTime,
+    intersectCalendars
+} from './calendar.js';
+import { intervalsOverlap, parseOccupiedTime } from './availability.js';
+import { evaluateParameters, formatParameterFailure, parseParameters } from './parameters.js';
+import { findPinnedExecutors } from './assignment.js';
+import { linkWorkItems, orderTaskGroups } from './graph.js';
+import { setChange } from './changes.js';
+import { createTravelModel } from './travel.js';
+import { getLinkReleaseTime } from './planner.js';
+import { getAssignmentSegments } from './splitting.js';
+import { getMaterialsReadyTime } from './resources.js';
+import { getItemActuals, getProgressFields } from './progress.js';
+
+/**
+ * Возвращает работы проекта в порядке планирования: задачи по графу предшествования,
+ * внутри задачи - операции по порядку. Работа - { key, project, taskGroup, item, itemId, assignments },
+ * key - "ПроектID:ID задачи/операции". Работы без назначенных исполнителей не учитываются.
+ */
+export function getPlanItems(project, assignments) {
+    const planItems = [];
+
+    for (const taskGroup of orderTaskGroups(project.taskGroups)) {
+        for (const item of taskGroup.items) {
+            const itemId = item['ОперацияID'] || item['Задача проектаID'];
+            const itemAssignments = assignments.filter(a => a.projectId === project.projectId && a.taskId === itemId);
+            if (itemAssignments.length === 0) continue;
+
+            planItems.push({
+                key: `${project.projectId}:${itemId}`,
+                project,
+                taskGroup,
+                item,
+                itemId,
+                assignments: itemAssignments
+            });
+        }
+    }
+
+    return planItems;
+}
+
+/**
+ * Создает редактор результата планирования planSchedule.
+ *
+ * Редактор изменяет result на месте: назначения (result.assignments), набор изменений
+ * (result.changes) и список нарушений ограничений (result.violations), поэтому ручные
+ * правки сохраняются тем же путем, что и автоматический план.
+ * Работа идентифицируется ключом "ПроектID:ID задачи/операции".
+ */
+export function createPlanEditor(result, options = {}) {
+    const { assignments, projects, calendar, executors, parameterDictionary, changes } = result;
+    const equipmentAssignments = result.equipmentAssignments || [];
+    const equipment = result.equipment || [];
+    const fieldCodes = options.fieldCodes || DEFAULT_CONFIG.fieldCodes;
+    const travelModel = createTravelModel(result.settings);
+
+    // Работы, перенесенные или переназначенные вручную: они не сдвигаются автоматически
+    const manualItems = new Set();
+    // Исходные значения полей факта у строк, для которых факт введен вручную
+    const originalActuals = new Map();
+
+    const findExecutor = executorId => executors.find(ex => ex['ПользовательID'] === executorId);
+
+    /**
+     * Находит работу по ключу "ПроектID:ID"
+     */
+    function findPlanItem(key) {
+        for (const project of projects) {
+            const planItem = getPlanItems(project, assignments).find(p => p.key === key);
+            if (planItem) return planItem;
+        }
+        throw new Error(`Plan item ${key} not found`);
+    }
+
+    /**
+     * Обходит работы проекта в порядке планирования. Для каждой работы visit получает
+     * самое раннее допустимое начало по предшествованию с учетом захваток и типов связей
+     * (или null, если ограничений нет).
+     */
+    function walkProject(project, visit) {
+        const planItems = getPlanItems(project, assignments);
+        const links = linkWorkItems(orderTaskGroups(project.taskGroups), planItems, project.operationLink);
+
+        for (const planItem of planItems) {
+            let earliest = null;
+            for (const link of links.get(planItem)) {
+                const release = getLinkReleaseTime(link, link.work.assignments[0], calendar);
+                if (!earliest || release > earliest) {
+                    earliest = release;
+                }
+            }
+
+            visit(planItem, earliest);
+        }
+    }
+
+    /**
+     * Календарь бригады работы: пересечение календарей исполнителей
+     * (crew - исполнители, по умолчанию - назначенные на работу)
+     */
+    function getCrewCalendar(planItem, crew = planItem.assignments.map(a => findExecutor(a.executorId)).filter(Boolean)) {
+        return crew.length > 0
+            ? intersectCalendars(crew.map(executor => getExecutorCalendar(executor, calendar)))
+            : calendar;
+    }
+
+    /**
+     * Оборудование, занятое работой
+     */
+    function getItemEquipment(planItem) {
+        return equipmentAssignments.filter(usage =>
+            usage.projectId === planItem.project.projectId && usage.taskId === planItem.itemId
+        );
+    }
+
+    /**
+     * Устанавливает начало работы и пересчитывает окончание и отрезки по дням по календарю бригады:
+     * перенесенная работа выполняется всей бригадой без перерывов, оборудование переносится вместе с ней
+     */
+    function setStartTime(planItem, startTime) {
+        const segments = calculateWorkSegments(startTime, planItem.assignments[0].duration, getCrewCalendar(planItem));
+        for (const assignment of planItem.assignments.concat(getItemEquipment(planItem))) {
+            assignment.startTime = new Date(startTime);
+            assignment.endTime = new Date(segments[segments.length - 1].endTime);
+            assignment.segments = segments.map(segment => Object.assign({}, segment));
+        }
+    }
+
+    /**
+     * Обновляет время начала и исполнителей работы в наборе изменений
+     */
+    function updateChanges(planItem) {
+        const { item, itemId } = planItem;
+        const isOperation = !!item['ОперацияID'];
+        const changeItem = {
+            itemId,
+            itemName: isOperation ? item['Операция'] : item['Задача проекта'],
+            projectName: planItem.project.projectName
+        };
+
+        setChange(changes, changeItem, {
+            label: 'Начало',
+            code: isOperation ? fieldCodes.operationStart : fieldCodes.taskStart,
+            oldValue: item[isOperation ? 'Операция -> Начать' : 'Начать'],
+            newValue: formatDateTime(planItem.assignments[0].startTime)
+        });
+        setChange(changes, changeItem, {
+            label: 'Исполнитель',
+            code: fieldCodes.executor,
+            oldValue: item['Исполнитель Задачи'],
+            newValue: planItem.assignments.map(a => a.executorName).join(', ')
+        });
+    }
+
+    /**
+     * Сдвигает вперед работы проекта, начинающиеся раньше окончания предшествующих
+     * или поставки материалов. Работы, перенесенные вручную, и работы с закрепленным началом
+     * не сдвигаются - для них validate() отмечает нарушение.
+     */
+    function pushDependentWork(project) {
+        walkProject(project, (planItem, linkEarliest) => {
+            const first = planItem.assignments[0];
+            const materials = getMaterialsReadyTime(planItem.item, calendar);
+            const earliest = materials && (!linkEarliest || materials.time > linkEarliest) ? materials.time : linkEarliest;
+            if (!earliest || first.startTime >= earliest) return;
+            if (manualItems.has(planItem.key) || first.fixed) return;
+
+            const startTime = alignToWorkingTime(earliest, getCrewCalendar(planItem));
+            log(`Moving item ${planItem.itemId} forward from ${formatDateTime(first.startTime)} to ${formatDateTime(startTime)}`);
+            setStartTime(planItem, startTime);
+            updateChanges(planItem);
+        });
+    }
+
+    /**
+     * Проверяет ограничения плана: предшествование, поставку материалов, рабочее время и занятость исполнителей
+     * (занятое время из справочника, другие назначения и переезды между объектами), занятость оборудования,
+     * соответствие параметрам.
+     * Возвращает и сохраняет в result.violations список { key, taskId, taskName, projectName, message }.
+     */
+    function validate() {
+        const violations = [];
+
+        for (const project of projects) {
+            walkProject(project, (planItem, earliest) => {
+                const { item, itemId, key } = planItem;
+                const first = planItem.assignments[0];
+                const add = message => violations.push({
+                    key,
+                    taskId: itemId,
+                    taskName: first.taskName,
+                    projectName: project.projectName,
+                    message
+                });
+
+                if (earliest && first.startTime < earliest) {
+                    add(`Начало раньше, чем допускает связь с предшествующей работой (${formatDateTime(earliest)})`);
+                }
+
+                const materials = getMaterialsReadyTime(item, calendar);
+                if (materials && first.startTime < materials.time) {
+                    add(`Начало раньше поставки материалов (${formatDateTime(materials.time)})`);
+                }
+
+                for (const usage of getItemEquipment(planItem)) {
+                    const segments = getAssignmentSegments(usage);
+                    const overlapsSegments = (start, end) => segments.some(segment =>
+                        intervalsOverlap(segment.startTime, segment.endTime, start, end)
+                    );
+                    const row = equipment.find(e => e['ОборудованиеID'] === usage.equipmentId);
+
+                    if (row && parseOccupiedTime(row['Занятое время']).some(interval => overlapsSegments(interval.start, interval.end))) {
+                        add(`Оборудование ${usage.equipmentName} занято в это время (занятое время)`);
+                    }
+                    const overlapping = equipmentAssignments.filter(other =>
+                        other !== usage &&
+                        other.equipmentId === usage.equipmentId &&
+                        other.unit === usage.unit &&
+                        getAssignmentSegments(other).some(segment => overlapsSegments(segment.startTime, segment.endTime))
+                    );
+                    for (const other of overlapping) {
+                        add(`Оборудование ${usage.equipmentName} занято на работе "${other.taskName}" (${other.projectName || ''})`);
+                    }
+                }
+
+                const parameters = parseParameters(item['Параметры задачи']);
+                const pinnedExecutors = findPinnedExecutors(item, executors);
+
+                for (const assignment of planItem.assignments) {
+                    const executor = findExecutor(assignment.executorId);
+                    if (!executor) continue;
+                    const name = assignment.executorName;
+
+                    const executorCalendar = getExecutorCalendar(executor, calendar);
+                    if (alignToWorkingTime(assignment.startTime, executorCalendar).getTime() !== assignment.startTime.getTime()) {
+                        add(`Начало вне рабочего времени исполнителя ${name}`);
+                    }
+
+                    const segments = getAssignmentSegments(assignment);
+                    const overlapsSegments = (start, end) => segments.some(segment =>
+                        intervalsOverlap(segment.startTime, segment.endTime, start, end)
+                    );
+
+                    const occupied = parseOccupiedTime(executor['Занятое время']).some(interval =>
+                        overlapsSegments(interval.start, interval.end)
+                    );
+                    if (occupied) {
+                        add(`Исполнитель ${name} занят в это время (занятое время)`);
+                    }
+
+                    const overlapping = assignments.filter(other =>
+                        other.executorId === assignment.executorId &&
+                        !planItem.assignments.includes(other) &&
+                        getAssignmentSegments(other).some(segment => overlapsSegments(segment.startTime, segment.endTime))
+                    );
+                    for (const other of overlapping) {
+                        add(`Исполнитель ${name} занят на работе "${other.taskName}" (${other.projectName || ''})`);
+                    }
+
+                    // Переезд с предыдущей работы того же дня на другом объекте
+                    const previous = assignments
+                        .filter(other =>
+                            other.executorId === assignment.executorId &&
+                            !planItem.assignments.includes(other) &&
+                            other.endTime <= assignment.startTime &&
+                            other.endTime.toDateString() === assignment.startTime.toDateString()
+                        )
+                        .sort((a, b) => b.endTime - a.endTime)[0];
+                    const travelTime = previous ? travelModel.getTravelTime(previous.location, assignment.location) : 0;
+                    if (travelTime > 0 && assignment.startTime - previous.endTime < travelTime * 60000) {
+                        add(`Исполнитель ${name} не успевает переехать с работы "${previous.taskName}" (в пути ${travelTime} мин)`);
+                    }
+
+                    // Закрепленные исполнители допускаются без проверки параметров
+                    if (!pinnedExecutors.includes(executor)) {
+                        const failures = evaluateParameters(executor, parameters, parameterDictionary);
+                        if (failures.length > 0) {
+                            add(`Исполнитель ${name} не подходит по параметрам: ${failures.map(formatParameterFailure).join('; ')}`);
+                        }
+                    }
+                }
+            });
+        }
+
+        result.violations = violations;
+        return violations;
+    }
+
+    /**
+     * Изменяет работу: update = { startTime, executorIds }. Начало выравнивается на рабочее
+     * время бригады, окончание пересчитывается, зависимые работы сдвигаются вперед.
+     * Длительность (с надбавкой стажеру) сохраняется прежней.
+     * Возвращает список нарушений ограничений после изменения.
+     */
+    function updateItem(key, update) {
+        const planItem = findPlanItem(key);
+        const template = planItem.assignments[0];
+
+        // Исполнители и начало проверяются до изменения плана, чтобы ошибка не оставила его измененным частично
+        let crew = null;
+        if (update.executorIds) {
+            if (update.executorIds.length === 0) {
+                throw new Error('At least one executor is required');
+            }
+            crew = update.executorIds.map(executorId => {
+                const executor = findExecutor(executorId);
+                if (!executor) {
+                    throw new Error(`Executor ${executorId} not found`);
+                }
+                return executor;
+            });
+        }
+
+        // Смены исполнителей могут не пересекаться - такую бригаду нельзя назначить на работу
+        const crewCalendar = crew ? getCrewCalendar(planItem, crew) : getCrewCalendar(planItem);
+        if (!hasWorkingTime(crewCalendar)) {
+            throw new Error('У выбранных исполнителей нет общего рабочего времени');
+        }
+        const startTime = alignToWorkingTime(update.startTime || template.startTime, crewCalendar);
+
+        if (crew) {
+            // Заменяем назначения работы новыми исполнителями
+            for (const assignment of planItem.assignments) {
+                assignments.splice(assignments.indexOf(assignment), 1);
+            }
+            planItem.assignments = crew.map(executor => Object.assign({}, template, {
+                executorId: executor['ПользовательID'],
+                executorName: executor['Пользователь'],
+                reason: 'Назначен вручную'
+            }));
+            assignments.push(...planItem.assignments);
+        }
+
+        log(`Manual edit of item ${planItem.itemId}: start ${formatDateTime(startTime)}, executors ${planItem.assignments.map(a => a.executorName).join(', ')}`);
+
+        setStartTime(planItem, startTime);
+        manualItems.add(key);
+        updateChanges(planItem);
+        pushDependentWork(planItem.project);
+
+        return validate();
+    }
+
+    /**
+     * Записывает фактическое выполнение работы: actuals = { startTime, endTime, minutes }
+     * (null - значение не заполнено). Работа с фактическим началом переносится на него и больше
+     * не сдвигается, выполненная занимает фактическое рабочее время; плановое начало в наборе
+     * изменений не перезаписывается - по нему считаются отклонения (см. analyzeProgress).
+     * Возвращает список нарушений ограничений после изменения.
+     */
+    function updateActuals(key, actuals) {
+        const planItem = findPlanItem(key);
+        const { item, itemId } = planItem;
+        const isOperation = !!item['ОперацияID'];
+        const fields = getProgressFields(item);
+
+        if (actuals.startTime && actuals.endTime && actuals.endTime < actuals.startTime) {
+            throw new Error('Actual end is before actual start');
+        }
+
+        if (!originalActuals.has(item)) {
+            originalActuals.set(item, { start: item[fields.start], end: item[fields.end], minutes: item[fields.minutes] });
+        }
+        const original = originalActuals.get(item);
+        const values = {
+            start: actuals.startTime ? formatDateTime(actuals.startTime) : '',
+            end: actuals.endTime ? formatDateTime(actuals.endTime) : '',
+            minutes: actuals.minutes !== null && actuals.minutes !== undefined ? String(actuals.minutes) : ''
+        };
+        const changeItem = {
+            itemId,
+            itemName: isOperation ? item['Операция'] : item['Задача проекта'],
+            projectName: planItem.project.projectName
+        };
+
+        for (const [name, label, code] of [
+            ['start', 'Факт. начало', fieldCodes.actualStart],
+            ['end', 'Факт. окончание', fieldCodes.actualEnd],
+            ['minutes', 'Факт. минут', fieldCodes.actualMinutes]
+        ]) {
+            item[fields[name]] = values[name];
+            setChange(changes, changeItem, { label, code, oldValue: original[name], newValue: values[name] });
+        }
+
+        const recorded = getItemActuals(item);
+        log(`Actuals of item ${itemId}: start ${values.start || '-'}, end ${values.end || '-'}, minutes ${values.minutes || '-'}`);
+
+        if (recorded && recorded.startTime) {
+            const crewCalendar = getCrewCalendar(planItem);
+            const startTime = alignToWorkingTime(recorded.startTime, crewCalendar);
+            if (recorded.finished) {
+                const duration = Math.max(1, getWorkingMinutesBetween(startTime, recorded.endTime, crewCalendar));
+                planItem.assignments.forEach(assignment => { assignment.duration = duration; });
+            }
+            planItem.assignments.forEach(assignment => { assignment.fixed = true; });
+            setStartTime(planItem, startTime);
+
+            const startField = isOperation ? 'Операция -> Начать' : 'Начать';
+            setChange(changes, changeItem, {
+                label: 'Начало',
+                code: isOperation ? fieldCodes.operationStart : fieldCodes.taskStart,
+                oldValue: item[startField],
+                newValue: item[startField]
+            });
+            pushDependentWork(planItem.project);
+        }
+
+        return validate();
+    }
+
+    /**
+     * Переносит работу на новое время начала
+     */
+    function moveItem(key, startTime) {
+        return updateItem(key, { startTime });
+    }
+
+    /**
+     * Описание работы для формы редактирования: время, исполнители, исполнители,
+     * не подходящие по параметрам, и фактическое выполнение (actuals, см. getItemActuals)
+     */
+    function describeItem(key) {
+        const planItem = findPlanItem(key);
+        const first = planItem.assignments[0];
+        const parameters = parseParameters(planItem.item['Параметры задачи']);
+
+        return {
+            key,
+            taskName: first.taskName,
+            projectName: planItem.project.projectName,
+            startTime: first.startTime,
+            endTime: first.endTime,
+            executorIds: planItem.assignments.map(a => a.executorId),
+            unsuitableIds: executors
+                .filter(executor => evaluateParameters(executor, parameters, parameterDictionary).length > 0)
+                .map(executor => executor['ПользовательID']),
+            actuals: getItemActuals(planItem.item)
+        };
+    }
+
+    validate();
+
+    return { updateItem, updateActuals, moveItem, describeItem, validate };
+}
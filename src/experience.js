@@ -0,0 +1,62 @@
+/**
+ * Опыт исполнителей и надбавка времени стажеру
+ */
+
+import { log } from './logger.js';
+
+/**
+ * Возвращает ключ операции для учета опыта исполнителя (операции одного вида
+ * в разных проектах копируются из шаблона и совпадают по названию)
+ */
+export function getOperationKey(item) {
+    return item['ОперацияID'] ? item['Операция'] : item['Задача проекта'];
+}
+
+/**
+ * Возвращает ключ счетчика опыта "исполнитель|операция"
+ */
+export function getExperienceKey(executorId, operationKey) {
+    return `${executorId}|${operationKey}`;
+}
+
+/**
+ * Подсчитывает, сколько раз каждый исполнитель уже выполнял каждую операцию.
+ * Историей считаются строки проектов с заполненным полем "Исполнитель Задачи"
+ * (имена или ID пользователей через запятую), кроме планируемых сейчас элементов:
+ * операция засчитывается каждому участнику бригады.
+ */
+export function buildExperience(projectData, workingProject, executors) {
+    const experience = new Map();
+
+    for (const item of projectData) {
+        if (workingProject.includes(item)) continue;
+
+        if (!item['Исполнитель Задачи']) continue;
+
+        // Бригада записывается через запятую, как закрепленные исполнители (см. findPinnedExecutors)
+        const performers = new Set(String(item['Исполнитель Задачи']).split(',').map(value => value.trim()).filter(Boolean));
+        const crew = executors.filter(ex => performers.has(ex['ПользовательID']) || performers.has(ex['Пользователь']));
+
+        for (const executor of crew) {
+            const key = getExperienceKey(executor['ПользовательID'], getOperationKey(item));
+            experience.set(key, (experience.get(key) || 0) + 1);
+        }
+    }
+
+    log(`Loaded experience history: ${experience.size} executor/operation pairs`);
+    return experience;
+}
+
+/**
+ * Возвращает надбавку времени стажеру (в %) по числу уже выполненных им операций этого вида:
+ * первая операция - 1st_op_tolerance, вторая - 2nd_op_tolerance, третья - 3rd_op_tolerance
+ */
+export function getTraineeTolerance(completedCount, settings) {
+    const tolerances = [
+        settings['1st_op_tolerance'],
+        settings['2nd_op_tolerance'],
+        settings['3rd_op_tolerance']
+    ];
+
+    return tolerances[completedCount] || 0;
+}
@@ -0,0 +1,447 @@
+/**
+ * Экспорт плана: iCalendar по исполнителям, CSV/XLSX и MS Project XML
+ */
+
+import { formatDateTime } from './dates.js';
+import { getExecutorCalendar, getWorkingMinutesBetween, splitByWorkingDays } from './calendar.js';
+import { getPlanItems } from './editing.js';
+import { buildItemDependencies } from './analysis.js';
+import { createZip } from './zip.js';
+import { getAssignmentMinutes } from './splitting.js';
+
+/**
+ * Находит строку проекта (задачу или операцию) назначения
+ */
+function findItem(result, assignment) {
+    const project = result.projects.find(p => p.projectId === assignment.projectId);
+    if (!project) return null;
+    return project.items.find(item => (item['ОперацияID'] || item['Задача проектаID']) === assignment.taskId) || null;
+}
+
+/**
+ * Находит задачу проекта назначения
+ */
+function findTaskGroup(result, assignment) {
+    const project = result.projects.find(p => p.projectId === assignment.projectId);
+    if (!project || !project.taskGroups) return null;
+    return project.taskGroups.find(tg => tg.taskId === assignment.taskGroupId) || null;
+}
+
+/**
+ * Форматирует дату для iCalendar: "YYYYMMDDTHHMMSS" (местное время) или с Z (UTC)
+ */
+function formatICalendarDate(date, utc = false) {
+    const pad = n => String(n).padStart(2, '0');
+    if (utc) {
+        return `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}T` +
+            `${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+    }
+    return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}T` +
+        `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+}
+
+/**
+ * Экранирует текст для iCalendar
+ */
+function escapeICalendarText(value) {
+    return String(value || '')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Переносит строку iCalendar длиннее 75 байт (продолжение начинается с пробела)
+ */
+function foldICalendarLine(line) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    let current = '';
+
+    for (const char of line) {
+        const limit = parts.length === 0 ? 75 : 74;
+        if (encoder.encode(current + char).length > limit) {
+            parts.push(current);
+            current = '';
+        }
+        current += char;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+}
+
+/**
+ * Формирует календарь iCalendar (.ics) назначений исполнителя.
+ * Событие создается на каждый отрезок назначения по рабочим дням (см. calculateWorkSegments),
+ * работа исполнителя частями - несколькими событиями. Место - поле "Координаты".
+ * options.now - время формирования (DTSTAMP), по умолчанию текущее.
+ */
+export function exportICalendar(result, executorId, options = {}) {
+    const now = options.now || new Date();
+    const executor = result.executors.find(ex => ex['ПользовательID'] === executorId);
+    const executorCalendar = executor ? getExecutorCalendar(executor, result.calendar) : result.calendar;
+    const executorName = executor ? executor['Пользователь'] : executorId;
+
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//integram//scheduler//RU',
+        'CALSCALE:GREGORIAN',
+        `X-WR-CALNAME:${escapeICalendarText(`График: ${executorName}`)}`
+    ];
+
+    const assignments = result.assignments
+        .filter(a => a.executorId === executorId)
+        .sort((a, b) => a.startTime - b.startTime);
+
+    for (const assignment of assignments) {
+        const item = findItem(result, assignment);
+        const taskGroup = findTaskGroup(result, assignment);
+        const location = item ? item['Координаты'] : '';
+        const description = [
+            `Проект: ${assignment.projectName || ''}`,
+            taskGroup && taskGroup.taskName !== assignment.taskName ? `Задача: ${taskGroup.taskName}` : null,
+            `Длительность: ${assignment.duration} мин`
+        ].filter(Boolean).join('\n');
+
+        // Событие на каждый отрезок работы по дням
+        (assignment.segments || splitByWorkingDays(assignment.startTime, assignment.endTime, executorCalendar)).forEach((segment, index) => {
+            lines.push(
+                'BEGIN:VEVENT',
+                `UID:${assignment.projectId}-${assignment.taskId}-${executorId}-${index + 1}@scheduler`,
+                `DTSTAMP:${formatICalendarDate(now, true)}`,
+                `DTSTART:${formatICalendarDate(segment.startTime)}`,
+                `DTEND:${formatICalendarDate(segment.endTime)}`,
+                `SUMMARY:${escapeICalendarText(`${assignment.taskName} (${assignment.projectName || ''})`)}`,
+                `DESCRIPTION:${escapeICalendarText(description)}`
+            );
+            if (location) {
+                lines.push(`LOCATION:${escapeICalendarText(location)}`);
+            }
+            lines.push('END:VEVENT');
+        });
+    }
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldICalendarLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Возвращает таблицу плана: заголовки и строки (по строке на назначение исполнителя)
+ */
+export function getPlanTable(result) {
+    const analysisItems = new Map();
+    for (const project of (result.analysis ? result.analysis.projects : [])) {
+        for (const item of project.items) {
+            analysisItems.set(item.key, item);
+        }
+    }
+
+    const headers = [
+        'Проект', 'Задача', 'Операция', 'Исполнитель', 'Начало', 'Окончание',
+        'Длительность (мин)', 'Норматив (мин)', 'Резерв (мин)', 'Критический путь', 'Координаты', 'Причина назначения'
+    ];
+
+    const rows = result.assignments
+        .slice()
+        .sort((a, b) => a.startTime - b.startTime)
+        .map(assignment => {
+            const item = findItem(result, assignment);
+            const taskGroup = findTaskGroup(result, assignment);
+            const analysis = analysisItems.get(`${assignment.projectId}:${assignment.taskId}`);
+            const isOperation = item ? !!item['ОперацияID'] : false;
+
+            return [
+                assignment.projectName || '',
+                taskGroup ? taskGroup.taskName : assignment.taskName,
+                isOperation ? assignment.taskName : '',
+                assignment.executorName,
+                formatDateTime(assignment.startTime),
+                formatDateTime(assignment.endTime),
+                assignment.duration,
+                assignment.normative,
+                analysis ? analysis.slack : '',
+                analysis && analysis.critical ? 'да' : '',
+                item ? (item['Координаты'] || '') : '',
+                assignment.reason || ''
+            ];
+        });
+
+    return { headers, rows };
+}
+
+/**
+ * Формирует CSV плана (разделитель ";", как ожидает Excel с русской локалью)
+ */
+export function exportCsv(result) {
+    const { headers, rows } = getPlanTable(result);
+    const escape = value => {
+        const text = String(value);
+        return /[";\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    return [headers, ...rows].map(row => row.map(escape).join(';')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Экранирует текст для XML
+ */
+function escapeXml(value) {
+    return String(value === undefined || value === null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Возвращает имя столбца Excel по номеру (0 - "A")
+ */
+function getColumnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        name = String.fromCharCode(65 + (n - 1) % 26) + name;
+    }
+    return name;
+}
+
+/**
+ * Формирует книгу XLSX с планом (один лист "План"). Возвращает Uint8Array.
+ */
+export function exportXlsx(result) {
+    const { headers, rows } = getPlanTable(result);
+
+    const sheetRows = [headers, ...rows].map((row, rowIndex) => {
+        const cells = row.map((value, columnIndex) => {
+            const ref = `${getColumnName(columnIndex)}${rowIndex + 1}`;
+            if (typeof value === 'number') {
+                return `<c r="${ref}"><v>${value}</v></c>`;
+            }
+            const style = rowIndex === 0 ? ' s="1"' : '';
+            return `<c r="${ref}" t="inlineStr"${style}><is><t>${escapeXml(value)}</t></is></c>`;
+        });
+        return `<row r="${rowIndex + 1}">${cells.join('')}</row>`;
+    });
+
+    const xmlHeader = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+    const files = [
+        {
+            name: '[Content_Types].xml',
+            content: xmlHeader +
+                '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+                '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                '<Default Extension="xml" ContentType="application/xml"/>' +
+                '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+                '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+                '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+                '</Types>'
+        },
+        {
+            name: '_rels/.rels',
+            content: xmlHeader +
+                '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+                '</Relationships>'
+        },
+        {
+            name: 'xl/workbook.xml',
+            content: xmlHeader +
+                '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+                'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+                '<sheets><sheet name="План" sheetId="1" r:id="rId1"/></sheets></workbook>'
+        },
+        {
+            name: 'xl/_rels/workbook.xml.rels',
+            content: xmlHeader +
+                '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+                '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+                '</Relationships>'
+        },
+        {
+            // Стиль 1 - полужирный шрифт заголовков
+            name: 'xl/styles.xml',
+            content: xmlHeader +
+                '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+                '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+                '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+                '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+                '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+                '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+                '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+                '</styleSheet>'
+        },
+        {
+            name: 'xl/worksheets/sheet1.xml',
+            content: xmlHeader +
+                '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+                `<sheetData>${sheetRows.join('')}</sheetData></worksheet>`
+        }
+    ];
+
+    return createZip(files);
+}
+
+/**
+ * Форматирует дату для MS Project: "YYYY-MM-DDTHH:MM:SS"
+ */
+function formatProjectDate(date) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T` +
+        `${pad(date.getHours())}:${pad(date.getMinutes())}:00`;
+}
+
+/**
+ * Форматирует длительность в минутах для MS Project: "PT{ч}H{м}M0S"
+ */
+function formatProjectDuration(minutes) {
+    return `PT${Math.floor(minutes / 60)}H${minutes % 60}M0S`;
+}
+
+/**
+ * Формирует XML для MS Project (формат MSPDI): проекты и задачи - суммарные задачи,
+ * операции - подзадачи со связями "окончание-начало", исполнители - трудовые ресурсы
+ * с назначениями.
+ */
+export function exportMsProjectXml(result) {
+    const tasks = [];
+    const resources = [];
+    const assignmentRecords = [];
+    const taskUids = new Map();
+    let nextUid = 1;
+
+    const addTask = task => {
+        task.uid = nextUid++;
+        tasks.push(task);
+        return task;
+    };
+
+    // Суммарная задача: от начала первой до окончания последней работы
+    const addSummaryTask = (name, outlineLevel, planItems) => {
+        const startTime = new Date(Math.min(...planItems.map(p => p.assignments[0].startTime.getTime())));
+        const endTime = new Date(Math.max(...planItems.map(p => p.assignments[0].endTime.getTime())));
+        return addTask({
+            name,
+            outlineLevel,
+            summary: true,
+            startTime,
+            endTime,
+            duration: getWorkingMinutesBetween(startTime, endTime, result.calendar),
+            predecessors: []
+        });
+    };
+
+    for (const project of result.projects) {
+        const planItems = getPlanItems(project, result.assignments);
+        if (planItems.length === 0) continue;
+
+        const dependencies = buildItemDependencies(project, planItems);
+        addSummaryTask(project.projectName, 1, planItems);
+
+        let currentGroup = null;
+        for (const planItem of planItems) {
+            const first = planItem.assignments[0];
+            const isOperation = !!planItem.item['ОперацияID'];
+
+            // Задача с операциями - суммарная задача второго уровня
+            if (isOperation && currentGroup !== planItem.taskGroup) {
+                currentGroup = planItem.taskGroup;
+                addSummaryTask(currentGroup.taskName, 2, planItems.filter(p => p.taskGroup === currentGroup));
+            } else if (!isOperation) {
+                currentGroup = null;
+            }
+
+            const task = addTask({
+                name: first.taskName,
+                outlineLevel: isOperation ? 3 : 2,
+                summary: false,
+                startTime: first.startTime,
+                endTime: first.endTime,
+                duration: first.duration,
+                predecessors: dependencies.get(planItem.key).map(link => ({ key: link.work.key, type: link.type, lag: link.lag }))
+            });
+            taskUids.set(planItem.key, task.uid);
+
+            for (const assignment of planItem.assignments) {
+                let resource = resources.find(r => r.executorId === assignment.executorId);
+                if (!resource) {
+                    resource = { uid: resources.length + 1, executorId: assignment.executorId, name: assignment.executorName };
+                    resources.push(resource);
+                }
+                assignmentRecords.push({
+                    uid: assignmentRecords.length + 1,
+                    taskUid: task.uid,
+                    resourceUid: resource.uid,
+                    startTime: assignment.startTime,
+                    endTime: assignment.endTime,
+                    work: getAssignmentMinutes(assignment)
+                });
+            }
+        }
+    }
+
+    let xml = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+    xml += '<Project xmlns="http://schemas.microsoft.com/project">\n';
+    xml += '  <Name>График выполнения задач</Name>\n';
+    xml += '  <MinutesPerDay>480</MinutesPerDay>\n';
+    xml += '  <Tasks>\n';
+    tasks.forEach((task, index) => {
+        xml += '    <Task>\n';
+        xml += `      <UID>${task.uid}</UID>\n`;
+        xml += `      <ID>${index + 1}</ID>\n`;
+        xml += `      <Name>${escapeXml(task.name)}</Name>\n`;
+        xml += `      <OutlineLevel>${task.outlineLevel}</OutlineLevel>\n`;
+        xml += `      <Summary>${task.summary ? 1 : 0}</Summary>\n`;
+        xml += `      <Start>${formatProjectDate(task.startTime)}</Start>\n`;
+        xml += `      <Finish>${formatProjectDate(task.endTime)}</Finish>\n`;
+        xml += `      <Duration>${formatProjectDuration(task.duration)}</Duration>\n`;
+        xml += '      <DurationFormat>7</DurationFormat>\n';
+        if (!task.summary) {
+            // Закрепляем запланированное начало ("начало не ранее")
+            xml += '      <ConstraintType>4</ConstraintType>\n';
+            xml += `      <ConstraintDate>${formatProjectDate(task.startTime)}</ConstraintDate>\n`;
+        }
+        for (const predecessor of task.predecessors) {
+            xml += '      <PredecessorLink>\n';
+            xml += `        <PredecessorUID>${taskUids.get(predecessor.key)}</PredecessorUID>\n`;
+            // Тип связи: 1 - окончание-начало, 3 - начало-начало; задержка в десятых долях минуты
+            xml += `        <Type>${predecessor.type === 'SS' ? 3 : 1}</Type>\n`;
+            if (predecessor.lag > 0) {
+                xml += `        <LinkLag>${predecessor.lag * 10}</LinkLag>\n`;
+                xml += '        <LagFormat>3</LagFormat>\n';
+            }
+            xml += '      </PredecessorLink>\n';
+        }
+        xml += '    </Task>\n';
+    });
+    xml += '  </Tasks>\n';
+
+    xml += '  <Resources>\n';
+    for (const resource of resources) {
+        xml += '    <Resource>\n';
+        xml += `      <UID>${resource.uid}</UID>\n`;
+        xml += `      <ID>${resource.uid}</ID>\n`;
+        xml += `      <Name>${escapeXml(resource.name)}</Name>\n`;
+        xml += '      <Type>1</Type>\n';
+        xml += '    </Resource>\n';
+    }
+    xml += '  </Resources>\n';
+
+    xml += '  <Assignments>\n';
+    for (const record of assignmentRecords) {
+        xml += '    <Assignment>\n';
+        xml += `      <UID>${record.uid}</UID>\n`;
+        xml += `      <TaskUID>${record.taskUid}</TaskUID>\n`;
+        xml += `      <ResourceUID>${record.resourceUid}</ResourceUID>\n`;
+        xml += `      <Start>${formatProjectDate(record.startTime)}</Start>\n`;
+        xml += `      <Finish>${formatProjectDate(record.endTime)}</Finish>\n`;
+        xml += `      <Work>${formatProjectDuration(record.work)}</Work>\n`;
+        xml += '    </Assignment>\n';
+    }
+    xml += '  </Assignments>\n';
+    xml += '</Project>\n';
+
+    return xml;
+}
@@ -0,0 +1,667 @@
+/**
+ * Диаграмма Ганта: задачи и операции по проектам или дорожки исполнителей
+ */
+
+import { isWorkingDay } from './calendar.js';
+import { formatDateShort, formatMinutes } from './dates.js';
+import { getItemSection } from './graph.js';
+import { getAssignmentSegments } from './splitting.js';
+
+// Размеры диаграммы в пикселях
+const LABEL_WIDTH = 260;
+const HEADER_HEIGHT = 40;
+const ROW_HEIGHT = 26;
+const BAR_HEIGHT = 16;
+
+// Ширина рабочего дня на шкале при масштабе по дням и по неделям
+const DAY_WIDTHS = { day: 180, week: 36 };
+
+// Цвета полос по проектам
+const PROJECT_COLORS = ['#1976d2', '#388e3c', '#f57c00', '#7b1fa2', '#00838f', '#c2185b'];
+
+const WEEKDAY_NAMES = ['Вс', 'Пн', 'Вт', 'Ср', 'Чт', 'Пт', 'Сб'];
+
+/**
+ * Экранирует значение для HTML-атрибута
+ */
+function escapeAttribute(value) {
+    return String(value === undefined || value === null ? '' : value)
+        .replace(/"/g, '&quot;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+/**
+ * Экранирует значение для текста HTML-элемента
+ */
+function escapeHtml(value) {
+    return String(value === undefined || value === null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+/**
+ * Форматирует дату и время в формат "DD.MM HH:MM"
+ */
+function formatShortDateTime(date) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${pad(date.getDate())}.${pad(date.getMonth() + 1)} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+/**
+ * Форматирует дату в формат "DD.MM"
+ */
+function formatDayMonth(date) {
+    return formatShortDateTime(date).split(' ')[0];
+}
+
+/**
+ * Возвращает полночь дня указанной даты
+ */
+function startOfDay(date) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+/**
+ * Дорожки ресурсов (исполнителей или единиц оборудования) по назначениям: полоса на каждый
+ * отрезок назначения, пересекающиеся отрезки одного ресурса отмечаются.
+ * getLaneKey(usage) - ключ дорожки, createLane(usage) - поля дорожки.
+ */
+function buildLanes(usages, operations, getLaneKey, createLane) {
+    const lanes = new Map();
+    for (const usage of usages) {
+        const laneKey = getLaneKey(usage);
+        if (!lanes.has(laneKey)) {
+            lanes.set(laneKey, Object.assign(createLane(usage), { bars: [] }));
+        }
+        getAssignmentSegments(usage).forEach((segment, index) => {
+            lanes.get(laneKey).bars.push({
+                operation: operations.get(`${usage.projectId}:${usage.taskId}`),
+                startTime: segment.startTime,
+                endTime: segment.endTime,
+                continuation: index > 0,
+                overlap: false
+            });
+        });
+    }
+
+    for (const lane of lanes.values()) {
+        lane.bars.sort((a, b) => a.startTime - b.startTime);
+        for (let i = 0; i < lane.bars.length; i++) {
+            for (let j = i + 1; j < lane.bars.length; j++) {
+                const a = lane.bars[i];
+                const b = lane.bars[j];
+                if (a.startTime < b.endTime && b.startTime < a.endTime) {
+                    a.overlap = true;
+                    b.overlap = true;
+                }
+            }
+        }
+    }
+
+    return Array.from(lanes.values());
+}
+
+/**
+ * Строит модель диаграммы из результата планирования
+ * { assignments, equipmentAssignments, projects, calendar, violations, analysis }:
+ * рабочие дни шкалы, задачи проектов с операциями и связями, дорожки исполнителей и оборудования.
+ */
+export function buildGanttModel(result) {
+    const { assignments, projects, calendar } = result;
+    const violations = result.violations || [];
+
+    // Резервы времени и критический путь (см. analyzeSchedule)
+    const analysisItems = new Map();
+    for (const project of (result.analysis ? result.analysis.projects : [])) {
+        for (const item of project.items) {
+            analysisItems.set(item.key, item);
+        }
+    }
+
+    // Одна полоса на задачу/операцию: исполнители бригады объединяются
+    const operations = new Map();
+    for (const assignment of assignments) {
+        const key = `${assignment.projectId}:${assignment.taskId}`;
+        if (!operations.has(key)) {
+            operations.set(key, {
+                key,
+                taskId: assignment.taskId,
+                taskName: assignment.taskName,
+                taskGroupId: assignment.taskGroupId,
+                projectId: assignment.projectId,
+                projectName: assignment.projectName,
+                startTime: assignment.startTime,
+                endTime: assignment.endTime,
+                normative: assignment.normative,
+                duration: assignment.duration,
+                tolerance: assignment.tolerance,
+                fixed: assignment.fixed,
+                executors: [],
+                // Отрезки работы по дням: объединение отрезков исполнителей
+                segments: [],
+                // Нарушения ограничений после ручной корректировки плана
+                violations: violations.filter(v => v.key === key).map(v => v.message),
+                slack: analysisItems.has(key) ? analysisItems.get(key).slack : null,
+                critical: analysisItems.has(key) && analysisItems.get(key).critical
+            });
+        }
+        const operation = operations.get(key);
+        operation.executors.push(assignment.executorName);
+        for (const segment of getAssignmentSegments(assignment)) {
+            if (!operation.segments.some(s => s.startTime.getTime() === segment.startTime.getTime() &&
+                s.endTime.getTime() === segment.endTime.getTime())) {
+                operation.segments.push({ startTime: segment.startTime, endTime: segment.endTime });
+            }
+        }
+    }
+    for (const operation of operations.values()) {
+        operation.segments.sort((a, b) => a.startTime - b.startTime);
+    }
+
+    const byStart = (a, b) => a.startTime - b.startTime;
+
+    const ganttProjects = projects.map((project, index) => {
+        const color = PROJECT_COLORS[index % PROJECT_COLORS.length];
+        const groups = [];
+
+        for (const taskGroup of project.taskGroups || []) {
+            const groupOperations = Array.from(operations.values())
+                .filter(op => op.projectId === project.projectId && op.taskGroupId === taskGroup.taskId)
+                .sort(byStart);
+            if (groupOperations.length === 0) continue;
+
+            for (const operation of groupOperations) {
+                const item = project.items.find(i => (i['ОперацияID'] || i['Задача проектаID']) === operation.taskId);
+                operation.quantity = item ? (item['Кол-во'] || item['К-во'] || '') : '';
+                operation.unit = item ? (item['Ед.изм.'] || '') : '';
+                operation.section = item ? getItemSection(item) : '';
+                operation.color = color;
+            }
+
+            groups.push({
+                taskId: taskGroup.taskId,
+                taskName: taskGroup.taskName,
+                startTime: groupOperations[0].startTime,
+                endTime: new Date(Math.max(...groupOperations.map(op => op.endTime.getTime()))),
+                predecessors: (taskGroup.predecessors || []).map(predecessor => predecessor.taskId),
+                operations: groupOperations
+            });
+        }
+
+        groups.sort(byStart);
+        return { projectId: project.projectId, projectName: project.projectName, color, groups };
+    });
+
+    // Дорожки исполнителей и единиц оборудования
+    const lanes = buildLanes(assignments, operations, assignment => assignment.executorId, assignment => ({
+        executorId: assignment.executorId,
+        executorName: assignment.executorName
+    }));
+    const equipmentLanes = buildLanes(result.equipmentAssignments || [], operations,
+        usage => `${usage.equipmentId}#${usage.unit}`,
+        usage => ({ equipmentId: usage.equipmentId, unit: usage.unit, equipmentName: usage.equipmentName }));
+
+    // Шкала: рабочие дни от первого до последнего назначения
+    // (и нерабочие дни, если на них есть работа, например по смене исполнителя)
+    const days = [];
+    let axisStart = calendar.dayStart;
+    let axisEnd = calendar.dayEnd;
+
+    if (assignments.length > 0) {
+        const busyDays = new Set();
+        for (const assignment of assignments) {
+            busyDays.add(formatDateShort(assignment.startTime));
+            busyDays.add(formatDateShort(assignment.endTime));
+            axisStart = Math.min(axisStart, assignment.startTime.getHours() * 60 + assignment.startTime.getMinutes());
+            axisEnd = Math.max(axisEnd, assignment.endTime.getHours() * 60 + assignment.endTime.getMinutes());
+        }
+
+        const first = startOfDay(new Date(Math.min(...assignments.map(a => a.startTime.getTime()))));
+        const last = startOfDay(new Date(Math.max(...assignments.map(a => a.endTime.getTime()))));
+
+        for (let day = first; day <= last; day = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1)) {
+            if (isWorkingDay(day, calendar) || busyDays.has(formatDateShort(day))) {
+                days.push(day);
+            }
+        }
+    }
+
+    return {
+        days,
+        axisStart,
+        axisEnd,
+        projects: ganttProjects,
+        executors: lanes.sort((a, b) => a.executorName.localeCompare(b.executorName)),
+        equipment: equipmentLanes.sort((a, b) => a.equipmentName.localeCompare(b.equipmentName))
+    };
+}
+
+/**
+ * Возвращает функцию, переводящую время в координату X на шкале рабочих дней
+ */
+function createTimeScale(model, dayWidth) {
+    const dayIndex = new Map(model.days.map((day, index) => [formatDateShort(day), index]));
+    const span = Math.max(model.axisEnd - model.axisStart, 1);
+
+    return time => {
+        let index = dayIndex.get(formatDateShort(time));
+        let minutes = time.getHours() * 60 + time.getMinutes();
+
+        if (index === undefined) {
+            // Дня нет на шкале: время переносится на начало следующего дня шкалы
+            index = model.days.findIndex(day => day > time);
+            if (index === -1) index = model.days.length;
+            minutes = model.axisStart;
+        }
+
+        const offset = Math.min(Math.max(minutes - model.axisStart, 0), span) / span;
+        return Math.round((index + offset) * dayWidth);
+    };
+}
+
+/**
+ * Возвращает функцию, переводящую координату X на шкале во время (с шагом 5 минут)
+ */
+function createInverseScale(model, dayWidth) {
+    const span = Math.max(model.axisEnd - model.axisStart, 1);
+
+    return x => {
+        const index = Math.min(Math.max(Math.floor(x / dayWidth), 0), model.days.length - 1);
+        const offset = Math.min(Math.max(x / dayWidth - index, 0), 1);
+        const minutes = model.axisStart + Math.round(offset * span / 5) * 5;
+        const day = model.days[index];
+        return new Date(day.getFullYear(), day.getMonth(), day.getDate(), 0, minutes);
+    };
+}
+
+/**
+ * Текст всплывающей подсказки полосы: сроки, норматив, количество, захватка и исполнители
+ */
+function getOperationTitle(operation) {
+    const lines = [
+        operation.taskName,
+        `Проект: ${operation.projectName || ''}`,
+        `${formatShortDateTime(operation.startTime)} - ${formatShortDateTime(operation.endTime)}`,
+        `Норматив: ${operation.normative} мин` +
+            (operation.duration !== operation.normative ? ` (с надбавкой ${operation.duration} мин)` : '')
+    ];
+    if (operation.quantity) {
+        lines.push(`Количество: ${operation.quantity} ${operation.unit}`.trim());
+    }
+    if (operation.section) {
+        lines.push(`Захватка: ${operation.section}`);
+    }
+    if (operation.segments.length > 1) {
+        lines.push(`Выполняется частями: ${operation.segments.length}`);
+    }
+    lines.push(`Исполнители: ${operation.executors.join(', ')}`);
+    if (operation.fixed) {
+        lines.push('Начало закреплено');
+    }
+    if (operation.critical) {
+        lines.push('Критический путь');
+    } else if (operation.slack !== null) {
+        lines.push(`Резерв: ${formatMinutes(operation.slack)}`);
+    }
+    lines.push(...operation.violations);
+    return lines.map(escapeAttribute).join('&#10;');
+}
+
+/**
+ * Полосы работы: по одной на отрезок работы по дням. Работу переносят за первый отрезок,
+ * продолжения только отображаются.
+ */
+function getOperationBars(operation) {
+    return operation.segments.map((segment, index) => ({
+        key: index === 0 ? operation.key : null,
+        startTime: segment.startTime,
+        endTime: segment.endTime,
+        color: operation.color,
+        title: getOperationTitle(operation),
+        text: index === 0 ? operation.executors.join(', ') : '',
+        warning: operation.violations.length > 0,
+        critical: operation.critical
+    }));
+}
+
+/**
+ * Строки режима "По задачам": проект, задачи проекта и их операции
+ */
+function buildTaskRows(model) {
+    const rows = [];
+
+    for (const project of model.projects) {
+        rows.push({ label: project.projectName, level: 0, bars: [] });
+
+        for (const group of project.groups) {
+            // Задача без операций представлена одной строкой с полосой задачи
+            const ownOperation = group.operations.length === 1 && group.operations[0].taskId === group.taskId
+                ? group.operations[0]
+                : null;
+
+            rows.push({
+                label: group.taskName,
+                level: 1,
+                groupKey: `${project.projectId}:${group.taskId}`,
+                group,
+                bars: ownOperation ? getOperationBars(ownOperation) : [{
+                    startTime: group.startTime,
+                    endTime: group.endTime,
+                    color: '#455a64',
+                    title: [group.taskName, `${formatShortDateTime(group.startTime)} - ${formatShortDateTime(group.endTime)}`]
+                        .map(escapeAttribute).join('&#10;'),
+                    summary: true
+                }]
+            });
+            if (ownOperation) continue;
+
+            for (const operation of group.operations) {
+                rows.push({ label: operation.taskName, level: 2, bars: getOperationBars(operation) });
+            }
+        }
+    }
+
+    return rows;
+}
+
+/**
+ * Строки режима "По исполнителям": дорожка на каждого исполнителя, под ними - на каждую единицу оборудования.
+ * Работу переносят за первый отрезок, продолжения только отображаются.
+ */
+function buildExecutorRows(model) {
+    const laneBars = (lane, overlapTitle) => lane.bars.map(bar => ({
+        key: bar.continuation ? null : bar.operation.key,
+        startTime: bar.startTime,
+        endTime: bar.endTime,
+        color: bar.operation.color,
+        title: getOperationTitle(bar.operation) + (bar.overlap ? `&#10;${overlapTitle}` : ''),
+        text: bar.operation.taskName,
+        warning: bar.overlap || bar.operation.violations.length > 0,
+        critical: bar.operation.critical
+    }));
+
+    const rows = model.executors.map(lane => ({
+        label: lane.executorName,
+        level: 0,
+        bars: laneBars(lane, 'Пересечение с другой работой исполнителя')
+    }));
+
+    // Оборудование - под исполнителями, дорожка на каждую единицу
+    if (model.equipment.length > 0) {
+        rows.push({ label: 'Оборудование', level: 0, bars: [] });
+        rows.push(...model.equipment.map(lane => ({
+            label: lane.equipmentName,
+            level: 1,
+            bars: laneBars(lane, 'Пересечение с другой работой на этом оборудовании')
+        })));
+    }
+
+    return rows;
+}
+
+/**
+ * Генерирует шкалу времени: дни (масштаб по дням) или недели с числами (масштаб по неделям)
+ */
+function generateTimeAxis(model, zoom, dayWidth) {
+    const cellStyle = 'position: absolute; height: 20px; line-height: 20px; font-size: 11px; ' +
+        'overflow: hidden; white-space: nowrap; border-left: 1px solid #ddd; box-sizing: border-box; padding-left: 3px;';
+    let html = '';
+
+    if (zoom === 'week') {
+        // Верхняя строка - недели (с понедельника), нижняя - числа месяца
+        let weekStart = 0;
+        model.days.forEach((day, index) => {
+            const next = model.days[index + 1];
+            const weekEnds = !next || next.getDay() === 1 || next - day > 6 * 24 * 60 * 60 * 1000;
+            if (weekEnds) {
+                const monday = new Date(day.getFullYear(), day.getMonth(), day.getDate() - ((day.getDay() + 6) % 7));
+                html += `<div style="${cellStyle} top: 0; left: ${weekStart * dayWidth}px; width: ${(index - weekStart + 1) * dayWidth}px;">` +
+                    `Неделя с ${formatDayMonth(monday)}</div>`;
+                weekStart = index + 1;
+            }
+            html += `<div style="${cellStyle} top: 20px; left: ${index * dayWidth}px; width: ${dayWidth}px;">${day.getDate()}</div>`;
+        });
+        return html;
+    }
+
+    // Верхняя строка - дни, нижняя - часы через каждые 2 часа
+    const span = Math.max(model.axisEnd - model.axisStart, 1);
+    model.days.forEach((day, index) => {
+        html += `<div style="${cellStyle} top: 0; left: ${index * dayWidth}px; width: ${dayWidth}px;">` +
+            `${WEEKDAY_NAMES[day.getDay()]} ${formatDayMonth(day)}</div>`;
+
+        for (let hour = Math.ceil(model.axisStart / 60); hour * 60 < model.axisEnd; hour += 2) {
+            const left = index * dayWidth + Math.round((hour * 60 - model.axisStart) / span * dayWidth);
+            html += `<div style="position: absolute; top: 20px; left: ${left}px; font-size: 10px; color: #777;">${hour}</div>`;
+        }
+    });
+    return html;
+}
+
+/**
+ * Генерирует стрелки связей предшествования между задачами (режим "По задачам")
+ */
+function generateLinks(rows, scale, width, height) {
+    const rowIndex = new Map();
+    rows.forEach((row, index) => {
+        if (row.groupKey) rowIndex.set(row.groupKey, index);
+    });
+
+    let paths = '';
+    rows.forEach((row, index) => {
+        if (!row.group) return;
+        const projectId = row.groupKey.split(':')[0];
+
+        for (const predecessorId of row.group.predecessors) {
+            const predecessorIndex = rowIndex.get(`${projectId}:${predecessorId}`);
+            if (predecessorIndex === undefined) continue;
+
+            const predecessor = rows[predecessorIndex].group;
+            const x1 = scale(predecessor.endTime);
+            const y1 = predecessorIndex * ROW_HEIGHT + ROW_HEIGHT / 2;
+            const x2 = scale(row.group.startTime);
+            const y2 = index * ROW_HEIGHT + ROW_HEIGHT / 2;
+
+            // Если начало задачи левее выхода стрелки, стрелка огибает строку сверху
+            const d = x2 >= x1 + 12
+                ? `M${x1},${y1} H${x1 + 6} V${y2} H${x2}`
+                : `M${x1},${y1} H${x1 + 6} V${y2 - ROW_HEIGHT / 2} H${x2 - 6} V${y2} H${x2}`;
+            paths += `<path d="${d}" fill="none" stroke="#555" stroke-width="1" marker-end="url(#scheduler-gantt-arrow)"/>`;
+        }
+    });
+
+    return `<svg width="${width}" height="${height}" style="position: absolute; left: 0; top: ${HEADER_HEIGHT}px; pointer-events: none;">` +
+        '<defs><marker id="scheduler-gantt-arrow" markerWidth="6" markerHeight="6" refX="6" refY="3" orient="auto">' +
+        '<path d="M0,0 L6,3 L0,6 z" fill="#555"/></marker></defs>' +
+        paths + '</svg>';
+}
+
+/**
+ * Генерирует содержимое диаграммы для режима view ("tasks" | "executors") и масштаба zoom ("day" | "week").
+ * В режиме редактирования полосы работ можно перетаскивать.
+ */
+function generateGanttChart(model, view, zoom, editing) {
+    const dayWidth = DAY_WIDTHS[zoom] || DAY_WIDTHS.day;
+    const scale = createTimeScale(model, dayWidth);
+    const rows = view === 'executors' ? buildExecutorRows(model) : buildTaskRows(model);
+    const width = model.days.length * dayWidth;
+    const height = rows.length * ROW_HEIGHT;
+
+    // Подписи строк
+    let labels = `<div style="flex: 0 0 ${LABEL_WIDTH}px; border-right: 1px solid #ddd; background-color: #fff;">`;
+    labels += `<div style="height: ${HEADER_HEIGHT}px; border-bottom: 1px solid #ddd; background-color: #f0f0f0;"></div>`;
+    for (const row of rows) {
+        labels += `<div title="${escapeAttribute(row.label)}" style="height: ${ROW_HEIGHT}px; line-height: ${ROW_HEIGHT}px; ` +
+            `padding-left: ${5 + row.level * 14}px; font-size: 12px; font-weight: ${row.level === 0 ? 'bold' : 'normal'}; ` +
+            'white-space: nowrap; overflow: hidden; text-overflow: ellipsis; border-bottom: 1px solid #eee; box-sizing: border-box;">' +
+            `${escapeHtml(row.label)}</div>`;
+    }
+    labels += '</div>';
+
+    // Шкала, сетка дней и полосы
+    let chart = `<div style="position: relative; width: ${width}px; height: ${HEADER_HEIGHT + height}px;">`;
+    chart += `<div style="position: absolute; top: 0; left: 0; width: ${width}px; height: ${HEADER_HEIGHT}px; ` +
+        'border-bottom: 1px solid #ddd; background-color: #f0f0f0;">';
+    chart += generateTimeAxis(model, zoom, dayWidth);
+    chart += '</div>';
+
+    model.days.forEach((day, index) => {
+        // Начало недели выделяется более темной линией
+        const weekStart = index > 0 && (day.getDay() === 1 || day - model.days[index - 1] > 24 * 60 * 60 * 1000);
+        chart += `<div style="position: absolute; top: ${HEADER_HEIGHT}px; left: ${index * dayWidth}px; width: 0; ` +
+            `height: ${height}px; border-left: 1px solid ${weekStart ? '#bbb' : '#eee'};"></div>`;
+    });
+
+    rows.forEach((row, index) => {
+        const top = HEADER_HEIGHT + index * ROW_HEIGHT;
+        for (const bar of row.bars) {
+            const left = scale(bar.startTime);
+            const barWidth = Math.max(scale(bar.endTime) - left, 2);
+            const barHeight = bar.summary ? BAR_HEIGHT / 2 : BAR_HEIGHT;
+            // Нарушения выделяются красной рамкой, работы критического пути - черной
+            const border = bar.warning
+                ? 'outline: 2px solid #c62828; '
+                : (bar.critical ? 'outline: 2px solid #000; ' : '');
+            const draggable = editing && bar.key;
+            chart += `<div class="scheduler-gantt-bar"${bar.key ? ` data-item-key="${bar.key}"` : ''} title="${bar.title}" ` +
+                `style="position: absolute; cursor: ${draggable ? 'move' : 'default'}; ` +
+                `top: ${top + (ROW_HEIGHT - barHeight) / 2}px; left: ${left}px; width: ${barWidth}px; height: ${barHeight}px; ` +
+                `background-color: ${bar.color}; border-radius: 3px; ${border}color: #fff; font-size: 10px; ` +
+                `line-height: ${barHeight}px; white-space: nowrap; overflow: hidden; padding-left: 2px; box-sizing: border-box;">` +
+                `${bar.text && barWidth > 40 ? bar.text : ''}</div>`;
+        }
+    });
+
+    if (view !== 'executors') {
+        chart += generateLinks(rows, scale, width, height);
+    }
+    chart += '</div>';
+
+    return labels + `<div style="flex: 1; overflow-x: auto;">${chart}</div>`;
+}
+
+/**
+ * Генерирует HTML диаграммы Ганта с переключателями режима и масштаба.
+ * options: { view: "tasks" | "executors", zoom: "day" | "week", editable, editing }
+ * (editable - показывать переключатель режима редактирования)
+ */
+export function generateGantt(model, options = {}) {
+    if (model.days.length === 0) return '';
+
+    const view = options.view || 'tasks';
+    const zoom = options.zoom || 'day';
+    const editing = !!options.editing;
+    const button = (attribute, value, label, active) =>
+        `<button type="button" data-gantt-${attribute}="${value}" style="font-weight: ${active ? 'bold' : 'normal'};">${label}</button> `;
+
+    let html = '<div class="scheduler-gantt" style="margin: 20px 0;">';
+    html += '<h3>Диаграмма Ганта</h3>';
+    html += '<p>';
+    html += button('view', 'tasks', 'По задачам', view === 'tasks');
+    html += button('view', 'executors', 'По исполнителям', view === 'executors');
+    html += '&nbsp; Масштаб: ';
+    html += button('zoom', 'day', 'Дни', zoom === 'day');
+    html += button('zoom', 'week', 'Недели', zoom === 'week');
+    if (options.editable) {
+        html += '&nbsp; ' + button('editing', editing ? 'off' : 'on', 'Редактирование', editing);
+    }
+    html += '</p>';
+    if (editing) {
+        html += '<p style="font-size: 12px; color: #555;">Перетащите полосу работы, чтобы изменить время начала, ' +
+            'или щелкните по ней, чтобы изменить время и исполнителей</p>';
+    }
+    html += '<div class="scheduler-gantt-chart" style="display: flex; border: 1px solid #ddd;">';
+    html += generateGanttChart(model, view, zoom, editing);
+    html += '</div>';
+
+    // Легенда: цвета проектов
+    html += '<p style="font-size: 12px;">';
+    for (const project of model.projects) {
+        html += `<span style="display: inline-block; width: 12px; height: 12px; background-color: ${project.color}; ` +
+            `vertical-align: middle;"></span> ${escapeHtml(project.projectName)} &nbsp; `;
+    }
+    html += '<span style="display: inline-block; width: 12px; height: 12px; outline: 2px solid #000; vertical-align: middle;"></span> ' +
+        'критический путь &nbsp; ';
+    html += '<span style="display: inline-block; width: 12px; height: 12px; outline: 2px solid #c62828; vertical-align: middle;"></span> ' +
+        'пересечение работ исполнителя или нарушение ограничений';
+    html += '</p></div>';
+
+    return html;
+}
+
+/**
+ * Подключает переключатели режима ("По задачам" / "По исполнителям"), масштаба (дни / недели)
+ * и редактирования. state - текущее состояние { view, zoom, editing }, изменяется переключателями.
+ *
+ * handlers.onChange(state) - перерисовка после переключения (по умолчанию перерисовывается диаграмма),
+ * handlers.onMove(key, startTime) - полоса работы перетащена на новое время (режим редактирования),
+ * handlers.onSelect(key) - щелчок по полосе работы (режим редактирования).
+ */
+export function bindGanttControls(container, model, state = {}, handlers = {}) {
+    const gantt = container.querySelector('.scheduler-gantt');
+    if (!gantt) return;
+
+    const chart = gantt.querySelector('.scheduler-gantt-chart');
+    const buttons = gantt.querySelectorAll('button[data-gantt-view], button[data-gantt-zoom], button[data-gantt-editing]');
+    state.view = state.view || 'tasks';
+    state.zoom = state.zoom || 'day';
+
+    const redraw = handlers.onChange || (() => {
+        chart.innerHTML = generateGanttChart(model, state.view, state.zoom, state.editing);
+        bindDragging();
+        buttons.forEach(b => {
+            const active = b.dataset.ganttView === state.view || b.dataset.ganttZoom === state.zoom;
+            if (!b.dataset.ganttEditing) b.style.fontWeight = active ? 'bold' : 'normal';
+        });
+    });
+
+    buttons.forEach(button => {
+        button.addEventListener('click', () => {
+            if (button.dataset.ganttView) state.view = button.dataset.ganttView;
+            if (button.dataset.ganttZoom) state.zoom = button.dataset.ganttZoom;
+            if (button.dataset.ganttEditing) state.editing = button.dataset.ganttEditing === 'on';
+            redraw(state);
+        });
+    });
+
+    // Перетаскивание полос работ по горизонтали: новое время начала определяется по шкале
+    function bindDragging() {
+        if (!state.editing || !handlers.onMove) return;
+
+        const invert = createInverseScale(model, DAY_WIDTHS[state.zoom] || DAY_WIDTHS.day);
+        const doc = container.ownerDocument;
+
+        chart.querySelectorAll('.scheduler-gantt-bar[data-item-key]').forEach(bar => {
+            bar.addEventListener('mousedown', event => {
+                event.preventDefault();
+                const startX = event.clientX;
+                const startLeft = parseFloat(bar.style.left);
+                let deltaX = 0;
+
+                const onMouseMove = moveEvent => {
+                    deltaX = moveEvent.clientX - startX;
+                    bar.style.left = `${startLeft + deltaX}px`;
+                };
+                const onMouseUp = () => {
+                    doc.removeEventListener('mousemove', onMouseMove);
+                    doc.removeEventListener('mouseup', onMouseUp);
+
+                    // Короткое смещение считается щелчком
+                    if (Math.abs(deltaX) < 3) {
+                        bar.style.left = `${startLeft}px`;
+                        if (handlers.onSelect) handlers.onSelect(bar.dataset.itemKey);
+                        return;
+                    }
+                    handlers.onMove(bar.dataset.itemKey, invert(startLeft + deltaX));
+                };
+
+                doc.addEventListener('mousemove', onMouseMove);
+                doc.addEventListener('mouseup', onMouseUp);
+            });
+        });
+    }
+
+    bindDragging();
+}
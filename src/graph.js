@@ -0,0 +1,314 @@
+/**
+ * Граф предшествования задач и связи работ (захватки, типы связей операций)
+ */
+
+import { log } from './logger.js';
+
+/**
+ * Разбирает поле "Предыдущая Задача": несколько предшественников перечисляются через запятую
+ */
+export function parsePreviousTasks(previousStr) {
+    if (!previousStr) return [];
+
+    return previousStr
+        .split(',')
+        .map(name => name.trim())
+        .filter(name => name.length > 0);
+}
+
+/**
+ * Связывает группы задач в граф предшествования.
+ * Каждая группа получает списки predecessors и successors.
+ */
+export function buildTaskGraph(taskGroups) {
+    const taskMap = new Map(taskGroups.map(tg => [tg.taskName, tg]));
+
+    for (const taskGroup of taskGroups) {
+        taskGroup.predecessors = [];
+        taskGroup.successors = [];
+    }
+
+    for (const taskGroup of taskGroups) {
+        for (const predecessorName of parsePreviousTasks(taskGroup.previousTask)) {
+            const predecessor = taskMap.get(predecessorName);
+            if (!predecessor) {
+                log(`Warning: Task "${taskGroup.taskName}" refers to unknown previous task "${predecessorName}"`);
+                continue;
+            }
+            if (taskGroup.predecessors.includes(predecessor)) continue;
+
+            taskGroup.predecessors.push(predecessor);
+            predecessor.successors.push(taskGroup);
+        }
+    }
+
+    return taskGroups;
+}
+
+/**
+ * Ищет цикл среди групп задач (обход в глубину), возвращает имена задач цикла
+ */
+function findTaskCycle(taskGroups) {
+    const state = new Map(); // 1 - в обработке, 2 - обработана
+    const stack = [];
+
+    function visit(taskGroup) {
+        state.set(taskGroup, 1);
+        stack.push(taskGroup);
+
+        for (const successor of taskGroup.successors) {
+            if (state.get(successor) === 1) {
+                const cycle = stack.slice(stack.indexOf(successor));
+                return cycle.concat(successor).map(tg => tg.taskName);
+            }
+            if (!state.has(successor)) {
+                const cycle = visit(successor);
+                if (cycle) return cycle;
+            }
+        }
+
+        stack.pop();
+        state.set(taskGroup, 2);
+        return null;
+    }
+
+    for (const taskGroup of taskGroups) {
+        if (state.has(taskGroup)) continue;
+        const cycle = visit(taskGroup);
+        if (cycle) return cycle;
+    }
+
+    return null;
+}
+
+/**
+ * Топологически упорядочивает группы задач (алгоритм Кана).
+ * Порядок независимых задач сохраняется таким же, как в исходных данных.
+ */
+export function orderTaskGroups(taskGroups) {
+    const inDegree = new Map(taskGroups.map(tg => [tg, tg.predecessors.length]));
+    const queue = taskGroups.filter(tg => inDegree.get(tg) === 0);
+    const ordered = [];
+
+    while (queue.length > 0) {
+        const taskGroup = queue.shift();
+        ordered.push(taskGroup);
+
+        for (const successor of taskGroup.successors) {
+            inDegree.set(successor, inDegree.get(successor) - 1);
+            if (inDegree.get(successor) === 0) {
+                queue.push(successor);
+            }
+        }
+    }
+
+    if (ordered.length < taskGroups.length) {
+        const cycle = findTaskCycle(taskGroups.filter(tg => !ordered.includes(tg)));
+        throw new Error(`Cycle detected in task dependencies: ${cycle.join(' -> ')}`);
+    }
+
+    return ordered;
+}
+
+/**
+ * Возвращает захватку (участок работ) строки проекта из поля "Захватка",
+ * пустая строка - работа на весь объект
+ */
+export function getItemSection(item) {
+    return String(item['Захватка'] || '').trim();
+}
+
+/**
+ * Поля строки проекта со связью работы с предыдущими работами задачи
+ */
+export const OPERATION_LINK_FIELDS = {
+    type: 'Тип связи',
+    previous: 'Предыдущая операция'
+};
+
+/**
+ * Разбирает тип связи работы с предыдущими работами задачи (поле "Тип связи"):
+ * - "" или "ОН" (FS) - начало после окончания предыдущих работ
+ * - "НН" (SS) - начало не раньше начала предыдущих работ
+ * - "нет" (none) - работа не ждет предыдущие работы задачи, только задачи-предшественники
+ * К ОН и НН добавляется задержка в рабочих минутах или часах: "НН+30", "ОН+2ч".
+ * Возвращает { type: 'FS' | 'SS' | 'none', lag } или null, если значение не распознано.
+ */
+export function parseOperationLink(value) {
+    const str = String(value || '').trim().toLowerCase().replace(/\s+/g, '');
+    if (!str) return { type: 'FS', lag: 0 };
+    if (str === 'нет' || str === 'none') return { type: 'none', lag: 0 };
+
+    const match = str.match(/^(он|fs|нн|ss)(?:\+(\d+(?:[.,]\d+)?)(ч|h|мин|m)?)?$/);
+    if (!match) return null;
+
+    const [, type, lagValue, lagUnit] = match;
+    const lag = lagValue ? parseFloat(lagValue.replace(',', '.')) * (lagUnit === 'ч' || lagUnit === 'h' ? 60 : 1) : 0;
+
+    return { type: type === 'нн' || type === 'ss' ? 'SS' : 'FS', lag: Math.round(lag) };
+}
+
+/**
+ * Связь работ с пустым полем "Тип связи" по настройке проекта default_operation_link
+ * (значение в формате parseOperationLink). По умолчанию - ОН: строки, заведенные до появления
+ * поля, описывают операции в порядке выполнения на объекте, и параллельное выполнение
+ * задается явно ("нет", НН) или для всех операций настройкой "нет".
+ */
+export function getDefaultOperationLink(settings) {
+    const value = settings.default_operation_link;
+    const link = parseOperationLink(value);
+    if (!link) {
+        log(`Warning: Unrecognized default_operation_link "${value}", using ОН`);
+        return { type: 'FS', lag: 0 };
+    }
+    return link;
+}
+
+/**
+ * Возвращает названия предыдущих операций из поля "Предыдущая операция" (через запятую)
+ */
+export function parsePreviousOperations(item) {
+    return parsePreviousTasks(item[OPERATION_LINK_FIELDS.previous]);
+}
+
+/**
+ * Возвращает название работы: операции или задачи без операций
+ */
+function getWorkName(work) {
+    return work.item['ОперацияID'] ? work.item['Операция'] : work.item['Задача проекта'];
+}
+
+/**
+ * Связывает работы проекта с учетом захваток и связей операций. taskGroups - группы задач
+ * в порядке графа, works - работы { taskGroup, item, ... } в порядке планирования,
+ * defaultLink - связь работ с пустым полем "Тип связи" (по умолчанию ОН, см. getDefaultOperationLink).
+ * Возвращает Map работа -> связи с предшественниками [{ work, type, lag }], где type -
+ * 'FS' (начало после окончания) или 'SS' (начало после начала), lag - задержка в рабочих минутах:
+ * - внутри задачи работы одной захватки выполняются друг за другом, разных захваток - параллельно;
+ *   работа без захватки ждет все предыдущие работы задачи, а следующие работы ждут ее
+ * - поле "Тип связи" задает вид связи с предыдущими работами задачи (см. parseOperationLink),
+ *   "Предыдущая операция" - явный список предыдущих операций задачи (они должны стоять раньше);
+ *   работа со связью "нет" или НН не задерживает следующие работы своей захватки: они ждут
+ *   окончания и ее, и работ перед ней
+ * - первая работа захватки в задаче ждет последние работы той же захватки в задачах-предшественниках
+ *   (если у предшественника нет такой захватки или работа без захватки - все его последние работы)
+ * - последние работы задачи - работы, окончания которых не ждет ни одна другая работа задачи
+ * - через задачи без работ зависимость передается дальше
+ */
+export function linkWorkItems(taskGroups, works, defaultLink = { type: 'FS', lag: 0 }) {
+    const links = new Map();
+    // Последние работы каждой задачи по захваткам
+    const taskExits = new Map();
+
+    const allWorks = exits => Array.from(new Set(Array.from(exits.values()).flat()));
+    const addUnique = (list, additions) => {
+        for (const work of additions) {
+            if (!list.includes(work)) list.push(work);
+        }
+        return list;
+    };
+
+    for (const taskGroup of taskGroups) {
+        const predecessorExits = taskGroup.predecessors
+            .map(predecessor => taskExits.get(predecessor.taskId))
+            .filter(Boolean);
+        // Работы предшественников, которые ждет первая работа захватки
+        // (работы без захватки ждут всегда)
+        const entry = section => predecessorExits.reduce((list, exits) => addUnique(list,
+            section && exits.has(section) ? addUnique(exits.get(section).slice(), exits.get('') || []) : allWorks(exits)
+        ), []);
+
+        const taskWorks = works.filter(w => w.taskGroup === taskGroup);
+        // Работы, которые ждут следующие работы захватки, и последние работы без захватки
+        const lastBySection = new Map();
+        let barrier = null;
+        // Работы задачи, окончания которых не ждет ни одна другая работа задачи
+        let sinks = [];
+
+        taskWorks.forEach((work, index) => {
+            const section = getItemSection(work.item);
+            const linkValue = work.item[OPERATION_LINK_FIELDS.type];
+            const link = (String(linkValue || '').trim() ? parseOperationLink(linkValue) : defaultLink) || { type: 'FS', lag: 0 };
+            const previousNames = parsePreviousOperations(work.item);
+
+            let previous;
+            if (previousNames.length > 0) {
+                previous = taskWorks.slice(0, index).filter(w => previousNames.includes(getWorkName(w)));
+                if (previous.length < previousNames.length) {
+                    log(`Warning: Previous operations "${previousNames.join(', ')}" of item ${getWorkName(work)} are not all found earlier in task "${taskGroup.taskName}"`);
+                }
+            } else if (link.type === 'none') {
+                previous = [];
+            } else if (section) {
+                previous = (lastBySection.get(section) || barrier || []).slice();
+            } else {
+                previous = addUnique(barrier ? barrier.slice() : [], allWorks(lastBySection));
+            }
+
+            // Без предыдущих работ задачи работа ждет задачи-предшественники
+            const workLinks = previous.length > 0
+                ? previous.map(predecessor => ({ work: predecessor, type: link.type, lag: link.lag }))
+                : entry(section).map(predecessor => ({ work: predecessor, type: 'FS', lag: 0 }));
+            links.set(work, workLinks);
+
+            // Работы, окончание которых ждет данная работа, перестают быть последними
+            const finished = link.type === 'FS' ? previous : [];
+            const remaining = list => list.filter(w => !finished.includes(w));
+
+            sinks = remaining(sinks).concat(work);
+
+            if (section) {
+                lastBySection.set(section, remaining(lastBySection.get(section) || barrier || []).concat(work));
+            } else {
+                barrier = remaining(addUnique(barrier ? barrier.slice() : [], allWorks(lastBySection))).concat(work);
+                lastBySection.clear();
+            }
+        });
+
+        if (sinks.length > 0) {
+            const exits = new Map();
+            for (const work of sinks) {
+                const section = getItemSection(work.item);
+                exits.set(section, (exits.get(section) || []).concat(work));
+            }
+            taskExits.set(taskGroup.taskId, exits);
+        } else {
+            // Задача без работ: передаем последние работы предшественников
+            const merged = new Map();
+            for (const exits of predecessorExits) {
+                for (const [section, sectionWorks] of exits) {
+                    merged.set(section, addUnique(merged.get(section) || [], sectionWorks));
+                }
+            }
+            taskExits.set(taskGroup.taskId, merged);
+        }
+    }
+
+    return links;
+}
+
+/**
+ * Упорядочивает работы по приоритетам priority (Map работа -> число, меньше - раньше) так, чтобы
+ * каждая работа шла после работ, с которыми связана (см. linkWorkItems): на каждом шаге выбирается
+ * работа с наименьшим приоритетом среди тех, чьи предшественники уже в списке, при равенстве -
+ * стоящая раньше в works. Без приоритетов возвращает works без изменений.
+ */
+export function orderWorks(works, links, priority) {
+    if (!priority) return works;
+
+    const ordered = [];
+    const placed = new Set();
+    const remaining = works.slice();
+
+    while (remaining.length > 0) {
+        const next = remaining
+            .filter(work => links.get(work).every(link => placed.has(link.work)))
+            .reduce((best, work) => !best || priority.get(work) < priority.get(best) ? work : best, null);
+
+        ordered.push(next);
+        placed.add(next);
+        remaining.splice(remaining.indexOf(next), 1);
+    }
+
+    return ordered;
+}
@@ -0,0 +1,26 @@
+/**
+ * Публичный API планировщика
+ */
+
+export { createScheduler } from './scheduler.js';
+export { DEFAULT_CONFIG, mergeConfig } from './config.js';
+export { createIntegramDataSource, createMemoryDataSource, createJsonFileDataSource } from './data-sources.js';
+export { planSchedule, parseSettings } from './planner.js';
+export { validateData } from './validation.js';
+export { calculateTemplateNormative, parseNormativeFormula, convertQuantity } from './normatives.js';
+export { createTravelModel, parseCoordinates } from './travel.js';
+export { parseOperationLink } from './graph.js';
+export { createCalendar, calculateEndTime, calculateStartTime, calculateWorkSegments, alignToWorkingTime, isWorkingDay } from './calendar.js';
+export { createSplitRules, isInterruptible } from './splitting.js';
+export { parseEquipmentRequirements, parseMaterialDeliveries } from './resources.js';
+export { getItemActuals, analyzeProgress } from './progress.js';
+export { parseParameters, matchesParameters, evaluateParameters } from './parameters.js';
+export { parseOccupiedTime, isExecutorAvailable, findFreeSlot, releaseOccupiedTime, buildOccupiedTimeChanges } from './availability.js';
+export { ASSIGNMENT_STRATEGIES } from './assignment.js';
+export { saveChanges } from './changes.js';
+export { createPlanEditor } from './editing.js';
+export { analyzeSchedule } from './analysis.js';
+export { applyScenario, compareScenarios } from './scenarios.js';
+export { optimizeSchedule, PRIORITY_RULES } from './optimization.js';
+export { exportICalendar, exportCsv, exportXlsx, exportMsProjectXml } from './exporters.js';
+export { formatDateTime, parseDate, parseDateTime } from './dates.js';
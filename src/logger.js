@@ -0,0 +1,45 @@
+/**
+ * Логирование планировщика в консоль
+ */
+
+// Флаг для включения детального логирования (задается через config.debug)
+let debug = true;
+
+// Вывод лога: объект с методами log и error (по умолчанию консоль)
+let output = console;
+
+/**
+ * Включает или отключает детальное логирование
+ */
+export function setDebug(enabled) {
+    debug = !!enabled;
+}
+
+/**
+ * Возвращает, включено ли детальное логирование
+ */
+export function isDebug() {
+    return debug;
+}
+
+/**
+ * Задает вывод лога - объект с методами log(...args) и error(...args), например для записи
+ * в поток stderr командной строки; null - консоль. Возвращает предыдущий вывод.
+ */
+export function setLogOutput(newOutput) {
+    const previous = output;
+    output = newOutput || console;
+    return previous;
+}
+
+// Вспомогательная функция для логирования
+export function log(message, data = null) {
+    if (debug) {
+        output.log(`[Scheduler] ${message}`, data || '');
+    }
+}
+
+// Вспомогательная функция для логирования ошибок
+export function error(message, err = null) {
+    output.error(`[Scheduler ERROR] ${message}`, err || '');
+}
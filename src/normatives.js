@@ -0,0 +1,244 @@
+/**
+ * Расчет нормативов по шаблону проекта: сопоставление строк с шаблоном,
+ * единицы измерения и формулы нормативов
+ */
+
+import { log } from './logger.js';
+
+/**
+ * Поля строки проекта со ссылкой на строку шаблона (ID операции или задачи шаблона)
+ */
+export const TEMPLATE_LINK_FIELDS = {
+    operation: 'Операция шаблонаID',
+    task: 'Задача шаблонаID'
+};
+
+/**
+ * Единицы измерения количества: размерность и множитель к основной единице
+ * (штука, квадратный метр, погонный метр). Ключи - названия без пробелов в нижнем регистре.
+ */
+const UNITS = {
+    'шт': { dimension: 'piece', factor: 1 },
+    'м2': { dimension: 'area', factor: 1 },
+    'кв.м': { dimension: 'area', factor: 1 },
+    'квм': { dimension: 'area', factor: 1 },
+    'см2': { dimension: 'area', factor: 0.0001 },
+    'мм2': { dimension: 'area', factor: 0.000001 },
+    'м.п': { dimension: 'length', factor: 1 },
+    'п.м': { dimension: 'length', factor: 1 },
+    'пог.м': { dimension: 'length', factor: 1 },
+    'мп': { dimension: 'length', factor: 1 },
+    'пм': { dimension: 'length', factor: 1 },
+    'м': { dimension: 'length', factor: 1 },
+    'см': { dimension: 'length', factor: 0.01 },
+    'мм': { dimension: 'length', factor: 0.001 }
+};
+
+/**
+ * Возвращает строки шаблона проекта: шаблон указан в поле "Шаблон Проекта (Проект)",
+ * без него - все строки, не находящиеся в работе
+ */
+export function getTemplateItems(project, projectData) {
+    return project.templateId
+        ? projectData.filter(item => item['ПроектID'] === project.templateId)
+        : projectData.filter(item => item['Статус проекта'] !== 'В работе');
+}
+
+/**
+ * Находит строку шаблона по ссылке из полей TEMPLATE_LINK_FIELDS.
+ * Возвращает undefined, если ссылка не заполнена или строки с таким ID нет в шаблоне.
+ */
+export function findTemplateItemById(item, templateItems) {
+    const isOperation = !!item['ОперацияID'];
+    const linkId = item[isOperation ? TEMPLATE_LINK_FIELDS.operation : TEMPLATE_LINK_FIELDS.task];
+    if (!linkId) return undefined;
+
+    return templateItems.find(t => isOperation
+        ? t['ОперацияID'] === linkId
+        : t['Задача проектаID'] === linkId && !t['ОперацияID']
+    );
+}
+
+/**
+ * Находит строку шаблона для задачи/операции проекта: по ссылке на строку шаблона,
+ * а если ссылки нет или она не найдена - по названию задачи и операции
+ */
+export function findTemplateItem(item, templateItems) {
+    const byId = findTemplateItemById(item, templateItems);
+    if (byId) return byId;
+
+    const isOperation = !!item['ОперацияID'];
+    const linkId = item[isOperation ? TEMPLATE_LINK_FIELDS.operation : TEMPLATE_LINK_FIELDS.task];
+    if (linkId) {
+        log(`Warning: Template item ${linkId} of item ${item[isOperation ? 'ОперацияID' : 'Задача проектаID']} not found, matching by name`);
+    }
+
+    return templateItems.find(t => {
+        if (isOperation) {
+            return t['Операция'] === item['Операция'] &&
+                   t['Задача проекта'] === item['Задача проекта'];
+        } else {
+            return t['Задача проекта'] === item['Задача проекта'];
+        }
+    });
+}
+
+/**
+ * Разбирает единицу измерения ("шт", "м²", "кв.м", "м.п.", "мм" ...).
+ * Возвращает { dimension, factor } или null для пустого значения.
+ * Неизвестная единица совместима только сама с собой.
+ */
+export function parseUnit(unitStr) {
+    if (!unitStr) return null;
+
+    const key = String(unitStr)
+        .toLowerCase()
+        .replace(/\s+/g, '')
+        .replace(/²/g, '2')
+        .replace(/\.$/, '');
+    if (!key) return null;
+
+    return UNITS[key] || { dimension: key, factor: 1 };
+}
+
+/**
+ * Переводит количество из единицы проекта в единицу норматива.
+ * Если одна из единиц не указана, количество не пересчитывается.
+ * Возвращает null, если единицы разной размерности (например, м² и шт).
+ */
+export function convertQuantity(quantity, fromUnit, toUnit) {
+    const from = parseUnit(fromUnit);
+    const to = parseUnit(toUnit);
+    if (!from || !to) return quantity;
+    if (from.dimension !== to.dimension) return null;
+
+    return quantity * from.factor / to.factor;
+}
+
+/**
+ * Разбирает формулу норматива: числа, переменная qty (количество), + - * / и скобки,
+ * например "30 + 12*qty". Возвращает функцию qty -> минуты, при синтаксической ошибке
+ * выбрасывает исключение.
+ */
+export function parseNormativeFormula(formula) {
+    const tokens = String(formula).match(/\d+(?:[.,]\d+)?|[a-zA-Z_]+|\S/g) || [];
+    let position = 0;
+
+    const peek = () => tokens[position];
+    const next = () => tokens[position++];
+
+    function parseExpression() {
+        let node = parseTerm();
+        while (peek() === '+' || peek() === '-') {
+            const operator = next();
+            const left = node;
+            const right = parseTerm();
+            node = operator === '+' ? qty => left(qty) + right(qty) : qty => left(qty) - right(qty);
+        }
+        return node;
+    }
+
+    function parseTerm() {
+        let node = parseFactor();
+        while (peek() === '*' || peek() === '/') {
+            const operator = next();
+            const left = node;
+            const right = parseFactor();
+            node = operator === '*' ? qty => left(qty) * right(qty) : qty => left(qty) / right(qty);
+        }
+        return node;
+    }
+
+    function parseFactor() {
+        const token = next();
+        if (token === undefined) {
+            throw new Error(`Unexpected end of formula "${formula}"`);
+        }
+        if (token === '-') {
+            const operand = parseFactor();
+            return qty => -operand(qty);
+        }
+        if (token === '+') {
+            return parseFactor();
+        }
+        if (token === '(') {
+            const node = parseExpression();
+            if (next() !== ')') {
+                throw new Error(`Missing ")" in formula "${formula}"`);
+            }
+            return node;
+        }
+        if (/^\d/.test(token)) {
+            const value = parseFloat(token.replace(',', '.'));
+            return () => value;
+        }
+        if (token.toLowerCase() === 'qty') {
+            return qty => qty;
+        }
+        throw new Error(`Unexpected "${token}" in formula "${formula}"`);
+    }
+
+    const evaluate = parseExpression();
+    if (position < tokens.length) {
+        throw new Error(`Unexpected "${tokens[position]}" in formula "${formula}"`);
+    }
+
+    return evaluate;
+}
+
+/**
+ * Разбирает количество строки проекта ("Кол-во" у операций, "К-во" у задач), по умолчанию 1
+ */
+export function getItemQuantity(item) {
+    const value = item['Кол-во'] || item['К-во'];
+    if (value === undefined || value === null || String(value).trim() === '') return 1;
+    return parseFloat(String(value).replace(',', '.'));
+}
+
+/**
+ * Рассчитывает норматив строки проекта (в минутах) по строке шаблона.
+ *
+ * Норматив шаблона - число (минуты на единицу, умножается на количество)
+ * или формула с переменной qty (минуты на всю работу, например "30 + 12*qty"
+ * для постоянных затрат на подготовку и времени на единицу).
+ * Количество переводится из "Ед.изм." проекта в "Ед.изм." шаблона.
+ *
+ * Возвращает { normative, formula, quantity, unit } или { reason } - причину,
+ * по которой норматив не рассчитан.
+ */
+export function calculateTemplateNormative(item, templateItem) {
+    const normativeField = item['ОперацияID'] ? 'Норматив операции' : 'Норматив задачи';
+    const formula = String(templateItem[normativeField] || '').trim();
+    if (!formula) {
+        return { reason: 'норматив в шаблоне не заполнен' };
+    }
+
+    const projectQuantity = getItemQuantity(item);
+    if (isNaN(projectQuantity)) {
+        return { reason: `количество "${item['Кол-во'] || item['К-во']}" не является числом` };
+    }
+
+    const unit = templateItem['Ед.изм.'] || '';
+    const quantity = convertQuantity(projectQuantity, item['Ед.изм.'], unit);
+    if (quantity === null) {
+        return { reason: `единица проекта "${item['Ед.изм.']}" не переводится в единицу шаблона "${unit}"` };
+    }
+
+    let normative;
+    if (/^\d+(?:[.,]\d+)?$/.test(formula)) {
+        normative = parseFloat(formula.replace(',', '.')) * quantity;
+    } else {
+        try {
+            normative = parseNormativeFormula(formula)(quantity);
+        } catch (err) {
+            return { reason: `ошибка в формуле норматива "${formula}"` };
+        }
+    }
+
+    if (!isFinite(normative) || normative < 0) {
+        return { reason: `по формуле "${formula}" получен недопустимый норматив ${normative}` };
+    }
+
+    // Норматив хранится в целых минутах
+    return { normative: Math.round(normative), formula, quantity, unit };
+}
@@ -0,0 +1,280 @@
+/**
+ * Режим оптимизации плана: списочное планирование работ по правилам приоритета и имитация отжига
+ * по порядку работ с ограничением по времени. Каждый вариант планируется planSchedule с теми же
+ * ограничениями (предшествование, параметры, занятое время, рабочее время), поэтому результат
+ * имеет тот же вид, что и обычный план. Критерий - срок окончания всех проектов.
+ */
+
+import { log, isDebug, setDebug } from './logger.js';
+import { planSchedule } from './planner.js';
+import { alignToWorkingTime, getWorkingMinutesBetween } from './calendar.js';
+import { orderWorks } from './graph.js';
+import { applyScenario, summarizeScenario } from './scenarios.js';
+
+/**
+ * Ключ работы "ПроектID:ID задачи/операции"
+ */
+function getWorkKey(project, work) {
+    return `${project.projectId}:${work.item['ОперацияID'] || work.item['Задача проектаID']}`;
+}
+
+/**
+ * Норматив работы, мин
+ */
+function getWorkNormative(work) {
+    return parseFloat(work.item[work.item['ОперацияID'] ? 'Норматив операции' : 'Норматив задачи'] || 0);
+}
+
+/**
+ * Возвращает Map работа -> работы, которые ее ждут (по связям linkWorkItems)
+ */
+function getSuccessors(works, links) {
+    const successors = new Map(works.map(work => [work, []]));
+    for (const work of works) {
+        for (const link of links.get(work)) {
+            successors.get(link.work).push(work);
+        }
+    }
+    return successors;
+}
+
+/**
+ * Правила приоритета списочного планирования: (works, links) -> Map работа -> число (меньше - раньше).
+ * Работы проекта упорядочены по графу, связи ведут только к работам, стоящим раньше.
+ */
+export const PRIORITY_RULES = {
+    // Порядок графа задач (обычное планирование)
+    order: works => new Map(works.map((work, index) => [work, index])),
+
+    // Сначала работы с самым длинным путем по нормативам до конца проекта
+    critical_path: (works, links) => {
+        const successors = getSuccessors(works, links);
+        const tails = new Map();
+        for (const work of works.slice().reverse()) {
+            tails.set(work, getWorkNormative(work) + Math.max(0, ...successors.get(work).map(next => tails.get(next))));
+        }
+        return new Map(works.map(work => [work, -tails.get(work)]));
+    },
+
+    // Сначала работы, которых прямо или через другие работы ждет больше работ
+    most_successors: (works, links) => {
+        const successors = getSuccessors(works, links);
+        const followers = new Map();
+        for (const work of works.slice().reverse()) {
+            const all = new Set();
+            for (const next of successors.get(work)) {
+                all.add(next);
+                followers.get(next).forEach(follower => all.add(follower));
+            }
+            followers.set(work, all);
+        }
+        return new Map(works.map(work => [work, -followers.get(work).size]));
+    },
+
+    // Сначала длинные работы
+    longest_first: works => new Map(works.map(work => [work, -getWorkNormative(work)])),
+
+    // Сначала короткие работы
+    shortest_first: works => new Map(works.map(work => [work, getWorkNormative(work)]))
+};
+
+/**
+ * Названия правил приоритета для отчета
+ */
+export const PRIORITY_RULE_NAMES = {
+    order: 'Порядок графа',
+    critical_path: 'Критический путь',
+    most_successors: 'Больше последующих работ',
+    longest_first: 'Сначала длинные',
+    shortest_first: 'Сначала короткие'
+};
+
+/**
+ * Генератор псевдослучайных чисел [0, 1) с зерном (mulberry32): при одном зерне и бюджете
+ * итераций оптимизация дает один и тот же план
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Оценивает план: { makespan, projectEnds, scheduled, forecastEnd } - срок в рабочих минутах
+ * календаря от начала первого проекта до окончания последней работы, сумма сроков проектов
+ * и число работ с исполнителями
+ */
+function evaluatePlan(result) {
+    const { assignments, projects, calendar } = result;
+    const origin = alignToWorkingTime(new Date(Math.min(...projects.map(project => project.startDate.getTime()))), calendar);
+    const getEnd = list => list.length > 0 ? new Date(Math.max(...list.map(a => a.endTime.getTime()))) : origin;
+
+    const forecastEnd = getEnd(assignments);
+    return {
+        makespan: getWorkingMinutesBetween(origin, forecastEnd, calendar),
+        projectEnds: projects.reduce((sum, project) => sum + getWorkingMinutesBetween(
+            origin, getEnd(assignments.filter(a => a.projectId === project.projectId)), calendar
+        ), 0),
+        scheduled: new Set(assignments.map(a => `${a.projectId}:${a.taskId}`)).size,
+        forecastEnd
+    };
+}
+
+/**
+ * Стоимость плана для сравнения вариантов: сначала число работ без исполнителей,
+ * затем срок окончания, затем сроки отдельных проектов
+ */
+function getCost(score) {
+    return -score.scheduled * 1000000 + score.makespan + score.projectEnds / 1000;
+}
+
+/**
+ * Приоритеты работ по найденному порядку: sequence - Map ПроектID -> ключи работ по порядку
+ */
+function getSequencePriority(sequence) {
+    return (project, works) => {
+        const keys = sequence.get(project.projectId) || [];
+        return new Map(works.map(work => {
+            const index = keys.indexOf(getWorkKey(project, work));
+            return [work, index === -1 ? Infinity : index];
+        }));
+    };
+}
+
+/**
+ * Планирует копию данных с приоритетами getPriority. Возвращает { result, sequence, score },
+ * sequence - получившийся порядок работ по проектам
+ */
+function runVariant(data, options, getPriority) {
+    const sequence = new Map();
+    const result = planSchedule(applyScenario(data, {}), Object.assign({}, options, {
+        workPriority: (project, works, links) => {
+            const priority = getPriority(project, works, links);
+            sequence.set(project.projectId, orderWorks(works, links, priority).map(work => getWorkKey(project, work)));
+            return priority;
+        }
+    }));
+    return { result, sequence, score: evaluatePlan(result) };
+}
+
+/**
+ * Соседний вариант порядка: одна работа случайного проекта переносится на случайное место
+ * (порядок, нарушающий связи, исправляется при планировании, см. orderWorks)
+ */
+function mutateSequence(sequence, random) {
+    const projectIds = Array.from(sequence.keys()).filter(projectId => sequence.get(projectId).length > 1);
+    if (projectIds.length === 0) return null;
+
+    const projectId = projectIds[Math.floor(random() * projectIds.length)];
+    const keys = sequence.get(projectId).slice();
+    const [key] = keys.splice(Math.floor(random() * keys.length), 1);
+    keys.splice(Math.floor(random() * (keys.length + 1)), 0, key);
+
+    return new Map(sequence).set(projectId, keys);
+}
+
+/**
+ * Сводка варианта для отчета: { name, makespan, forecastEnd, utilisation } - срок в рабочих минутах,
+ * окончание и средняя загрузка исполнителей (занятое время к доступному, см. summarizeScenario)
+ */
+function summarizeVariant(name, variant) {
+    const summary = summarizeScenario(variant.result);
+    const busy = summary.executors.reduce((sum, executor) => sum + executor.busyMinutes, 0);
+    const available = summary.executors.reduce((sum, executor) => sum + executor.availableMinutes, 0);
+
+    return {
+        name,
+        makespan: variant.score.makespan,
+        forecastEnd: variant.score.forecastEnd,
+        utilisation: available > 0 ? busy / available : 0
+    };
+}
+
+/**
+ * Планирует все рабочие проекты в режиме оптимизации.
+ *
+ * Сначала строятся планы по каждому правилу PRIORITY_RULES (первое - обычный порядок, базовый
+ * жадный план), затем лучший порядок улучшается имитацией отжига: работа переносится на другое
+ * место в порядке проекта, вариант принимается, если он лучше, или с вероятностью, убывающей
+ * с ухудшением и временем. Порядок проектов (приоритеты) не меняется, варианты планируются
+ * на копиях данных, итоговый план - на data, как planSchedule.
+ *
+ * options - параметры planSchedule ({ fieldCodes, replan, replanFrom }) и оптимизации:
+ * timeBudget - ограничение по времени, мс (по умолчанию 3000), maxIterations - число вариантов
+ * отжига (по умолчанию без ограничения), seed - зерно случайных чисел (по умолчанию 1).
+ *
+ * Возвращает результат planSchedule с полем optimization: { rule, iterations, elapsed, baseline, best,
+ * rules } - правило, с которого получен лучший порядок, число вариантов отжига, время, мс,
+ * и сводки (см. summarizeVariant) базового плана, лучшего плана и планов по правилам (с полем rule).
+ */
+export function optimizeSchedule(data, options = {}) {
+    const { timeBudget = 3000, maxIterations = Infinity, seed = 1 } = options;
+    const planOptions = { fieldCodes: options.fieldCodes, replan: options.replan, replanFrom: options.replanFrom };
+    const started = Date.now();
+    const isOverBudget = () => Date.now() - started >= timeBudget;
+
+    const debug = isDebug();
+    let ruleVariants;
+    let best;
+    let bestRule;
+    let iterations = 0;
+
+    // Варианты планируются без подробного лога
+    setDebug(false);
+    try {
+        ruleVariants = [];
+        for (const [rule, getRulePriority] of Object.entries(PRIORITY_RULES)) {
+            if (ruleVariants.length > 0 && isOverBudget()) break;
+            ruleVariants.push({ rule, variant: runVariant(data, planOptions, (project, works, links) => getRulePriority(works, links)) });
+        }
+
+        ({ variant: best, rule: bestRule } = ruleVariants.reduce((a, b) =>
+            getCost(b.variant.score) < getCost(a.variant.score) ? b : a));
+
+        const random = createRandom(seed);
+        let current = best;
+        let temperature = Math.max(1, current.score.makespan * 0.05);
+
+        while (iterations < maxIterations && !isOverBudget()) {
+            const sequence = mutateSequence(current.sequence, random);
+            if (!sequence) break;
+
+            const candidate = runVariant(data, planOptions, getSequencePriority(sequence));
+            const delta = getCost(candidate.score) - getCost(current.score);
+            if (delta <= 0 || random() < Math.exp(-delta / temperature)) {
+                current = candidate;
+            }
+            if (getCost(candidate.score) < getCost(best.score)) {
+                best = candidate;
+            }
+
+            temperature *= 0.95;
+            iterations++;
+        }
+    } finally {
+        setDebug(debug);
+    }
+
+    const elapsed = Date.now() - started;
+    const baseline = ruleVariants[0].variant;
+    log(`Optimisation: ${ruleVariants.length} rules and ${iterations} variants in ${elapsed} ms, ` +
+        `makespan ${baseline.score.makespan} -> ${best.score.makespan} working minutes`);
+
+    // Итоговый план строится на исходных данных тем же порядком работ
+    const result = planSchedule(data, Object.assign({}, planOptions, { workPriority: getSequencePriority(best.sequence) }));
+    result.optimization = {
+        rule: bestRule,
+        iterations,
+        elapsed,
+        baseline: summarizeVariant('Жадный план', baseline),
+        best: summarizeVariant('Оптимизация', best),
+        rules: ruleVariants.map(({ rule, variant }) => Object.assign({ rule }, summarizeVariant(PRIORITY_RULE_NAMES[rule], variant)))
+    };
+
+    return result;
+}
@@ -0,0 +1,184 @@
+/**
+ * Проверка исполнителей по параметрам задач/операций
+ */
+
+import { log } from './logger.js';
+
+/**
+ * Парсит параметры задачи/операции в формате "ПараметрID:Значение(Значение MIN-Значение MAX)".
+ * Значение может быть:
+ * - "849" - равенство
+ * - "849|850" - одно из значений списка
+ * - "%" - значение должно быть заполнено
+ * - "" с диапазоном "(3-)", "(-5)", "(3-5)" - числовой диапазон
+ * - с префиксом "!" - отрицание условия, например "!849" или "!(3-5)"
+ * Нераспознанные части пропускаются и добавляются в массив unrecognized, если он передан.
+ */
+export function parseParameters(paramStr, unrecognized = null) {
+    if (!paramStr) return [];
+
+    const params = [];
+    const parts = paramStr.split(',');
+
+    for (const part of parts) {
+        const match = part.trim().match(/^(\d+):(.*?)(\((.*?)\))?$/);
+        if (match) {
+            const [, paramId, rawValue, , range] = match;
+            let value = rawValue.trim();
+            const negate = value.startsWith('!');
+            if (negate) value = value.slice(1).trim();
+
+            params.push({
+                parameterId: paramId,
+                value: value,
+                values: value && value !== '%' ? value.split('|').map(v => v.trim()) : [],
+                range: range ? range.trim() : null,
+                negate: negate
+            });
+        } else if (part.trim()) {
+            log(`Warning: Unrecognized parameter requirement "${part.trim()}"`);
+            if (unrecognized) unrecognized.push(part.trim());
+        }
+    }
+
+    return params;
+}
+
+/**
+ * Заменяет HTML-сущности в названиях из справочника (API возвращает "-&gt;")
+ */
+function decodeHtmlEntities(str) {
+    return String(str)
+        .replace(/&gt;/g, '>')
+        .replace(/&lt;/g, '<')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/&amp;/g, '&');
+}
+
+/**
+ * Возвращает значение параметра у исполнителя. Название параметра из справочника
+ * ("Пользователь -> Роль") сопоставляется с полем исполнителя по полному названию
+ * или по названию без первого звена ("Роль").
+ * Возвращает undefined, если у исполнителя нет такого поля.
+ */
+function getExecutorAttribute(executor, paramName) {
+    const candidates = [paramName];
+    const arrowIndex = paramName.indexOf('->');
+    if (arrowIndex !== -1) {
+        candidates.push(paramName.slice(arrowIndex + 2).trim());
+    }
+
+    for (const field of candidates) {
+        if (executor[field] !== undefined) return executor[field];
+    }
+
+    return undefined;
+}
+
+/**
+ * Проверяет одно требование к значению исполнителя (без учета отрицания).
+ * Возвращает текст нарушения или null, если требование выполнено.
+ */
+function checkRequirement(param, executorValue) {
+    const isFilled = executorValue !== undefined && executorValue !== null && String(executorValue).trim() !== '';
+
+    if (param.value === '%') {
+        return isFilled ? null : 'значение не заполнено';
+    }
+
+    if (!isFilled) {
+        return 'значение не заполнено';
+    }
+
+    const executorValues = String(executorValue).split(',').map(v => v.trim());
+
+    if (param.values.length > 0 && !executorValues.some(v => param.values.includes(v))) {
+        return `требуется ${param.values.join(' или ')}, указано ${executorValue}`;
+    }
+
+    const rangeMatch = param.range ? param.range.match(/^(-?\d+(?:\.\d+)?)?\s*-\s*(-?\d+(?:\.\d+)?)?$/) : null;
+    if (rangeMatch && (rangeMatch[1] !== undefined || rangeMatch[2] !== undefined)) {
+        const [, minValue, maxValue] = rangeMatch;
+        const numericValue = parseFloat(executorValue);
+
+        if (isNaN(numericValue)) {
+            return `требуется число в диапазоне ${param.range}, указано ${executorValue}`;
+        }
+        if (minValue !== undefined && numericValue < parseFloat(minValue)) {
+            return `требуется не меньше ${minValue}, указано ${executorValue}`;
+        }
+        if (maxValue !== undefined && numericValue > parseFloat(maxValue)) {
+            return `требуется не больше ${maxValue}, указано ${executorValue}`;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Проверяет исполнителя по параметрам задачи/операции на основе справочника параметров
+ * (отчет 3248). Если у исполнителя нет значения параметра, требование не выполнено.
+ * Возвращает список нарушений: [{ parameterId, parameterName, reason }, ...].
+ */
+export function evaluateParameters(executor, parameters, parameterDictionary) {
+    const failures = [];
+    if (!parameters || parameters.length === 0) return failures;
+
+    for (const param of parameters) {
+        const paramInfo = parameterDictionary.find(p => p['ПараметрID'] === param.parameterId);
+        if (!paramInfo) {
+            failures.push({
+                parameterId: param.parameterId,
+                parameterName: '',
+                reason: 'параметр отсутствует в справочнике'
+            });
+            continue;
+        }
+
+        const paramName = decodeHtmlEntities(paramInfo['Параметр']);
+        const executorValue = getExecutorAttribute(executor, paramName);
+
+        if (executorValue === undefined) {
+            failures.push({
+                parameterId: param.parameterId,
+                parameterName: paramName,
+                reason: 'у исполнителя нет такого атрибута'
+            });
+            continue;
+        }
+
+        const violation = checkRequirement(param, executorValue);
+
+        if (param.negate && !violation) {
+            failures.push({
+                parameterId: param.parameterId,
+                parameterName: paramName,
+                reason: `значение ${executorValue} запрещено`
+            });
+        } else if (!param.negate && violation) {
+            failures.push({
+                parameterId: param.parameterId,
+                parameterName: paramName,
+                reason: violation
+            });
+        }
+    }
+
+    return failures;
+}
+
+/**
+ * Проверяет, соответствует ли исполнитель параметрам задачи/операции
+ */
+export function matchesParameters(executor, parameters, parameterDictionary) {
+    return evaluateParameters(executor, parameters, parameterDictionary).length === 0;
+}
+
+/**
+ * Форматирует нарушение параметра для вывода: 'Параметр 115 "Пользователь -> Роль": причина'
+ */
+export function formatParameterFailure(failure) {
+    const name = failure.parameterName ? ` "${failure.parameterName}"` : '';
+    return `Параметр ${failure.parameterId}${name}: ${failure.reason}`;
+}
@@ -0,0 +1,685 @@
+/**
+ * Планирование задач и операций проектов. Функции не обращаются к API и DOM:
+ * на вход получают данные отчетов, на выходе возвращают назначения и набор изменений
+ */
+
+import { log, error } from './logger.js';
+import { DEFAULT_CONFIG } from './config.js';
+import { formatDateTime, parseDate, parseDateTime } from './dates.js';
+import { alignToWorkingTime, calculateEndTime, calculateStartTime, calculateWorkSegments, createCalendar, getWorkingMinutesBetween } from './calendar.js';
+import { evaluateParameters, formatParameterFailure, parseParameters } from './parameters.js';
+import { findFreeSlot, isExecutorAvailable, releaseOccupiedTime } from './availability.js';
+import { findPinnedExecutors, getAssignmentStrategy, selectCrew } from './assignment.js';
+import { buildExperience, getExperienceKey, getOperationKey, getTraineeTolerance } from './experience.js';
+import { buildTaskGraph, getDefaultOperationLink, getItemSection, linkWorkItems, orderTaskGroups, orderWorks } from './graph.js';
+import { createTravelModel, getItemLocation } from './travel.js';
+import { recordChange } from './changes.js';
+import { calculateTemplateNormative, findTemplateItem, getTemplateItems } from './normatives.js';
+import { createSplitRules, getAssignmentMinutes, isInterruptible } from './splitting.js';
+import {
+    RESOURCE_FIELDS, findEquipment, formatEquipmentUnit, getEquipmentUnits, getMaterialsReadyTime, parseEquipmentRequirements
+} from './resources.js';
+import { getItemActuals } from './progress.js';
+
+/**
+ * Группирует строки рабочих проектов по "ПроектID".
+ * Возвращает проекты с датой старта, ID шаблона и строками проекта.
+ */
+export function groupProjects(workingRows) {
+    const projects = new Map();
+
+    for (const item of workingRows) {
+        const projectId = item['ПроектID'];
+        if (!projects.has(projectId)) {
+            projects.set(projectId, {
+                projectId,
+                projectName: item['Проект'],
+                startDate: parseDate(item['Старт']),
+                templateId: item['Шаблон Проекта (Проект)'] || null,
+                priority: item['Приоритет'] !== undefined && item['Приоритет'] !== '' ? parseFloat(item['Приоритет']) : null,
+                items: []
+            });
+        }
+        projects.get(projectId).items.push(item);
+    }
+
+    return Array.from(projects.values());
+}
+
+/**
+ * Упорядочивает проекты по приоритету: сначала по списку ПроектID из настройки
+ * project_priority, затем по полю "Приоритет" (меньше - важнее), затем по дате старта.
+ * Проекты с более высоким приоритетом первыми получают исполнителей.
+ */
+export function orderProjects(projects, settings) {
+    const priorityList = settings.project_priority !== undefined
+        ? String(settings.project_priority).split(',').map(id => id.trim()).filter(id => id)
+        : [];
+    const listIndex = project => {
+        const index = priorityList.indexOf(project.projectId);
+        return index === -1 ? Infinity : index;
+    };
+    const priorityValue = project => project.priority === null || isNaN(project.priority) ? Infinity : project.priority;
+    const startValue = project => project.startDate ? project.startDate.getTime() : Infinity;
+
+    return projects
+        .map((project, index) => ({ project, index }))
+        .sort((a, b) =>
+            (listIndex(a.project) - listIndex(b.project) || 0) ||
+            (priorityValue(a.project) - priorityValue(b.project) || 0) ||
+            (startValue(a.project) - startValue(b.project) || 0) ||
+            a.index - b.index
+        )
+        .map(entry => entry.project);
+}
+
+/**
+ * Рассчитывает нормативы для строк проекта по строкам его шаблона
+ * (с учетом единиц измерения и формул, см. calculateTemplateNormative).
+ * Рассчитанные нормативы добавляются в набор изменений changes.
+ */
+export function calculateNormatives(items, templateItems, project, changes, fieldCodes = DEFAULT_CONFIG.fieldCodes) {
+    for (const item of items) {
+        const isOperation = !!item['ОперацияID'];
+        const normativeField = isOperation ? 'Норматив операции' : 'Норматив задачи';
+        const idField = isOperation ? 'ОперацияID' : 'Задача проектаID';
+        const itemId = item[idField];
+
+        // Если норматив уже заполнен, пропускаем
+        if (item[normativeField]) {
+            log(`Item ${itemId} already has normative: ${item[normativeField]}`);
+            continue;
+        }
+
+        // Находим соответствующий элемент в шаблоне
+        const templateItem = findTemplateItem(item, templateItems);
+
+        if (!templateItem) {
+            log(`Warning: Template item for ${itemId} not found, normative is not calculated`);
+            continue;
+        }
+
+        const calculation = calculateTemplateNormative(item, templateItem);
+        if (calculation.reason) {
+            log(`Warning: Normative for ${itemId} is not calculated: ${calculation.reason}`);
+            continue;
+        }
+
+        const calculatedNormative = calculation.normative;
+
+        log(`Calculating normative for ${itemId}: ${calculation.formula} (qty ${calculation.quantity} ${calculation.unit}) = ${calculatedNormative}`);
+
+        // Добавляем рассчитанный норматив в набор изменений
+        recordChange(changes, {
+            itemId,
+            itemName: isOperation ? item['Операция'] : item['Задача проекта'],
+            projectName: project.projectName
+        }, {
+            label: 'Норматив',
+            code: fieldCodes.normative,
+            oldValue: item[normativeField],
+            newValue: calculatedNormative.toString()
+        });
+
+        // Обновляем локальное значение
+        item[normativeField] = calculatedNormative.toString();
+    }
+}
+
+/**
+ * Группирует строки проекта в задачи: задача с операциями или задача без операций
+ */
+export function buildTaskGroups(items) {
+    const taskGroups = [];
+    const processedTasks = new Set();
+
+    for (const item of items) {
+        const taskId = item['Задача проектаID'];
+        if (processedTasks.has(taskId)) continue;
+
+        const taskOperations = items.filter(i =>
+            i['Задача проектаID'] === taskId && i['ОперацияID']
+        );
+
+        taskGroups.push({
+            taskId,
+            taskName: item['Задача проекта'],
+            // Задача с операциями или задача без операций
+            items: taskOperations.length > 0 ? taskOperations : [item],
+            previousTask: item['Предыдущая Задача']
+        });
+
+        processedTasks.add(taskId);
+    }
+
+    return taskGroups;
+}
+
+/**
+ * Возвращает время, с которого может начаться работа по связи link { type, lag } (см. linkWorkItems)
+ * с запланированной работой-предшественником { startTime, endTime, duration }:
+ * при связи ОН - после окончания, при НН - после начала;
+ * задержка отсчитывается в рабочих минутах календаря
+ */
+export function getLinkReleaseTime(link, predecessor, calendar) {
+    if (link.type === 'SS') {
+        return link.lag > 0 ? calculateEndTime(predecessor.startTime, link.lag, calendar) : new Date(predecessor.startTime);
+    }
+    return link.lag > 0 ? calculateEndTime(predecessor.endTime, link.lag, calendar) : new Date(predecessor.endTime);
+}
+
+/**
+ * Планирует задачи и операции одного проекта. Назначения добавляются в общий
+ * список context.assignments, поэтому исполнители, занятые в других проектах,
+ * не назначаются повторно на то же время. Новые значения полей добавляются
+ * в набор изменений context.changes, в базу ничего не записывается. Работы с закрепленным
+ * началом, исполнители которых в это время заняты, добавляются в context.violations.
+ * context.workPriority(project, works, workLinks) - необязательные приоритеты работ
+ * (Map работа -> число, меньше - раньше), по умолчанию работы планируются в порядке графа.
+ */
+export function scheduleProject(project, context) {
+    const {
+        calendar, settingsMap, executors, parameterDictionary, assignments, rejections, experience,
+        assignmentStrategy, replan, changes, fieldCodes, travelModel, splitRules, equipment, equipmentAssignments, workPriority,
+        violations, operationLink
+    } = context;
+
+    log(`Project start date: ${project.startDate.toLocaleDateString('ru-RU')}`);
+
+    // Группируем задачи проекта
+    const taskGroups = buildTaskGroups(project.items);
+
+    log(`Created ${taskGroups.length} task groups`);
+
+    // Строим граф предшествования и упорядочиваем задачи
+    buildTaskGraph(taskGroups);
+    const orderedTasks = orderTaskGroups(taskGroups);
+    // Граф задач сохраняется в проекте для отображения связей на диаграмме
+    project.taskGroups = taskGroups;
+
+    log(`Ordered ${orderedTasks.length} tasks`);
+
+    // Работы проекта (строки с нормативом) и связи между ними с учетом захваток и типов связей
+    const getNormative = item => parseFloat(item[item['ОперацияID'] ? 'Норматив операции' : 'Норматив задачи'] || 0);
+    const works = orderedTasks.flatMap(taskGroup => taskGroup.items
+        .filter(item => getNormative(item) !== 0)
+        .map(item => ({ taskGroup, item })));
+    const workLinks = linkWorkItems(orderedTasks, works, operationLink);
+    // Связь операций по умолчанию сохраняется в проекте для анализа и ручной корректировки
+    project.operationLink = operationLink;
+    // Запланированное время работ для связей со следующими работами
+    const scheduledWorks = new Map();
+
+    // Строки без норматива не планируются
+    for (const item of orderedTasks.flatMap(taskGroup => taskGroup.items).filter(i => getNormative(i) === 0)) {
+        log(`Skipping item ${item['ОперацияID'] || item['Задача проектаID']} - no normative`);
+    }
+
+    // Работы планируются в порядке графа или, в режиме оптимизации, по приоритетам workPriority
+    // (работа не планируется раньше своих предшественников, см. orderWorks)
+    for (const work of orderWorks(works, workLinks, workPriority ? workPriority(project, works, workLinks) : null)) {
+        const { taskGroup, item } = work;
+        const isOperation = !!item['ОперацияID'];
+        const itemId = isOperation ? item['ОперацияID'] : item['Задача проектаID'];
+        const itemName = isOperation ? item['Операция'] : item['Задача проекта'];
+        const normative = getNormative(item);
+
+        // Работа начинается после предшествующих работ своей захватки по типу связи (см. linkWorkItems),
+        // независимые ветки, захватки и работы без связи стартуют с начала проекта
+        let currentTime = alignToWorkingTime(project.startDate, calendar);
+        for (const link of workLinks.get(work)) {
+            const predecessor = scheduledWorks.get(link.work);
+            const release = predecessor ? getLinkReleaseTime(link, predecessor, calendar) : null;
+            if (release > currentTime) {
+                currentTime = new Date(release);
+            }
+        }
+
+        // Работа не начинается до поставки материалов
+        const materials = getMaterialsReadyTime(item, calendar);
+        if (materials && materials.time > currentTime) {
+            log(`Item ${itemId} waits for materials until ${formatDateTime(materials.time)}`);
+            currentTime = materials.time;
+        }
+
+        // Требуемое оборудование: единицы с занятостью из справочника и назначениями плана
+        const equipmentRequirements = [];
+        for (const requirement of parseEquipmentRequirements(item[RESOURCE_FIELDS.equipment])) {
+            const row = findEquipment(requirement.ref, equipment);
+            if (!row) {
+                log(`Warning: Equipment "${requirement.ref}" of item ${itemId} not found, ignoring it`);
+                continue;
+            }
+            equipmentRequirements.push({ units: getEquipmentUnits(row, equipmentAssignments), count: requirement.count });
+        }
+
+        const section = getItemSection(item);
+        const location = getItemLocation(item, project.items);
+        if (section) {
+            log(`Item ${itemId} is in section ${section}`);
+        }
+
+        log(`Scheduling item ${itemId} (${itemName}), duration: ${normative} minutes`);
+
+        // Работа с фактическим началом остается на нем у указанных исполнителей,
+        // в режиме перепланирования учитываем закрепленные начало и исполнителей
+        // Выполненная работа без фактического начала заканчивается в дату подтверждения
+        const actuals = getItemActuals(item);
+        const actualStart = actuals && (actuals.startTime || (actuals.endTime
+            ? calculateStartTime(actuals.endTime, actuals.minutes || normative, calendar)
+            : null));
+        const fixedStart = actualStart || (replan ? parseDateTime(item[isOperation ? 'Операция -> Начать' : 'Начать']) : null);
+        const pinnedExecutors = replan || actualStart ? findPinnedExecutors(item, executors) : [];
+        // Начатые и выполненные работы не переносятся и не перебираются
+        const isStarted = !!actualStart || (!!fixedStart && fixedStart < replan.from);
+        // Выполненная работа занимает фактическое рабочее время
+        const isFinished = !!actualStart && actuals.finished;
+
+        // Парсим параметры
+        const parameters = parseParameters(item['Параметры задачи']);
+
+        // Находим подходящих исполнителей, для остальных запоминаем причины отказа.
+        // Закрепленные исполнители сохраняются, даже если не подходят по параметрам.
+        const suitableExecutors = [];
+        for (const executor of (pinnedExecutors.length > 0 ? pinnedExecutors : executors)) {
+            const failures = evaluateParameters(executor, parameters, parameterDictionary);
+            if (failures.length === 0 || pinnedExecutors.length > 0) {
+                suitableExecutors.push(executor);
+            }
+            if (failures.length > 0) {
+                rejections.push({
+                    taskId: itemId,
+                    taskName: itemName,
+                    executorId: executor['ПользовательID'],
+                    executorName: executor['Пользователь'],
+                    reasons: failures.map(formatParameterFailure)
+                });
+            }
+        }
+
+        log(`Found ${suitableExecutors.length} suitable executors for item ${itemId}`);
+
+        // Определяем требуемое количество исполнителей
+        let requiredExecutors = pinnedExecutors.length > 0
+            ? pinnedExecutors.length
+            : parseInt(item['Исполнителей'] || 1);
+
+        // Работа не планируется меньшим числом исполнителей: она остается без назначения,
+        // нехватка попадает в отказы (начатая работа остается у закрепленных исполнителей)
+        if (!isStarted && suitableExecutors.length < requiredExecutors) {
+            log(`Warning: Not enough suitable executors for item ${itemId}. Required: ${requiredExecutors}, Suitable: ${suitableExecutors.length}, skipping`);
+            rejections.push({
+                taskId: itemId,
+                taskName: itemName,
+                executorId: null,
+                executorName: null,
+                reasons: [`Требуется исполнителей: ${requiredExecutors}, подходящих по параметрам: ${suitableExecutors.length}, работа не спланирована`]
+            });
+            requiredExecutors = 0;
+        }
+
+        // Длительность с учетом надбавки стажеру: для одного исполнителя
+        // и для бригады (определяется наименее опытным участником)
+        const operationKey = getOperationKey(item);
+        const getExecutorTolerance = executor => getTraineeTolerance(
+            experience.get(getExperienceKey(executor['ПользовательID'], operationKey)) || 0,
+            settingsMap
+        );
+        const getCrewTolerance = crew => Math.max(0, ...crew.map(getExecutorTolerance));
+
+        // Работа не планируется раньше момента перепланирования
+        const earliestTime = replan && !fixedStart && replan.from > currentTime ? replan.from : currentTime;
+
+        // Порядок выбора бригады по стратегии назначения
+        const chooseCrew = (freeExecutors, count) => selectCrew(freeExecutors, count, assignmentStrategy, {
+            taskName: taskGroup.taskName,
+            getLoad: executor => assignments
+                .filter(a => a.executorId === executor['ПользовательID'])
+                .reduce((sum, a) => sum + getAssignmentMinutes(a), 0),
+            isInTaskCrew: executor => assignments.some(a =>
+                a.taskGroupId === taskGroup.taskId && a.executorId === executor['ПользовательID']
+            )
+        });
+
+        // Начатая работа и закрепленное начало сохраняют оборудование, даже если оно занято
+        const getFixedEquipment = () => equipmentRequirements.flatMap(requirement => requirement.units
+            .slice(0, requirement.count)
+            .map(unit => ({ equipment: unit.equipment, unit: unit.unit })));
+
+        let slot = null;
+        if (isStarted) {
+            // Начатая работа остается у закрепленных исполнителей (если они указаны)
+            const startedDuration = isFinished
+                ? Math.max(1, getWorkingMinutesBetween(fixedStart, actuals.endTime, calendar))
+                : normative;
+            const segments = calculateWorkSegments(fixedStart, startedDuration, calendar);
+            slot = {
+                startTime: fixedStart,
+                endTime: calculateEndTime(fixedStart, startedDuration, calendar),
+                duration: startedDuration,
+                crew: pinnedExecutors,
+                reasons: pinnedExecutors.map(() => isFinished ? 'Работа выполнена' : 'Работа уже начата'),
+                segments: segments.map(segment => Object.assign(segment, { crew: pinnedExecutors })),
+                equipment: getFixedEquipment()
+            };
+            log(`Item ${itemId} is already ${isFinished ? 'finished' : 'started'} at ${formatDateTime(fixedStart)}, keeping it`);
+        } else if (requiredExecutors > 0) {
+            // Ищем самое раннее окно, когда нужное число исполнителей свободно на всю длительность
+            slot = findFreeSlot(fixedStart || earliestTime, suitableExecutors, requiredExecutors, assignments, calendar, {
+                travel: { location, getTravelTime: travelModel.getTravelTime },
+                equipment: equipmentRequirements,
+                // Закрепленное начало не переносится правилами разбиения
+                split: fixedStart ? null : {
+                    interruptible: isInterruptible(item, normative, splitRules),
+                    minChunk: splitRules.minChunk,
+                    changeExecutors: splitRules.changeExecutors,
+                    finishPriority: splitRules.finishPriority
+                },
+                getDuration: executor => Math.round(normative * (1 + getExecutorTolerance(executor) / 100)),
+                getCrewDuration: crew => Math.round(normative * (1 + getCrewTolerance(crew) / 100)),
+                selectCrew: chooseCrew
+            });
+
+            if (fixedStart && (!slot || slot.startTime.getTime() !== fixedStart.getTime())) {
+                // Закрепленное начало не переносим, даже если исполнители заняты: работа остается
+                // у закрепленных исполнителей (без них - у свободных в это время, затем у остальных
+                // подходящих по стратегии), пересечение отмечается нарушением
+                const fixedEnd = calculateEndTime(fixedStart, normative, calendar);
+                const isFree = executor => isExecutorAvailable(executor, fixedStart, fixedEnd, assignments, null);
+                const free = suitableExecutors.filter(isFree);
+                const crew = pinnedExecutors.length > 0
+                    ? pinnedExecutors
+                    : chooseCrew(free, requiredExecutors)
+                        .concat(chooseCrew(suitableExecutors.filter(executor => !isFree(executor)), Math.max(0, requiredExecutors - free.length)))
+                        .map(choice => choice.executor);
+                const fixedDuration = Math.round(normative * (1 + getCrewTolerance(crew) / 100));
+                const busy = crew.filter(executor => !isFree(executor));
+
+                slot = {
+                    startTime: fixedStart,
+                    endTime: calculateEndTime(fixedStart, fixedDuration, calendar),
+                    duration: fixedDuration,
+                    crew,
+                    reasons: crew.map(() => 'Закрепленное начало'),
+                    segments: calculateWorkSegments(fixedStart, fixedDuration, calendar)
+                        .map(segment => Object.assign(segment, { crew })),
+                    equipment: getFixedEquipment()
+                };
+
+                log(`Warning: Executors are not free at fixed start of item ${itemId}, keeping start and crew`);
+                violations.push({
+                    key: `${project.projectId}:${itemId}`,
+                    taskId: itemId,
+                    taskName: itemName,
+                    projectName: project.projectName,
+                    message: `Исполнители заняты в закрепленное начало ${formatDateTime(fixedStart)}: ` +
+                        (busy.length > 0 ? busy : crew).map(executor => executor['Пользователь']).join(', ')
+                });
+            } else if (!slot) {
+                log(`Warning: No free slot found for item ${itemId} within a year`);
+            }
+
+            if (slot && pinnedExecutors.length > 0) {
+                slot.reasons = slot.reasons.map(() => 'Исполнитель закреплен за задачей');
+            }
+        }
+
+        const availableExecutors = slot ? slot.crew : [];
+        // Надбавка и длительность определяются бригадой, начавшей работу (см. findFreeSlot)
+        const tolerance = isStarted || !slot ? 0 : getCrewTolerance(slot.segments[0].crew);
+        const duration = slot ? slot.duration : Math.round(normative * (1 + tolerance / 100));
+
+        if (tolerance > 0) {
+            log(`Trainee tolerance ${tolerance}% applied to item ${itemId}: ${normative} -> ${duration} minutes`);
+        }
+
+        // Назначаем исполнителей
+        const startTime = slot ? slot.startTime : (fixedStart || alignToWorkingTime(earliestTime, calendar));
+        const endTime = slot ? slot.endTime : calculateEndTime(startTime, duration, calendar);
+
+        if (startTime > earliestTime && !fixedStart) {
+            log(`Item ${itemId} waits for executors until ${formatDateTime(startTime)}`);
+        }
+
+        availableExecutors.forEach((executor, index) => {
+            assignments.push({
+                taskId: itemId,
+                taskName: itemName,
+                taskGroupId: taskGroup.taskId,
+                projectId: project.projectId,
+                projectName: project.projectName,
+                executorId: executor['ПользовательID'],
+                executorName: executor['Пользователь'],
+                startTime: new Date(startTime),
+                endTime: new Date(endTime),
+                duration: duration,
+                normative: normative,
+                tolerance: tolerance,
+                reason: slot.reasons[index],
+                fixed: !!fixedStart,
+                section,
+                location,
+                // Отрезки работы исполнителя по дням (при разбиении - только его отрезки)
+                segments: slot.segments
+                    .filter(segment => segment.crew.includes(executor))
+                    .map(segment => ({ startTime: segment.startTime, endTime: segment.endTime, minutes: segment.minutes }))
+            });
+
+            // Операция засчитывается исполнителю для следующих назначений
+            const experienceKey = getExperienceKey(executor['ПользовательID'], operationKey);
+            experience.set(experienceKey, (experience.get(experienceKey) || 0) + 1);
+        });
+
+        // Оборудование занято на все отрезки работы
+        for (const reserved of (availableExecutors.length > 0 ? slot.equipment : [])) {
+            equipmentAssignments.push({
+                equipmentId: reserved.equipment['ОборудованиеID'],
+                equipmentName: formatEquipmentUnit(reserved.equipment, reserved.unit),
+                unit: reserved.unit,
+                taskId: itemId,
+                taskName: itemName,
+                taskGroupId: taskGroup.taskId,
+                projectId: project.projectId,
+                projectName: project.projectName,
+                startTime: new Date(startTime),
+                endTime: new Date(endTime),
+                segments: slot.segments.map(segment => ({
+                    startTime: segment.startTime, endTime: segment.endTime, minutes: segment.minutes
+                }))
+            });
+        }
+
+        // Добавляем время начала и исполнителей в набор изменений
+        // (закрепленное начало не перезаписываем)
+        const changeItem = { itemId, itemName, projectName: project.projectName };
+
+        if (fixedStart) {
+            log(`Keeping fixed start time ${formatDateTime(startTime)} of item ${itemId}`);
+        } else {
+            recordChange(changes, changeItem, {
+                label: 'Начало',
+                code: isOperation ? fieldCodes.operationStart : fieldCodes.taskStart,
+                oldValue: item[isOperation ? 'Операция -> Начать' : 'Начать'],
+                newValue: formatDateTime(startTime)
+            });
+        }
+
+        if (!isStarted && availableExecutors.length > 0) {
+            recordChange(changes, changeItem, {
+                label: 'Исполнитель',
+                code: fieldCodes.executor,
+                oldValue: item['Исполнитель Задачи'],
+                newValue: availableExecutors.map(ex => ex['Пользователь']).join(', ')
+            });
+        }
+
+        // Время работы для связей со следующими работами
+        scheduledWorks.set(work, { startTime, endTime, duration });
+    }
+}
+/**
+ * Преобразует строки отчета настроек в объект { Код: Значение }
+ */
+export function parseSettings(settings) {
+    const settingsMap = {};
+    settings.forEach(s => {
+        // Числовые настройки приводим к числу, списки (дни недели, даты) оставляем строками
+        const value = s['Значение'];
+        settingsMap[s['Код']] = value !== '' && !isNaN(Number(value)) ? Number(value) : value;
+    });
+    return settingsMap;
+}
+
+/**
+ * Возвращает момент перепланирования: Date, строка "DD.MM.YYYY HH:MM" или текущее время
+ */
+function parseReplanFrom(value) {
+    if (value instanceof Date) return value;
+    return parseDateTime(value) || new Date();
+}
+
+/**
+ * Планирует все рабочие проекты.
+ *
+ * data: { projectData, settings, parameterDictionary, executors, equipment } - строки отчетов
+ * проектов, настроек, справочника параметров, исполнителей и оборудования (необязательно).
+ * options: { fieldCodes, replan, replanFrom, workPriority } (workPriority - приоритеты работ
+ * для режима оптимизации, см. scheduleProject и optimizeSchedule).
+ *
+ * Возвращает { assignments, equipmentAssignments, rejections, violations, changes, projects, settings, calendar,
+ * executors, sourceExecutors, equipment, parameterDictionary }: назначения исполнителей и оборудования
+ * ({ equipmentId, equipmentName, unit, taskId, projectId, startTime, endTime, segments, ... }),
+ * исполнителей, отклоненных по параметрам (работы, для которых подходящих исполнителей меньше
+ * требуемого, не планируются и попадают в отказы с executorId null), работы с закрепленным началом,
+ * исполнители которых в это время заняты ({ key, taskId, taskName, projectName, message }), набор изменений для сохранения, спланированные проекты
+ * (с графом задач taskGroups, строками шаблона templateItems и связью операций по умолчанию operationLink), настройки, рабочий календарь и
+ * справочники для ручной корректировки плана. Работы с фактическим выполнением (см. getItemActuals)
+ * остаются на фактическом времени. В executors занятое время, ранее записанное планировщиком
+ * для планируемых проектов, освобождено; sourceExecutors - строки справочника исполнителей без изменений.
+ */
+export function planSchedule(data, options = {}) {
+    const { projectData, settings, parameterDictionary } = data;
+    const sourceExecutors = data.executors;
+    const equipment = data.equipment || [];
+    const fieldCodes = options.fieldCodes || DEFAULT_CONFIG.fieldCodes;
+
+    const settingsMap = parseSettings(settings);
+    log('Loaded settings:', settingsMap);
+
+    const calendar = createCalendar(settingsMap);
+    log(`Loaded ${sourceExecutors.length} executors`);
+    log(`Loaded ${parameterDictionary.length} parameters`);
+    log(`Loaded ${equipment.length} equipment`);
+
+    // Разделяем данные на шаблоны и рабочие проекты
+    log('Separating templates and working projects...');
+    const templateProject = projectData.filter(item => item['Статус проекта'] !== 'В работе');
+    const workingProject = projectData.filter(item => item['Статус проекта'] === 'В работе');
+
+    log(`Template projects: ${templateProject.length} items`);
+    log(`Working projects: ${workingProject.length} items`);
+
+    if (workingProject.length === 0) {
+        throw new Error('No working project found with status "В работе"');
+    }
+
+    const projects = orderProjects(groupProjects(workingProject), settingsMap);
+    log(`Projects in priority order: ${projects.map(p => `${p.projectName} (${p.projectId})`).join(', ')}`);
+
+    // Занятое время, записанное планировщиком для планируемых проектов (метка "#ПроектID"),
+    // освобождается: эти проекты планируются заново
+    const plannedProjectIds = projects.filter(project => project.startDate).map(project => project.projectId);
+    const executors = sourceExecutors.map(executor => Object.assign({}, executor, {
+        'Занятое время': releaseOccupiedTime(executor['Занятое время'], plannedProjectIds)
+    }));
+
+    // Набор изменений для сохранения после подтверждения пользователем
+    const changes = [];
+
+    // Рассчитываем нормативы для каждого проекта по его шаблону
+    log('Calculating standards...');
+    for (const project of projects) {
+        const templateItems = getTemplateItems(project, projectData);
+
+        if (templateItems.length === 0) {
+            log(`Warning: Template ${project.templateId} of project ${project.projectId} not found`);
+        }
+
+        calculateNormatives(project.items, templateItems, project, changes, fieldCodes);
+        // Строки шаблона сохраняются в проекте для уточнения нормативов по факту (см. analyzeProgress)
+        project.templateItems = templateItems;
+    }
+
+    // Планируем проекты в порядке приоритета с общим пулом исполнителей
+    log('Scheduling projects...');
+
+    const context = {
+        calendar,
+        settingsMap,
+        executors,
+        parameterDictionary,
+        fieldCodes,
+        assignments: [],
+        // Исполнители, отклоненные по параметрам, с объяснением причин
+        rejections: [],
+        // Опыт исполнителей: сколько раз каждый выполнял операцию
+        experience: buildExperience(projectData, workingProject, executors),
+        assignmentStrategy: getAssignmentStrategy(settingsMap.assignment_strategy),
+        // Время переезда исполнителей между объектами по координатам
+        travelModel: createTravelModel(settingsMap),
+        // Правила разбиения работ по дням и исполнителям
+        splitRules: createSplitRules(settingsMap),
+        // Связь операций с пустым полем "Тип связи"
+        operationLink: getDefaultOperationLink(settingsMap),
+        // Оборудование и его занятость работами плана
+        equipment,
+        equipmentAssignments: [],
+        // Работы с закрепленным началом, исполнители которых в это время заняты
+        violations: [],
+        // Приоритеты работ режима оптимизации (по умолчанию - порядок графа)
+        workPriority: options.workPriority || null,
+        // Режим перепланирования: оставшаяся работа планируется не раньше replan.from
+        replan: options.replan
+            ? { from: parseReplanFrom(options.replanFrom) }
+            : null,
+        changes
+    };
+
+    if (context.replan) {
+        log(`Re-planning remaining work from ${formatDateTime(context.replan.from)}`);
+    }
+
+    const scheduledProjects = [];
+    for (const project of projects) {
+        log(`Scheduling project ${project.projectId} (${project.projectName})`);
+
+        if (!project.startDate) {
+            error(`Project ${project.projectId} (${project.projectName}) has no start date, skipping`);
+            continue;
+        }
+
+        scheduleProject(project, context);
+        scheduledProjects.push(project);
+    }
+
+    if (scheduledProjects.length === 0) {
+        throw new Error('Project start date not found');
+    }
+
+    log(`Created ${context.assignments.length} assignments`);
+
+    return {
+        assignments: context.assignments,
+        equipmentAssignments: context.equipmentAssignments,
+        rejections: context.rejections,
+        violations: context.violations,
+        changes,
+        projects: scheduledProjects,
+        settings: settingsMap,
+        calendar,
+        executors,
+        sourceExecutors,
+        equipment,
+        parameterDictionary
+    };
+}
@@ -0,0 +1,280 @@
+/**
+ * Фактическое выполнение работ: фактические начало, окончание и минуты работы, отклонения от плана,
+ * процент выполнения задач и проектов, производительность исполнителей и уточнение нормативов шаблона
+ */
+
+import { log } from './logger.js';
+import { parseDateTime } from './dates.js';
+import { getWorkingMinutesBetween } from './calendar.js';
+import { findPinnedExecutors } from './assignment.js';
+import { orderTaskGroups } from './graph.js';
+import { findTemplateItem } from './normatives.js';
+import { recordChange } from './changes.js';
+
+/**
+ * Поля фактического выполнения в строке проекта: у операции - поля операции,
+ * у задачи без операций - поля задачи. Дата подтверждения - фактическое окончание работы.
+ */
+export const PROGRESS_FIELDS = {
+    operation: {
+        start: 'Операция -> Факт. начало',
+        end: 'Операция -> Дата подтверждения',
+        minutes: 'Операция -> Факт. минут'
+    },
+    task: {
+        start: 'Факт. начало',
+        end: 'Дата подтверждения',
+        minutes: 'Факт. минут'
+    }
+};
+
+/**
+ * Поля фактического выполнения для строки проекта (операции или задачи без операций)
+ */
+export function getProgressFields(item) {
+    return item['ОперацияID'] ? PROGRESS_FIELDS.operation : PROGRESS_FIELDS.task;
+}
+
+/**
+ * Читает фактическое выполнение работы: { startTime, endTime, minutes, finished }
+ * (незаполненные значения - null) или null, если факт не указан.
+ * Значения, которые не удалось разобрать, добавляются в unrecognized как { field, value }.
+ */
+export function getItemActuals(item, unrecognized = []) {
+    const fields = getProgressFields(item);
+    const readTime = field => {
+        if (!item[field]) return null;
+        const time = parseDateTime(item[field]);
+        if (!time) unrecognized.push({ field, value: item[field] });
+        return time;
+    };
+
+    const startTime = readTime(fields.start);
+    const endTime = readTime(fields.end);
+    let minutes = null;
+    if (item[fields.minutes] !== undefined && item[fields.minutes] !== null && item[fields.minutes] !== '') {
+        minutes = parseFloat(String(item[fields.minutes]).replace(',', '.'));
+        if (isNaN(minutes) || minutes < 0) {
+            unrecognized.push({ field: fields.minutes, value: item[fields.minutes] });
+            minutes = null;
+        }
+    }
+
+    if (!startTime && !endTime && minutes === null) return null;
+    return { startTime, endTime, minutes, finished: !!endTime };
+}
+
+/**
+ * Отклонение в рабочих минутах календаря: положительное - actual позже planned
+ */
+function getSignedWorkingMinutes(planned, actual, calendar) {
+    return actual >= planned
+        ? getWorkingMinutesBetween(planned, actual, calendar)
+        : -getWorkingMinutesBetween(actual, planned, calendar);
+}
+
+/**
+ * Процент выполнения группы работ, взвешенный по нормативам
+ */
+function getWeightedPercent(items) {
+    const total = items.reduce((sum, item) => sum + item.normative, 0);
+    if (total === 0) return 0;
+    return Math.round(items.reduce((sum, item) => sum + item.normative * item.percentComplete, 0) / total);
+}
+
+/**
+ * Анализирует фактическое выполнение по результату планирования
+ * { projects, assignments, calendar, settings, executors } (проекты - с графом задач taskGroups
+ * и строками шаблона templateItems, см. planSchedule).
+ *
+ * Возвращает { items, tasks, projects, executors, normatives }:
+ * - items - работы с плановым началом (сохраненное поле "Начать", без него - начало по плану),
+ *   фактом, отклонением начала (startVariance, рабочие минуты, + - позже плана), отклонением
+ *   трудоемкости от норматива (durationVariance, минуты, + - дольше) и процентом выполнения:
+ *   выполненная работа - 100%, начатая - по фактическим минутам от норматива (не больше 99%);
+ * - tasks, projects - процент выполнения задач и проектов, взвешенный по нормативам;
+ * - executors - производительность исполнителей по выполненным работам с фактическими минутами:
+ *   productivity = норматив / факт (больше 1 - быстрее норматива);
+ * - normatives - предлагаемые нормативы шаблона: норматив-число строки шаблона умножается на среднее
+ *   отношение факта к нормативу выполненных по ней работ, если их не меньше feedback_min_samples
+ *   (настройка проекта, по умолчанию 3).
+ */
+export function analyzeProgress(result) {
+    const { projects, assignments, calendar } = result;
+    const settings = result.settings || {};
+    const executors = result.sourceExecutors || result.executors || [];
+    const minSamples = settings.feedback_min_samples !== undefined && settings.feedback_min_samples !== ''
+        ? Number(settings.feedback_min_samples)
+        : 3;
+
+    const items = [];
+    const tasks = [];
+    const projectSummaries = [];
+    const productivity = new Map();
+    const samples = new Map();
+
+    for (const project of projects) {
+        const projectItems = [];
+
+        for (const taskGroup of orderTaskGroups(project.taskGroups || [])) {
+            const taskItems = [];
+
+            for (const item of taskGroup.items) {
+                const isOperation = !!item['ОперацияID'];
+                const itemId = isOperation ? item['ОперацияID'] : item['Задача проектаID'];
+                const normative = parseFloat(item[isOperation ? 'Норматив операции' : 'Норматив задачи'] || 0);
+                if (!normative) continue;
+
+                const itemAssignments = assignments.filter(a => a.projectId === project.projectId && a.taskId === itemId);
+                const plannedStart = parseDateTime(item[isOperation ? 'Операция -> Начать' : 'Начать']) ||
+                    (itemAssignments.length > 0 ? itemAssignments[0].startTime : null);
+
+                const actual = getItemActuals(item);
+                let actualMinutes = actual ? actual.minutes : null;
+                if (actualMinutes === null && actual && actual.startTime && actual.endTime) {
+                    actualMinutes = getWorkingMinutesBetween(actual.startTime, actual.endTime, calendar);
+                }
+
+                let percentComplete = 0;
+                if (actual && actual.finished) {
+                    percentComplete = 100;
+                } else if (actualMinutes !== null) {
+                    percentComplete = Math.min(99, Math.round(actualMinutes / normative * 100));
+                }
+
+                const progressItem = {
+                    key: `${project.projectId}:${itemId}`,
+                    projectId: project.projectId,
+                    projectName: project.projectName,
+                    taskGroupId: taskGroup.taskId,
+                    taskGroupName: taskGroup.taskName,
+                    taskId: itemId,
+                    taskName: isOperation ? item['Операция'] : item['Задача проекта'],
+                    normative,
+                    plannedStart,
+                    actual,
+                    actualMinutes,
+                    startVariance: plannedStart && actual && actual.startTime
+                        ? getSignedWorkingMinutes(plannedStart, actual.startTime, calendar)
+                        : null,
+                    durationVariance: actual && actual.finished && actualMinutes !== null ? actualMinutes - normative : null,
+                    percentComplete
+                };
+                items.push(progressItem);
+                taskItems.push(progressItem);
+                projectItems.push(progressItem);
+
+                if (progressItem.durationVariance === null || actualMinutes === 0) continue;
+
+                // Исполнители выполненной работы: из поля "Исполнитель Задачи", без него - по плану
+                const pinned = findPinnedExecutors(item, executors);
+                const performers = pinned.length > 0
+                    ? pinned.map(executor => ({ executorId: executor['ПользовательID'], executorName: executor['Пользователь'] }))
+                    : itemAssignments.map(a => ({ executorId: a.executorId, executorName: a.executorName }));
+                for (const performer of performers) {
+                    if (!productivity.has(performer.executorId)) {
+                        productivity.set(performer.executorId, Object.assign({ normativeMinutes: 0, actualMinutes: 0, works: 0 }, performer));
+                    }
+                    const entry = productivity.get(performer.executorId);
+                    entry.normativeMinutes += normative;
+                    entry.actualMinutes += actualMinutes;
+                    entry.works++;
+                }
+
+                // Отношение факта к нормативу для строки шаблона (только нормативы-числа)
+                const templateItem = findTemplateItem(item, project.templateItems || []);
+                const templateValue = templateItem ? String(templateItem[isOperation ? 'Норматив операции' : 'Норматив задачи'] || '').trim() : '';
+                if (!/^\d+(?:[.,]\d+)?$/.test(templateValue)) continue;
+
+                const templateId = isOperation ? templateItem['ОперацияID'] : templateItem['Задача проектаID'];
+                const templateKey = `${templateItem['ПроектID']}:${templateId}`;
+                if (!samples.has(templateKey)) {
+                    samples.set(templateKey, {
+                        templateItem,
+                        itemId: templateId,
+                        itemName: isOperation ? templateItem['Операция'] : templateItem['Задача проекта'],
+                        projectName: templateItem['Проект'],
+                        value: templateValue,
+                        ratios: []
+                    });
+                }
+                samples.get(templateKey).ratios.push(actualMinutes / normative);
+            }
+
+            if (taskItems.length > 0) {
+                tasks.push({
+                    projectId: project.projectId,
+                    projectName: project.projectName,
+                    taskId: taskGroup.taskId,
+                    taskName: taskGroup.taskName,
+                    percentComplete: getWeightedPercent(taskItems)
+                });
+            }
+        }
+
+        projectSummaries.push({
+            projectId: project.projectId,
+            projectName: project.projectName,
+            percentComplete: getWeightedPercent(projectItems),
+            finished: projectItems.filter(item => item.actual && item.actual.finished).length,
+            total: projectItems.length
+        });
+    }
+
+    const normatives = [];
+    for (const sample of samples.values()) {
+        if (sample.ratios.length < minSamples) continue;
+
+        const ratio = sample.ratios.reduce((sum, value) => sum + value, 0) / sample.ratios.length;
+        const suggested = Math.round(parseFloat(sample.value.replace(',', '.')) * ratio * 100) / 100;
+        if (String(suggested) === sample.value) continue;
+
+        normatives.push({
+            templateItem: sample.templateItem,
+            itemId: sample.itemId,
+            itemName: sample.itemName,
+            projectName: sample.projectName,
+            samples: sample.ratios.length,
+            ratio: Math.round(ratio * 100) / 100,
+            oldValue: sample.value,
+            newValue: String(suggested)
+        });
+    }
+
+    log(`Progress: ${items.filter(item => item.actual).length} of ${items.length} works have actuals, ${normatives.length} template normatives to update`);
+
+    return {
+        items,
+        tasks,
+        projects: projectSummaries,
+        executors: Array.from(productivity.values())
+            .map(entry => Object.assign(entry, {
+                productivity: Math.round(entry.normativeMinutes / entry.actualMinutes * 100) / 100
+            }))
+            .sort((a, b) => b.productivity - a.productivity),
+        normatives
+    };
+}
+
+/**
+ * Возвращает изменения нормативов шаблона по производительности (см. analyzeProgress):
+ * набор изменений для сохранения вместе с планом
+ */
+export function buildNormativeFeedbackChanges(progress, fieldCodes) {
+    const changes = [];
+
+    for (const suggestion of progress.normatives) {
+        recordChange(changes, {
+            itemId: suggestion.itemId,
+            itemName: suggestion.itemName,
+            projectName: suggestion.projectName
+        }, {
+            label: 'Норматив шаблона',
+            code: fieldCodes.normative,
+            oldValue: suggestion.oldValue,
+            newValue: suggestion.newValue
+        });
+    }
+
+    return changes;
+}
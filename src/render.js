@@ -0,0 +1,732 @@
+/**
+ * Отображение результатов планирования в HTML
+ */
+
+import { log } from './logger.js';
+import { formatDateTime, formatMinutes, parseDateTime } from './dates.js';
+import { exportCsv, exportICalendar, exportMsProjectXml, exportXlsx } from './exporters.js';
+import { getAssignmentSegments } from './splitting.js';
+
+/**
+ * Генерирует HTML-таблицу с календарем назначений: строка на каждый отрезок назначения по дням.
+ * criticalKeys - ключи работ критического пути ("ПроектID:ID"), такие строки выделяются.
+ */
+export function generateCalendar(assignments, executors, tasks, criticalKeys = new Set()) {
+    log('Generating calendar HTML');
+
+    // Группируем назначения по дням
+    const assignmentsByDate = {};
+    const executorMap = {};
+
+    executors.forEach(ex => {
+        executorMap[ex['ПользовательID']] = ex['Пользователь'];
+    });
+
+    for (const assignment of assignments) {
+        const segments = getAssignmentSegments(assignment);
+        for (const segment of segments) {
+            const dateStr = segment.startTime.toISOString().split('T')[0];
+            if (!assignmentsByDate[dateStr]) {
+                assignmentsByDate[dateStr] = [];
+            }
+            assignmentsByDate[dateStr].push({ assignment, segment, parts: segments.length });
+        }
+    }
+
+    // Сортируем даты
+    const sortedDates = Object.keys(assignmentsByDate).sort();
+
+    let html = '<table class="schedule-calendar" style="border-collapse: collapse; width: 100%; margin: 20px 0;">';
+    html += '<thead><tr style="background-color: #f0f0f0;">';
+    html += '<th style="border: 1px solid #ddd; padding: 8px;">Дата</th>';
+    html += '<th style="border: 1px solid #ddd; padding: 8px;">Время</th>';
+    html += '<th style="border: 1px solid #ddd; padding: 8px;">Проект</th>';
+    html += '<th style="border: 1px solid #ddd; padding: 8px;">Задача/Операция</th>';
+    html += '<th style="border: 1px solid #ddd; padding: 8px;">Исполнитель</th>';
+    html += '<th style="border: 1px solid #ddd; padding: 8px;">Длительность (мин)</th>';
+    html += '<th style="border: 1px solid #ddd; padding: 8px;">Причина назначения</th>';
+    html += '</tr></thead>';
+    html += '<tbody>';
+
+    for (const dateStr of sortedDates) {
+        const dayAssignments = assignmentsByDate[dateStr];
+        dayAssignments.sort((a, b) => a.segment.startTime - b.segment.startTime);
+
+        for (const { assignment, segment, parts } of dayAssignments) {
+            const task = tasks.find(t =>
+                (t['ОперацияID'] && t['ОперацияID'] === assignment.taskId) ||
+                (t['Задача проектаID'] && t['Задача проектаID'] === assignment.taskId)
+            );
+
+            const taskName = task ? (task['Операция'] || task['Задача проекта']) : 'Неизвестная задача';
+            const executorName = executorMap[assignment.executorId] || 'Неизвестный';
+
+            const startTimeStr = segment.startTime.toLocaleTimeString('ru-RU', { hour: '2-digit', minute: '2-digit' });
+            const endTimeStr = segment.endTime.toLocaleTimeString('ru-RU', { hour: '2-digit', minute: '2-digit' });
+            // Для работы, выполняемой частями, - минуты отрезка из общей длительности
+            const durationStr = parts > 1 ? `${segment.minutes} из ${assignment.duration}` : String(assignment.duration);
+
+            const critical = criticalKeys.has(`${assignment.projectId}:${assignment.taskId}`);
+
+            html += critical ? '<tr style="background-color: #fff3e0;" title="Критический путь">' : '<tr>';
+            html += `<td style="border: 1px solid #ddd; padding: 8px;">${new Date(dateStr).toLocaleDateString('ru-RU')}</td>`;
+            html += `<td style="border: 1px solid #ddd; padding: 8px;">${startTimeStr} - ${endTimeStr}</td>`;
+            html += `<td style="border: 1px solid #ddd; padding: 8px;">${assignment.projectName || ''}</td>`;
+            html += `<td style="border: 1px solid #ddd; padding: 8px;">${taskName}</td>`;
+            html += `<td style="border: 1px solid #ddd; padding: 8px;">${executorName}</td>`;
+            html += `<td style="border: 1px solid #ddd; padding: 8px;">${durationStr}</td>`;
+            html += `<td style="border: 1px solid #ddd; padding: 8px;">${assignment.reason || ''}</td>`;
+            html += '</tr>';
+        }
+    }
+
+    html += '</tbody></table>';
+
+    return html;
+}
+
+/**
+ * Генерирует HTML-таблицу использования оборудования: строка на каждый отрезок работы
+ * по дням (по единицам оборудования и времени начала)
+ */
+export function generateEquipmentReport(equipmentAssignments) {
+    if (!equipmentAssignments || equipmentAssignments.length === 0) return '';
+
+    const cell = 'border: 1px solid #ddd; padding: 8px;';
+    const rows = equipmentAssignments
+        .flatMap(usage => getAssignmentSegments(usage).map(segment => ({ usage, segment })))
+        .sort((a, b) => a.usage.equipmentName.localeCompare(b.usage.equipmentName) || a.segment.startTime - b.segment.startTime);
+
+    let html = '<h3>Оборудование</h3>';
+    html += '<table class="schedule-equipment" style="border-collapse: collapse; width: 100%; margin: 10px 0 20px;">';
+    html += '<thead><tr style="background-color: #f0f0f0;">';
+    for (const title of ['Оборудование', 'Дата', 'Время', 'Проект', 'Задача/Операция']) {
+        html += `<th style="${cell}">${title}</th>`;
+    }
+    html += '</tr></thead><tbody>';
+
+    for (const { usage, segment } of rows) {
+        const time = date => date.toLocaleTimeString('ru-RU', { hour: '2-digit', minute: '2-digit' });
+        html += '<tr>';
+        html += `<td style="${cell}">${usage.equipmentName}</td>`;
+        html += `<td style="${cell}">${segment.startTime.toLocaleDateString('ru-RU')}</td>`;
+        html += `<td style="${cell}">${time(segment.startTime)} - ${time(segment.endTime)}</td>`;
+        html += `<td style="${cell}">${usage.projectName || ''}</td>`;
+        html += `<td style="${cell}">${usage.taskName}</td>`;
+        html += '</tr>';
+    }
+
+    html += '</tbody></table>';
+    return html;
+}
+
+/**
+ * Генерирует HTML-отчет об исполнителях, не подошедших по параметрам задач/операций
+ */
+export function generateRejectionsReport(rejections) {
+    if (rejections.length === 0) return '';
+
+    // Группируем отказы по задачам/операциям
+    const rejectionsByTask = new Map();
+    for (const rejection of rejections) {
+        if (!rejectionsByTask.has(rejection.taskId)) {
+            rejectionsByTask.set(rejection.taskId, []);
+        }
+        rejectionsByTask.get(rejection.taskId).push(rejection);
+    }
+
+    let html = '<h3>Исполнители, не подошедшие по параметрам</h3>';
+
+    for (const taskRejections of rejectionsByTask.values()) {
+        const { taskId, taskName } = taskRejections[0];
+        html += '<details style="margin: 5px 0;">';
+        html += `<summary>${taskName} (ID ${taskId}): отклонено ${taskRejections.length}</summary>`;
+        html += '<ul>';
+        for (const rejection of taskRejections) {
+            // Отказ без исполнителя - работа не спланирована из-за нехватки подходящих исполнителей
+            html += `<li><strong>${rejection.executorName || 'Работа'}</strong>: ${rejection.reasons.join('; ')}</li>`;
+        }
+        html += '</ul></details>';
+    }
+
+    return html;
+}
+
+/**
+ * Генерирует HTML-таблицу изменений (было/стало) с кнопками подтверждения сохранения.
+ * options.saveBlocked - кнопка сохранения недоступна из-за ошибок в исходных данных.
+ */
+export function generateChangesReport(changes, options = {}) {
+    if (changes.length === 0) {
+        return '<p class="schedule-changes">Изменений для сохранения нет</p>';
+    }
+
+    let html = '<div class="schedule-changes" style="margin: 20px 0;">';
+    html += `<h3>Изменения для сохранения (${changes.length})</h3>`;
+    html += '<table style="border-collapse: collapse; width: 100%;">';
+    html += '<thead><tr style="background-color: #f0f0f0;">';
+    html += '<th style="border: 1px solid #ddd; padding: 8px;">Проект</th>';
+    html += '<th style="border: 1px solid #ddd; padding: 8px;">Задача/Операция</th>';
+    html += '<th style="border: 1px solid #ddd; padding: 8px;">Поле</th>';
+    html += '<th style="border: 1px solid #ddd; padding: 8px;">Было</th>';
+    html += '<th style="border: 1px solid #ddd; padding: 8px;">Стало</th>';
+    html += '</tr></thead>';
+    html += '<tbody>';
+
+    for (const change of changes) {
+        for (const field of change.fields) {
+            // Поля без кода integram показываются, но не сохраняются
+            const note = field.code ? '' : ' <em>(не сохраняется)</em>';
+            html += '<tr>';
+            html += `<td style="border: 1px solid #ddd; padding: 8px;">${change.projectName || ''}</td>`;
+            html += `<td style="border: 1px solid #ddd; padding: 8px;">${change.itemName} (ID ${change.itemId})</td>`;
+            html += `<td style="border: 1px solid #ddd; padding: 8px;">${field.label}${note}</td>`;
+            html += `<td style="border: 1px solid #ddd; padding: 8px; color: #c62828;">${field.oldValue || '—'}</td>`;
+            html += `<td style="border: 1px solid #ddd; padding: 8px; color: #2e7d32;">${field.newValue || '—'}</td>`;
+            html += '</tr>';
+        }
+    }
+
+    html += '</tbody></table>';
+    html += '<p>';
+    html += `<button type="button" class="scheduler-save"${options.saveBlocked ? ' disabled' : ''}>Сохранить изменения</button> `;
+    html += '<button type="button" class="scheduler-cancel">Отменить</button> ';
+    html += options.saveBlocked
+        ? '<span class="scheduler-save-status" style="color: red;">Сохранение запрещено: исправьте ошибки в исходных данных</span>'
+        : '<span class="scheduler-save-status"></span>';
+    html += '</p></div>';
+
+    return html;
+}
+
+/**
+ * Подключает кнопки подтверждения: сохранение набора изменений с отображением прогресса.
+ * save(onProgress) сохраняет изменения и возвращает Promise с числом записанных элементов.
+ */
+export function bindSaveControls(container, save) {
+    const saveButton = container.querySelector('.scheduler-save');
+    const cancelButton = container.querySelector('.scheduler-cancel');
+    const status = container.querySelector('.scheduler-save-status');
+    if (!saveButton || !cancelButton || !status) return;
+
+    cancelButton.addEventListener('click', () => {
+        saveButton.disabled = true;
+        cancelButton.disabled = true;
+        status.textContent = 'Сохранение отменено, база данных не изменена';
+    });
+
+    saveButton.addEventListener('click', async () => {
+        saveButton.disabled = true;
+        cancelButton.disabled = true;
+        status.textContent = 'Сохранение...';
+
+        try {
+            const saved = await save((done, total) => {
+                status.textContent = `Сохранено ${done} из ${total}`;
+            });
+            status.textContent = `Сохранено элементов: ${saved}`;
+            log(`Saved ${saved} items`);
+        } catch (err) {
+            status.style.color = 'red';
+            status.textContent = err.message;
+        }
+    });
+}
+
+/**
+ * Генерирует HTML-таблицу замечаний проверки исходных данных (см. validateData):
+ * сначала ошибки, затем предупреждения
+ */
+export function generateValidationReport(validation) {
+    if (!validation) return '';
+
+    const { issues, errors, warnings } = validation;
+    if (issues.length === 0) {
+        return '<p class="scheduler-validation" style="color: #2e7d32;">Проверка исходных данных: замечаний нет</p>';
+    }
+
+    const color = errors.length > 0 ? '#c62828' : '#ef6c00';
+    let html = `<div class="scheduler-validation" style="margin: 20px 0; padding: 10px; border: 1px solid ${color};">`;
+    html += `<h3 style="margin-top: 0; color: ${color};">Проверка исходных данных: ошибок ${errors.length}, предупреждений ${warnings.length}</h3>`;
+    html += '<table style="border-collapse: collapse; width: 100%;">';
+    html += '<thead><tr style="background-color: #f0f0f0;">';
+    html += '<th style="border: 1px solid #ddd; padding: 8px;">Уровень</th>';
+    html += '<th style="border: 1px solid #ddd; padding: 8px;">Проект</th>';
+    html += '<th style="border: 1px solid #ddd; padding: 8px;">Элемент</th>';
+    html += '<th style="border: 1px solid #ddd; padding: 8px;">Замечание</th>';
+    html += '</tr></thead>';
+    html += '<tbody>';
+
+    for (const issue of errors.concat(warnings)) {
+        const isError = issue.severity === 'error';
+        const item = issue.itemId ? `${issue.itemName || ''} (ID ${issue.itemId})` : '—';
+        html += `<tr style="background-color: ${isError ? '#ffebee' : '#fff3e0'};">`;
+        html += `<td style="border: 1px solid #ddd; padding: 8px;">${isError ? 'Ошибка' : 'Предупреждение'}</td>`;
+        html += `<td style="border: 1px solid #ddd; padding: 8px;">${issue.projectName || '—'}</td>`;
+        html += `<td style="border: 1px solid #ddd; padding: 8px;">${item}</td>`;
+        html += `<td style="border: 1px solid #ddd; padding: 8px;">${issue.message}</td>`;
+        html += '</tr>';
+    }
+
+    html += '</tbody></table></div>';
+
+    return html;
+}
+
+/**
+ * Генерирует HTML-список нарушений ограничений плана (после ручной корректировки)
+ */
+export function generateViolationsReport(violations) {
+    if (!violations || violations.length === 0) return '';
+
+    let html = '<div class="scheduler-violations" style="margin: 20px 0; padding: 10px; border: 1px solid #c62828; background-color: #ffebee;">';
+    html += `<h3 style="margin-top: 0; color: #c62828;">Нарушения ограничений (${violations.length})</h3>`;
+    html += '<ul>';
+    for (const violation of violations) {
+        html += `<li><strong>${violation.taskName}</strong> (${violation.projectName || ''}): ${violation.message}</li>`;
+    }
+    html += '</ul></div>';
+
+    return html;
+}
+
+/**
+ * Генерирует форму редактирования выбранной работы: время начала и исполнители.
+ * selection - описание работы (см. createPlanEditor().describeItem), executors - все исполнители.
+ */
+export function generateEditPanel(selection, executors) {
+    if (!selection) return '';
+
+    const startValue = formatDateTime(selection.startTime).slice(0, 16);
+
+    let html = '<div class="scheduler-edit-panel" style="margin: 20px 0; padding: 10px; border: 1px solid #1976d2; background-color: #e3f2fd;">';
+    html += `<p><strong>${selection.taskName}</strong> (${selection.projectName || ''}), ` +
+        `сейчас: ${formatDateTime(selection.startTime)} - ${formatDateTime(selection.endTime)}</p>`;
+    html += `<p>Начало (DD.MM.YYYY HH:MM): <input type="text" class="scheduler-edit-start" value="${startValue}"></p>`;
+    html += '<p>Исполнители:<br>';
+    html += `<select multiple class="scheduler-edit-executors" size="${Math.min(executors.length, 8)}">`;
+    for (const executor of executors) {
+        const id = executor['ПользовательID'];
+        const selected = selection.executorIds.includes(id) ? ' selected' : '';
+        const note = selection.unsuitableIds.includes(id) ? ' (не подходит по параметрам)' : '';
+        html += `<option value="${id}"${selected}>${executor['Пользователь']}${note}</option>`;
+    }
+    html += '</select></p>';
+    html += '<p>';
+    html += '<button type="button" class="scheduler-edit-apply">Применить</button> ';
+    html += '<button type="button" class="scheduler-edit-close">Закрыть</button> ';
+    html += '<span class="scheduler-edit-status" style="color: red;"></span>';
+    html += '</p>';
+
+    // Фактическое выполнение: пустое поле - значение не заполнено
+    const actuals = selection.actuals || {};
+    const actualTime = time => time ? formatDateTime(time).slice(0, 16) : '';
+    html += '<p>Факт: начало <input type="text" class="scheduler-edit-actual-start" size="16" ' +
+        `value="${actualTime(actuals.startTime)}"> `;
+    html += `окончание <input type="text" class="scheduler-edit-actual-end" size="16" value="${actualTime(actuals.endTime)}"> `;
+    html += '<input type="text" class="scheduler-edit-actual-minutes" size="5" ' +
+        `value="${actuals.minutes !== null && actuals.minutes !== undefined ? actuals.minutes : ''}"> мин `;
+    html += '<button type="button" class="scheduler-edit-actuals">Записать факт</button></p>';
+    html += '</div>';
+
+    return html;
+}
+
+/**
+ * Подключает форму редактирования работы.
+ * apply(startTime, executorIds) применяет изменение, close() закрывает форму,
+ * applyActuals({ startTime, endTime, minutes }) записывает фактическое выполнение.
+ */
+export function bindEditPanel(container, apply, close, applyActuals) {
+    const panel = container.querySelector('.scheduler-edit-panel');
+    if (!panel) return;
+
+    const status = panel.querySelector('.scheduler-edit-status');
+
+    panel.querySelector('.scheduler-edit-close').addEventListener('click', () => close());
+    panel.querySelector('.scheduler-edit-apply').addEventListener('click', () => {
+        const startTime = parseDateTime(panel.querySelector('.scheduler-edit-start').value.trim());
+        const executorIds = Array.from(panel.querySelector('.scheduler-edit-executors').selectedOptions)
+            .map(option => option.value);
+
+        if (!startTime || isNaN(startTime.getTime())) {
+            status.textContent = 'Неверный формат времени начала';
+            return;
+        }
+        if (executorIds.length === 0) {
+            status.textContent = 'Выберите хотя бы одного исполнителя';
+            return;
+        }
+
+        try {
+            apply(startTime, executorIds);
+        } catch (err) {
+            status.textContent = err.message;
+        }
+    });
+
+    const actualsButton = panel.querySelector('.scheduler-edit-actuals');
+    if (!actualsButton || !applyActuals) return;
+
+    actualsButton.addEventListener('click', () => {
+        const startValue = panel.querySelector('.scheduler-edit-actual-start').value.trim();
+        const endValue = panel.querySelector('.scheduler-edit-actual-end').value.trim();
+        const minutesValue = panel.querySelector('.scheduler-edit-actual-minutes').value.trim();
+        const actuals = {
+            startTime: startValue ? parseDateTime(startValue) : null,
+            endTime: endValue ? parseDateTime(endValue) : null,
+            minutes: minutesValue ? parseFloat(minutesValue.replace(',', '.')) : null
+        };
+
+        if ((startValue && !actuals.startTime) || (endValue && !actuals.endTime)) {
+            status.textContent = 'Неверный формат фактического времени';
+            return;
+        }
+        if (minutesValue && (isNaN(actuals.minutes) || actuals.minutes < 0)) {
+            status.textContent = 'Фактические минуты должны быть неотрицательным числом';
+            return;
+        }
+
+        try {
+            applyActuals(actuals);
+        } catch (err) {
+            status.textContent = err.message;
+        }
+    });
+}
+
+/**
+ * Генерирует HTML-отчет анализа плана: прогноз окончания, критический путь,
+ * резервы времени по работам и трудозатраты по задачам и исполнителям
+ */
+export function generateAnalysisReport(analysis) {
+    if (!analysis || analysis.projects.length === 0) return '';
+
+    const cell = 'border: 1px solid #ddd; padding: 8px;';
+    const header = columns => '<thead><tr style="background-color: #f0f0f0;">' +
+        columns.map(column => `<th style="${cell}">${column}</th>`).join('') + '</tr></thead>';
+
+    let html = '<div class="scheduler-analysis" style="margin: 20px 0;">';
+    html += '<h3>Прогноз окончания и критический путь</h3>';
+
+    for (const project of analysis.projects) {
+        const itemNames = new Map(project.items.map(item => [item.key, item.taskName]));
+
+        html += `<p><strong>${project.projectName}</strong>: начало ${project.startDate.toLocaleDateString('ru-RU')}, ` +
+            `прогноз окончания <strong>${formatDateTime(project.forecastEnd)}</strong></p>`;
+        html += `<p>Критический путь: ${project.criticalPath.map(key => itemNames.get(key)).join(' → ')}</p>`;
+
+        html += '<details><summary>Резервы времени по работам</summary>';
+        html += '<table style="border-collapse: collapse; width: 100%;">';
+        html += header(['Задача', 'Операция', 'Начало по плану', 'Раннее начало', 'Позднее начало', 'Резерв']);
+        html += '<tbody>';
+        for (const item of project.items) {
+            html += item.critical ? '<tr style="background-color: #fff3e0;">' : '<tr>';
+            html += `<td style="${cell}">${item.taskGroupName}</td>`;
+            html += `<td style="${cell}">${item.taskName}</td>`;
+            html += `<td style="${cell}">${formatDateTime(item.startTime)}</td>`;
+            html += `<td style="${cell}">${formatDateTime(item.earliestStart)}</td>`;
+            html += `<td style="${cell}">${formatDateTime(item.latestStart)}</td>`;
+            html += `<td style="${cell}">${item.critical ? '<strong>критическая</strong>' : formatMinutes(item.slack)}</td>`;
+            html += '</tr>';
+        }
+        html += '</tbody></table></details>';
+    }
+
+    html += '<details><summary>Трудозатраты по задачам</summary>';
+    html += '<table style="border-collapse: collapse; width: 100%;">';
+    html += header(['Проект', 'Задача', 'Трудозатраты', 'Минут']);
+    html += '<tbody>';
+    for (const task of analysis.labourByTask) {
+        html += '<tr>';
+        html += `<td style="${cell}">${task.projectName || ''}</td>`;
+        html += `<td style="${cell}">${task.taskName}</td>`;
+        html += `<td style="${cell}">${formatMinutes(task.minutes)}</td>`;
+        html += `<td style="${cell}">${task.minutes}</td>`;
+        html += '</tr>';
+    }
+    html += '</tbody></table></details>';
+
+    html += '<details><summary>Трудозатраты по исполнителям</summary>';
+    html += '<table style="border-collapse: collapse; width: 100%;">';
+    html += header(['Исполнитель', 'Трудозатраты', 'Минут']);
+    html += '<tbody>';
+    for (const executor of analysis.labourByExecutor) {
+        html += '<tr>';
+        html += `<td style="${cell}">${executor.executorName}</td>`;
+        html += `<td style="${cell}">${formatMinutes(executor.minutes)}</td>`;
+        html += `<td style="${cell}">${executor.minutes}</td>`;
+        html += '</tr>';
+    }
+    html += '</tbody></table></details>';
+    html += '</div>';
+
+    return html;
+}
+
+/**
+ * Генерирует HTML-отчет фактического выполнения (см. analyzeProgress): процент выполнения проектов
+ * и задач, отклонения работ от плана, производительность исполнителей и предлагаемые нормативы шаблона.
+ * Если факт не указан ни по одной работе, отчет не выводится.
+ */
+export function generateProgressReport(progress) {
+    if (!progress || !progress.items.some(item => item.actual)) return '';
+
+    const cell = 'border: 1px solid #ddd; padding: 8px;';
+    const header = columns => '<thead><tr style="background-color: #f0f0f0;">' +
+        columns.map(column => `<th style="${cell}">${column}</th>`).join('') + '</tr></thead>';
+    const variance = minutes => minutes === null ? '' : `${minutes > 0 ? '+' : ''}${formatMinutes(Math.round(minutes))}`;
+    const varianceColor = minutes => minutes > 0 ? ' color: #c62828;' : '';
+
+    let html = '<div class="scheduler-progress" style="margin: 20px 0;">';
+    html += '<h3>Фактическое выполнение</h3>';
+
+    for (const project of progress.projects) {
+        html += `<p><strong>${project.projectName}</strong>: выполнено <strong>${project.percentComplete}%</strong> ` +
+            `(работ завершено: ${project.finished} из ${project.total})</p>`;
+    }
+
+    html += '<details><summary>Выполнение задач</summary>';
+    html += '<table style="border-collapse: collapse; width: 100%;">';
+    html += header(['Проект', 'Задача', 'Выполнено']);
+    html += '<tbody>';
+    for (const task of progress.tasks) {
+        html += '<tr>';
+        html += `<td style="${cell}">${task.projectName || ''}</td>`;
+        html += `<td style="${cell}">${task.taskName}</td>`;
+        html += `<td style="${cell}">${task.percentComplete}%</td>`;
+        html += '</tr>';
+    }
+    html += '</tbody></table></details>';
+
+    html += '<details open><summary>Отклонения от плана</summary>';
+    html += '<table style="border-collapse: collapse; width: 100%;">';
+    html += header(['Задача', 'Операция', 'Начало по плану', 'Факт. начало', 'Отклонение начала',
+        'Факт. окончание', 'Норматив', 'Факт', 'Отклонение', 'Выполнено']);
+    html += '<tbody>';
+    for (const item of progress.items.filter(item => item.actual)) {
+        html += '<tr>';
+        html += `<td style="${cell}">${item.taskGroupName}</td>`;
+        html += `<td style="${cell}">${item.taskName}</td>`;
+        html += `<td style="${cell}">${item.plannedStart ? formatDateTime(item.plannedStart) : ''}</td>`;
+        html += `<td style="${cell}">${item.actual.startTime ? formatDateTime(item.actual.startTime) : ''}</td>`;
+        html += `<td style="${cell}${varianceColor(item.startVariance)}">${variance(item.startVariance)}</td>`;
+        html += `<td style="${cell}">${item.actual.endTime ? formatDateTime(item.actual.endTime) : ''}</td>`;
+        html += `<td style="${cell}">${formatMinutes(item.normative)}</td>`;
+        html += `<td style="${cell}">${item.actualMinutes !== null ? formatMinutes(Math.round(item.actualMinutes)) : ''}</td>`;
+        html += `<td style="${cell}${varianceColor(item.durationVariance)}">${variance(item.durationVariance)}</td>`;
+        html += `<td style="${cell}">${item.percentComplete}%</td>`;
+        html += '</tr>';
+    }
+    html += '</tbody></table></details>';
+
+    if (progress.executors.length > 0) {
+        html += '<details><summary>Производительность исполнителей</summary>';
+        html += '<table style="border-collapse: collapse; width: 100%;">';
+        html += header(['Исполнитель', 'Работ', 'По нормативу', 'Фактически', 'Производительность']);
+        html += '<tbody>';
+        for (const executor of progress.executors) {
+            html += '<tr>';
+            html += `<td style="${cell}">${executor.executorName}</td>`;
+            html += `<td style="${cell}">${executor.works}</td>`;
+            html += `<td style="${cell}">${formatMinutes(Math.round(executor.normativeMinutes))}</td>`;
+            html += `<td style="${cell}">${formatMinutes(Math.round(executor.actualMinutes))}</td>`;
+            html += `<td style="${cell}">${Math.round(executor.productivity * 100)}%</td>`;
+            html += '</tr>';
+        }
+        html += '</tbody></table></details>';
+    }
+
+    if (progress.normatives.length > 0) {
+        html += '<details><summary>Предлагаемые нормативы шаблона</summary>';
+        html += '<table style="border-collapse: collapse; width: 100%;">';
+        html += header(['Шаблон', 'Работа', 'Норматив', 'Предлагается', 'Факт / норматив', 'Работ']);
+        html += '<tbody>';
+        for (const suggestion of progress.normatives) {
+            html += '<tr>';
+            html += `<td style="${cell}">${suggestion.projectName || ''}</td>`;
+            html += `<td style="${cell}">${suggestion.itemName}</td>`;
+            html += `<td style="${cell}">${suggestion.oldValue}</td>`;
+            html += `<td style="${cell}">${suggestion.newValue}</td>`;
+            html += `<td style="${cell}">${suggestion.ratio}</td>`;
+            html += `<td style="${cell}">${suggestion.samples}</td>`;
+            html += '</tr>';
+        }
+        html += '</tbody></table></details>';
+    }
+
+    html += '</div>';
+    return html;
+}
+
+/**
+ * Генерирует HTML-отчет режима оптимизации (см. optimizeSchedule): срок, окончание и загрузка
+ * исполнителей жадного и оптимизированного плана и планов по правилам приоритета
+ */
+export function generateOptimizationReport(optimization) {
+    if (!optimization) return '';
+
+    const cell = 'border: 1px solid #ddd; padding: 8px;';
+    const row = (summary, style = '') => `<tr${style}>` +
+        `<td style="${cell}">${summary.name}</td>` +
+        `<td style="${cell}">${formatDateTime(summary.forecastEnd)}</td>` +
+        `<td style="${cell}">${formatMinutes(summary.makespan)}</td>` +
+        `<td style="${cell}">${Math.round(summary.utilisation * 100)}%</td>` +
+        '</tr>';
+    const gain = optimization.baseline.makespan - optimization.best.makespan;
+
+    let html = '<div class="scheduler-optimization" style="margin: 20px 0;">';
+    html += '<h3>Оптимизация плана</h3>';
+    html += (gain > 0
+        ? `<p>Срок сокращен на <strong>${formatMinutes(gain)}</strong> рабочего времени `
+        : '<p>Срок жадного плана сократить не удалось ') +
+        `(правило "${optimization.rules.find(summary => summary.rule === optimization.rule).name}", вариантов отжига: ${optimization.iterations}, ` +
+        `${Math.round(optimization.elapsed / 100) / 10} с)</p>`;
+    html += '<table style="border-collapse: collapse; width: 100%;">';
+    html += '<thead><tr style="background-color: #f0f0f0;">' +
+        ['План', 'Окончание', 'Срок (рабочее время)', 'Загрузка исполнителей'].map(title => `<th style="${cell}">${title}</th>`).join('') +
+        '</tr></thead>';
+    html += '<tbody>';
+    html += row(optimization.baseline);
+    html += row(optimization.best, ' style="background-color: #e8f5e9;"');
+    html += '</tbody></table>';
+
+    html += '<details><summary>Правила приоритета</summary>';
+    html += '<table style="border-collapse: collapse; width: 100%;"><tbody>';
+    for (const summary of optimization.rules) {
+        html += row(summary);
+    }
+    html += '</tbody></table></details>';
+    html += '</div>';
+
+    return html;
+}
+
+/**
+ * Генерирует таблицу сравнения сценариев (см. compareScenarios): сценарии по столбцам,
+ * окончание, трудозатраты, работы без исполнителей и загрузка исполнителей по строкам
+ */
+export function generateScenarioReport(comparison) {
+    if (!comparison || comparison.length === 0) return '';
+
+    const cell = 'border: 1px solid #ddd; padding: 8px;';
+    const baseline = comparison[0].summary;
+
+    // Исполнители всех сценариев (в сценариях могут быть добавлены или исключены исполнители)
+    const executorNames = new Map();
+    for (const variant of comparison.filter(v => v.summary)) {
+        for (const executor of variant.summary.executors) {
+            executorNames.set(executor.executorId, executor.executorName);
+        }
+    }
+
+    const row = (title, render) => `<tr><td style="${cell}">${title}</td>` +
+        comparison.map(variant => `<td style="${cell}">${variant.summary ? render(variant.summary) : '—'}</td>`).join('') +
+        '</tr>';
+
+    let html = '<div class="scheduler-scenarios" style="margin: 20px 0;">';
+    html += '<h3>Сравнение сценариев</h3>';
+    html += '<table style="border-collapse: collapse; width: 100%;">';
+    html += '<thead><tr style="background-color: #f0f0f0;">' + `<th style="${cell}"></th>` +
+        comparison.map(variant => `<th style="${cell}">${variant.name}</th>`).join('') + '</tr></thead>';
+    html += '<tbody>';
+
+    html += row('Окончание', summary => {
+        if (!summary.forecastEnd) return '—';
+        let text = formatDateTime(summary.forecastEnd);
+        if (baseline && baseline.forecastEnd && summary !== baseline) {
+            const days = Math.round((summary.forecastEnd - baseline.forecastEnd) / 86400000 * 10) / 10;
+            if (days !== 0) {
+                text += ` <span style="color: ${days > 0 ? '#c62828' : '#2e7d32'};">(${days > 0 ? '+' : ''}${days} дн.)</span>`;
+            }
+        }
+        return text;
+    });
+    html += row('Трудозатраты', summary => formatMinutes(summary.labourMinutes));
+    html += row('Без исполнителей', summary => summary.unassigned.length === 0
+        ? '0'
+        : `${summary.unassigned.length}<br><small>` +
+            summary.unassigned.map(item => `${item.itemName} (${item.itemId}): ${item.reason}`).join('<br>') + '</small>');
+
+    for (const [executorId, executorName] of executorNames) {
+        html += row(`Загрузка: ${executorName}`, summary => {
+            const executor = summary.executors.find(e => e.executorId === executorId);
+            return executor
+                ? `${Math.round(executor.utilisation * 100)}% <small>(${formatMinutes(executor.busyMinutes)})</small>`
+                : '—';
+        });
+    }
+
+    html += '</tbody></table>';
+    for (const variant of comparison.filter(v => v.error)) {
+        html += `<p style="color: #c62828;">${variant.name}: ${variant.error}</p>`;
+    }
+    html += '</div>';
+
+    return html;
+}
+
+/**
+ * Генерирует кнопки выгрузки плана: CSV, XLSX, MS Project XML и календари исполнителей (.ics)
+ */
+export function generateExportControls(assignments) {
+    if (assignments.length === 0) return '';
+
+    const executors = new Map(assignments.map(a => [a.executorId, a.executorName]));
+
+    let html = '<div class="scheduler-export" style="margin: 10px 0;">';
+    html += 'Выгрузить план: ';
+    html += '<button type="button" data-export="csv">CSV</button> ';
+    html += '<button type="button" data-export="xlsx">XLSX</button> ';
+    html += '<button type="button" data-export="msproject">MS Project XML</button>';
+    html += '<br>Календари исполнителей (.ics): ';
+    for (const [executorId, executorName] of executors) {
+        html += `<button type="button" data-export="ics" data-executor-id="${executorId}">${executorName}</button> `;
+    }
+    html += '</div>';
+
+    return html;
+}
+
+/**
+ * Сохраняет содержимое в файл через временную ссылку
+ */
+function downloadFile(container, fileName, content, mimeType) {
+    const doc = container.ownerDocument;
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = doc.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    doc.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Подключает кнопки выгрузки плана. getResult() возвращает текущий результат планирования
+ * (с учетом ручных правок).
+ */
+export function bindExportControls(container, getResult) {
+    container.querySelectorAll('.scheduler-export button[data-export]').forEach(button => {
+        button.addEventListener('click', () => {
+            const result = getResult();
+            const format = button.dataset.export;
+            log(`Exporting plan as ${format}`);
+
+            if (format === 'csv') {
+                // BOM, чтобы Excel распознал UTF-8
+                downloadFile(container, 'plan.csv', '\ufeff' + exportCsv(result), 'text/csv;charset=utf-8');
+            } else if (format === 'xlsx') {
+                downloadFile(container, 'plan.xlsx', exportXlsx(result),
+                    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+            } else if (format === 'msproject') {
+                downloadFile(container, 'plan.xml', exportMsProjectXml(result), 'application/xml');
+            } else if (format === 'ics') {
+                const executorId = button.dataset.executorId;
+                downloadFile(container, `${button.textContent.trim() || executorId}.ics`,
+                    exportICalendar(result, executorId), 'text/calendar;charset=utf-8');
+            }
+        });
+    });
+}
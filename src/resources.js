@@ -0,0 +1,117 @@
+/**
+ * Оборудование и материалы как ресурсы планирования: оборудование (кран, подъемник) с количеством
+ * единиц и занятым временем, даты поставки материалов для операций
+ */
+
+import { parseDateTime } from './dates.js';
+import { alignToWorkingTime } from './calendar.js';
+import { parseOccupiedTime } from './availability.js';
+import { getAssignmentSegments } from './splitting.js';
+
+/**
+ * Поля строки проекта: требуемое оборудование и поставка материалов
+ */
+export const RESOURCE_FIELDS = {
+    equipment: 'Оборудование',
+    materials: 'Поставка материалов'
+};
+
+/**
+ * Разбирает поле "Оборудование": названия или ID оборудования через запятую,
+ * после двоеточия - число единиц (по умолчанию 1), например "Кран, Подъемник:2".
+ * Возвращает [{ ref, count }]; части, которые не удалось разобрать, добавляются в unrecognized.
+ */
+export function parseEquipmentRequirements(value, unrecognized = []) {
+    const requirements = [];
+
+    for (const part of String(value || '').split(',').map(p => p.trim()).filter(Boolean)) {
+        const match = part.match(/^(.+?)(?:\s*:\s*(\d+))?$/);
+        const count = match && match[2] !== undefined ? parseInt(match[2]) : 1;
+        if (!match || count < 1) {
+            unrecognized.push(part);
+            continue;
+        }
+        requirements.push({ ref: match[1].trim(), count });
+    }
+
+    return requirements;
+}
+
+/**
+ * Находит оборудование по ссылке (ID или название)
+ */
+export function findEquipment(ref, equipment) {
+    return equipment.find(row => String(ref) === row['ОборудованиеID'] || String(ref) === row['Оборудование']) || null;
+}
+
+/**
+ * Количество единиц оборудования (поле "Количество", по умолчанию 1)
+ */
+export function getEquipmentCapacity(row) {
+    const capacity = parseInt(row['Количество']);
+    return isNaN(capacity) || capacity < 1 ? 1 : capacity;
+}
+
+/**
+ * Разбирает поле "Поставка материалов": поставки через ";", каждая - название материала
+ * и дата "DD.MM.YYYY" (или "DD.MM.YYYY HH:MM"), например "стойки/ригели 25.11.2025; стеклопакеты 27.11.2025".
+ * Возвращает [{ material, time }]; поставки без даты добавляются в unrecognized.
+ */
+export function parseMaterialDeliveries(value, unrecognized = []) {
+    const deliveries = [];
+
+    for (const part of String(value || '').split(';').map(p => p.trim()).filter(Boolean)) {
+        const match = part.match(/^(.*?)\s*(\d{2}\.\d{2}\.\d{4}(?:\s+\d{1,2}:\d{2})?)$/);
+        const time = match ? parseDateTime(match[2]) : null;
+        if (!time) {
+            unrecognized.push(part);
+            continue;
+        }
+        deliveries.push({ material: match[1].replace(/[:\-–\s]+$/, ''), time });
+    }
+
+    return deliveries;
+}
+
+/**
+ * Возвращает время, с которого работа может начаться по поставкам материалов
+ * (ближайший рабочий момент после последней поставки), или null, если поставки не указаны.
+ * Результат - { time, deliveries }.
+ */
+export function getMaterialsReadyTime(item, calendar) {
+    const deliveries = parseMaterialDeliveries(item[RESOURCE_FIELDS.materials]);
+    if (deliveries.length === 0) return null;
+
+    const last = new Date(Math.max(...deliveries.map(delivery => delivery.time.getTime())));
+    return { time: alignToWorkingTime(last, calendar), deliveries };
+}
+
+/**
+ * Единицы оборудования с интервалами занятости: занятое время оборудования из справочника
+ * относится ко всем единицам, назначения плана equipmentAssignments - к своей единице.
+ * Возвращает [{ equipment, unit, busy }], unit - номер единицы с 1 (см. reserveEquipment).
+ */
+export function getEquipmentUnits(row, equipmentAssignments) {
+    const occupied = parseOccupiedTime(row['Занятое время']);
+    const units = [];
+
+    for (let unit = 1; unit <= getEquipmentCapacity(row); unit++) {
+        const busy = occupied.slice();
+        for (const usage of equipmentAssignments) {
+            if (usage.equipmentId !== row['ОборудованиеID'] || usage.unit !== unit) continue;
+            for (const segment of getAssignmentSegments(usage)) {
+                busy.push({ start: segment.startTime, end: segment.endTime });
+            }
+        }
+        units.push({ equipment: row, unit, busy });
+    }
+
+    return units;
+}
+
+/**
+ * Название единицы оборудования: для оборудования из нескольких единиц - с номером
+ */
+export function formatEquipmentUnit(row, unit) {
+    return getEquipmentCapacity(row) > 1 ? `${row['Оборудование']} #${unit}` : row['Оборудование'];
+}
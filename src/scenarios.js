@@ -0,0 +1,175 @@
+/**
+ * Сценарии "что если": планирование в памяти с измененными исходными данными
+ * (дата старта, состав исполнителей, размер бригад, рабочие часы) и сравнение результатов
+ */
+
+import { log, error } from './logger.js';
+import { planSchedule } from './planner.js';
+import { analyzeSchedule } from './analysis.js';
+import { getExecutorCalendar, getWorkingMinutesBetween } from './calendar.js';
+import { getAssignmentMinutes } from './splitting.js';
+
+/**
+ * Проверяет, указан ли исполнитель ссылкой ref (ID или имя)
+ */
+function isExecutorRef(executor, ref) {
+    return String(ref) === executor['ПользовательID'] || String(ref) === executor['Пользователь'];
+}
+
+/**
+ * Возвращает копию данных отчетов с изменениями сценария. Исходные данные не изменяются.
+ *
+ * scenario: {
+ *   name - название сценария,
+ *   start - дата старта "DD.MM.YYYY" для всех проектов в работе или { ПроектID: дата },
+ *   executors - { exclude: [ID или имя], add: [{ copyOf: ID или имя, count }] }:
+ *     исключаемые исполнители и дополнительные исполнители с параметрами и сменой указанного
+ *     (без занятого времени и опыта выполнения операций),
+ *   crew - { ID операции или задачи: число исполнителей } вместо поля "Исполнителей",
+ *   settings - { Код: Значение } - настройки проекта (day_start, day_end, lunch_start и другие)
+ * }
+ */
+export function applyScenario(data, scenario = {}) {
+    const startByProject = scenario.start && typeof scenario.start === 'object' ? scenario.start : null;
+    const crew = scenario.crew || {};
+
+    const projectData = data.projectData.map(row => {
+        const changed = Object.assign({}, row);
+
+        if (scenario.start && row['Статус проекта'] === 'В работе') {
+            const start = startByProject ? startByProject[row['ПроектID']] : scenario.start;
+            if (start) changed['Старт'] = start;
+        }
+
+        const itemId = row['ОперацияID'] || row['Задача проектаID'];
+        if (crew[itemId] !== undefined) {
+            changed['Исполнителей'] = String(crew[itemId]);
+        }
+
+        return changed;
+    });
+
+    const settings = data.settings.map(row => Object.assign({}, row));
+    for (const [code, value] of Object.entries(scenario.settings || {})) {
+        const row = settings.find(s => s['Код'] === code);
+        if (row) {
+            row['Значение'] = String(value);
+        } else {
+            settings.push({ 'Код': code, 'Значение': String(value) });
+        }
+    }
+
+    const { exclude = [], add = [] } = scenario.executors || {};
+    const executors = data.executors
+        .filter(executor => !exclude.some(ref => isExecutorRef(executor, ref)))
+        .map(executor => Object.assign({}, executor));
+
+    for (const extra of add) {
+        const source = data.executors.find(executor => isExecutorRef(executor, extra.copyOf));
+        if (!source) {
+            throw new Error(`Executor "${extra.copyOf}" to copy not found`);
+        }
+
+        for (let i = 1; i <= (extra.count || 1); i++) {
+            executors.push(Object.assign({}, source, {
+                'ПользовательID': `${source['ПользовательID']}-${i}`,
+                'Пользователь': `${source['Пользователь']} (доп. ${i})`,
+                'Занятое время': ''
+            }));
+        }
+    }
+
+    return {
+        projectData,
+        settings,
+        parameterDictionary: data.parameterDictionary,
+        executors,
+        equipment: data.equipment
+    };
+}
+
+/**
+ * Сводка результата планирования для сравнения сценариев:
+ * { forecastEnd, labourMinutes, executors, unassigned }.
+ * executors - загрузка исполнителей работами плана: [{ executorId, executorName, busyMinutes,
+ * availableMinutes, utilisation }], где доступное время - рабочие минуты по календарю исполнителя
+ * от начала первой работы до прогноза окончания. unassigned - работы без исполнителей:
+ * [{ projectName, itemId, itemName, reason }].
+ */
+export function summarizeScenario(result) {
+    const analysis = result.analysis || analyzeSchedule(result);
+    const starts = result.assignments.map(assignment => assignment.startTime.getTime());
+    const horizonStart = starts.length > 0 ? new Date(Math.min(...starts)) : null;
+
+    const executors = result.executors.map(executor => {
+        const busyMinutes = result.assignments
+            .filter(assignment => assignment.executorId === executor['ПользовательID'])
+            .reduce((sum, assignment) => sum + getAssignmentMinutes(assignment), 0);
+        const availableMinutes = horizonStart && analysis.forecastEnd
+            ? getWorkingMinutesBetween(horizonStart, analysis.forecastEnd, getExecutorCalendar(executor, result.calendar))
+            : 0;
+
+        return {
+            executorId: executor['ПользовательID'],
+            executorName: executor['Пользователь'],
+            busyMinutes,
+            availableMinutes,
+            utilisation: availableMinutes > 0 ? busyMinutes / availableMinutes : 0
+        };
+    });
+
+    const assignedIds = new Set(result.assignments.map(assignment => assignment.taskId));
+    const unassigned = [];
+    for (const project of result.projects) {
+        for (const item of project.items) {
+            const isOperation = !!item['ОперацияID'];
+            // Задача с операциями выполняется операциями
+            if (!isOperation && project.items.some(other => other['ОперацияID'] &&
+                other['Задача проектаID'] === item['Задача проектаID'])) continue;
+
+            const itemId = isOperation ? item['ОперацияID'] : item['Задача проектаID'];
+            if (assignedIds.has(itemId)) continue;
+
+            const normative = parseFloat(item[isOperation ? 'Норматив операции' : 'Норматив задачи'] || 0);
+            unassigned.push({
+                projectName: project.projectName,
+                itemId,
+                itemName: isOperation ? item['Операция'] : item['Задача проекта'],
+                reason: normative === 0 ? 'нет норматива' : 'нет подходящих исполнителей'
+            });
+        }
+    }
+
+    return {
+        forecastEnd: analysis.forecastEnd,
+        labourMinutes: analysis.labourByExecutor.reduce((sum, executor) => sum + executor.minutes, 0),
+        executors,
+        unassigned
+    };
+}
+
+/**
+ * Планирует исходные данные и каждый сценарий в памяти (ничего не сохраняется).
+ * Первым в сравнении идет текущий план без изменений.
+ *
+ * options - параметры planSchedule ({ fieldCodes, replan, replanFrom }).
+ * Возвращает [{ name, scenario, result, summary, error }]: для сценария, который не удалось
+ * спланировать, result и summary - null, error - текст ошибки.
+ */
+export function compareScenarios(data, scenarios, options = {}) {
+    const variants = [{ name: 'Текущий план' }].concat(scenarios);
+
+    return variants.map((scenario, index) => {
+        const name = scenario.name || `Сценарий ${index}`;
+        log(`Planning scenario "${name}"`);
+
+        try {
+            const result = planSchedule(applyScenario(data, scenario), options);
+            result.analysis = analyzeSchedule(result);
+            return { name, scenario, result, summary: summarizeScenario(result), error: null };
+        } catch (err) {
+            error(`Failed to plan scenario "${name}"`, err);
+            return { name, scenario, result: null, summary: null, error: err.message };
+        }
+    });
+}
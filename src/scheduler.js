@@ -0,0 +1,303 @@
+/**
+ * Планировщик задач и операций проекта
+ *
+ * Планировщик выполняет:
+ * 1. Загрузку данных проекта и шаблона из источника данных и их проверку
+ * 2. Расчет нормативов для задач/операций
+ * 3. Планирование времени выполнения
+ * 4. Назначение исполнителей с учетом параметров
+ * 5. Отображение результатов в виде календаря и сохранение после подтверждения
+ */
+
+import { log, error, setDebug } from './logger.js';
+import { mergeConfig } from './config.js';
+import { planSchedule } from './planner.js';
+import { optimizeSchedule } from './optimization.js';
+import { validateData } from './validation.js';
+import { saveChanges } from './changes.js';
+import { buildOccupiedTimeChanges, releaseOccupiedTime } from './availability.js';
+import { bindGanttControls, buildGanttModel, generateGantt } from './gantt.js';
+import {
+    bindEditPanel, bindExportControls, bindSaveControls, generateAnalysisReport, generateCalendar,
+    generateChangesReport, generateEditPanel, generateEquipmentReport, generateExportControls, generateOptimizationReport,
+    generateProgressReport, generateRejectionsReport, generateScenarioReport, generateValidationReport, generateViolationsReport
+} from './render.js';
+import { analyzeSchedule } from './analysis.js';
+import { createPlanEditor } from './editing.js';
+import { compareScenarios } from './scenarios.js';
+import { analyzeProgress, buildNormativeFeedbackChanges } from './progress.js';
+
+/**
+ * Создает планировщик.
+ *
+ * dataSource - источник данных (см. data-sources.js), config - настройки,
+ * объединяемые с DEFAULT_CONFIG (ID отчетов, коды полей, элемент для вывода и т.д.)
+ */
+export function createScheduler({ dataSource, config } = {}) {
+    if (!dataSource) {
+        throw new Error('Data source is required');
+    }
+
+    const options = mergeConfig(config);
+    setDebug(options.debug);
+
+    /**
+     * Загружает данные отчетов из источника данных
+     */
+    async function load() {
+        log('Loading data...');
+        const { reports } = options;
+
+        return {
+            projectData: await dataSource.fetchReport(reports.projects),
+            settings: await dataSource.fetchReport(reports.settings),
+            parameterDictionary: await dataSource.fetchReport(reports.parameters),
+            executors: await dataSource.fetchReport(reports.executors),
+            // Справочник оборудования необязателен: без него оборудование не учитывается
+            equipment: reports.equipment ? await dataSource.fetchReport(reports.equipment) : []
+        };
+    }
+
+    /**
+     * Планирует загруженные данные, в базу ничего не записывается; при config.optimize - в режиме
+     * оптимизации (result.optimization, см. optimizeSchedule).
+     * Перед планированием данные проверяются (result.validation, см. validateData),
+     * результат дополняется анализом плана (result.analysis, см. analyzeSchedule) и фактического
+     * выполнения (result.progress, см. analyzeProgress).
+     * Если планирование невозможно, у выброшенной ошибки есть поле validation.
+     */
+    function plan(data) {
+        // Проверка выполняется до расчета нормативов, который дополняет исходные строки
+        const validation = validateData(data);
+
+        const planOptions = {
+            fieldCodes: options.fieldCodes,
+            replan: options.replan,
+            replanFrom: options.replanFrom
+        };
+
+        let result;
+        try {
+            result = options.optimize
+                ? optimizeSchedule(data, Object.assign({ timeBudget: options.optimizeBudget }, planOptions))
+                : planSchedule(data, planOptions);
+        } catch (err) {
+            err.validation = validation;
+            throw err;
+        }
+
+        result.validation = validation;
+
+        // Критический путь, резервы, прогноз окончания и трудозатраты
+        result.analysis = analyzeSchedule(result);
+        // Процент выполнения, отклонения от плана и производительность исполнителей
+        result.progress = analyzeProgress(result);
+        return result;
+    }
+
+    /**
+     * Планирует сценарии "что если" (по умолчанию config.scenarios) в памяти и сравнивает
+     * их с текущим планом, в базу ничего не записывается (см. compareScenarios)
+     */
+    function compare(data, scenarios = options.scenarios) {
+        return compareScenarios(data, scenarios, {
+            fieldCodes: options.fieldCodes,
+            replan: options.replan,
+            replanFrom: options.replanFrom
+        });
+    }
+
+    /**
+     * Возвращает полный набор изменений результата: изменения задач и операций, при
+     * config.normativeFeedback - нормативы шаблона по фактической производительности и,
+     * если задан код поля fieldCodes.occupiedTime, занятое время исполнителей по назначениям
+     * (вызывается перед сохранением, чтобы учесть ручные правки и введенный факт)
+     */
+    function getChanges(result) {
+        let changes = result.changes;
+        if (options.normativeFeedback) {
+            changes = changes.concat(buildNormativeFeedbackChanges(analyzeProgress(result), options.fieldCodes));
+        }
+        if (options.fieldCodes.occupiedTime) {
+            changes = changes.concat(buildOccupiedTimeChanges(result, options.fieldCodes.occupiedTime));
+        }
+        return changes;
+    }
+
+    /**
+     * Сохраняет набор изменений пакетом с повторными попытками и откатом
+     */
+    function save(changes, onProgress) {
+        return saveChanges(dataSource, changes, {
+            retries: options.saveRetries,
+            retryDelay: options.saveRetryDelay,
+            onProgress
+        });
+    }
+
+    /**
+     * Отменяет сохраненный план проектов: удаляет из занятого времени исполнителей интервалы,
+     * записанные планировщиком для проектов projectIds. Время начала задач не изменяется.
+     * Возвращает число записанных исполнителей.
+     */
+    async function cancel(projectIds, onProgress) {
+        if (!options.fieldCodes.occupiedTime) {
+            throw new Error('Occupied time field code (fieldCodes.occupiedTime) is not configured');
+        }
+
+        const executors = await dataSource.fetchReport(options.reports.executors);
+        const changes = [];
+        for (const executor of executors) {
+            const oldValue = executor['Занятое время'] || '';
+            const newValue = releaseOccupiedTime(oldValue, projectIds.map(String));
+            if (newValue === oldValue) continue;
+
+            changes.push({
+                itemId: executor['ПользовательID'],
+                itemName: executor['Пользователь'],
+                projectName: '',
+                fields: [{ label: 'Занятое время', code: options.fieldCodes.occupiedTime, oldValue, newValue }]
+            });
+        }
+
+        log(`Releasing occupied time of projects ${projectIds.join(', ')} for ${changes.length} executors`);
+        return save(changes, onProgress);
+    }
+
+    /**
+     * Возвращает элемент для вывода: config.target - CSS-селектор или элемент
+     */
+    function getTarget() {
+        if (options.target && typeof options.target !== 'string') return options.target;
+        if (typeof document === 'undefined') return null;
+        return document.querySelector(options.target);
+    }
+
+    /**
+     * Выводит результат планирования (диаграмма Ганта, таблица назначений) в элемент config.target
+     * и подключает переключатели диаграммы, ручное редактирование плана и кнопки сохранения.
+     * Ручные правки изменяют result (назначения и набор изменений) и сохраняются той же кнопкой.
+     * Возвращает HTML результата.
+     */
+    function render(result) {
+        const contentDiv = getTarget();
+        const editor = createPlanEditor(result, { fieldCodes: options.fieldCodes });
+        // Состояние диаграммы и выбранная для редактирования работа
+        const state = { view: 'tasks', zoom: 'day', editing: false, editable: true, selected: null };
+        // При ошибках в исходных данных сохранение можно запретить настройкой blockSaveOnErrors
+        const saveBlocked = options.blockSaveOnErrors && !!result.validation && result.validation.errors.length > 0;
+
+        const draw = () => {
+            log('Generating calendar...');
+            const tasks = result.projects.flatMap(project => project.items);
+            const executors = Array.from(new Map(result.assignments.map(a => [a.executorId, {
+                'ПользовательID': a.executorId,
+                'Пользователь': a.executorName
+            }])).values());
+
+            // Анализ пересчитывается после ручных правок
+            result.analysis = analyzeSchedule(result);
+            result.progress = analyzeProgress(result);
+            const criticalKeys = new Set(result.analysis.projects.flatMap(project => project.criticalPath));
+
+            const calendarHtml = generateCalendar(result.assignments, executors, tasks, criticalKeys);
+            const equipmentHtml = generateEquipmentReport(result.equipmentAssignments);
+            const analysisHtml = generateAnalysisReport(result.analysis);
+            const progressHtml = generateProgressReport(result.progress);
+            const optimizationHtml = generateOptimizationReport(result.optimization);
+            const scenariosHtml = generateScenarioReport(result.scenarios);
+            const rejectionsHtml = generateRejectionsReport(result.rejections);
+            const validationHtml = generateValidationReport(result.validation);
+            const changesHtml = generateChangesReport(getChanges(result), { saveBlocked });
+            const violationsHtml = generateViolationsReport(result.violations);
+            const editHtml = state.editing && state.selected
+                ? generateEditPanel(editor.describeItem(state.selected), result.executors)
+                : '';
+            const ganttModel = buildGanttModel(result);
+            const ganttHtml = generateGantt(ganttModel, state);
+            const exportHtml = generateExportControls(result.assignments);
+            const html = '<h2>График выполнения задач</h2>' + validationHtml + exportHtml + changesHtml + violationsHtml + analysisHtml + optimizationHtml + progressHtml + scenariosHtml + editHtml +
+                ganttHtml + calendarHtml + equipmentHtml + rejectionsHtml;
+
+            if (!contentDiv) {
+                error('Content div not found!');
+                return html;
+            }
+
+            contentDiv.innerHTML = html;
+            bindGanttControls(contentDiv, ganttModel, state, {
+                onChange: draw,
+                onMove: (key, startTime) => {
+                    editor.moveItem(key, startTime);
+                    state.selected = key;
+                    draw();
+                },
+                onSelect: key => {
+                    state.selected = key;
+                    draw();
+                }
+            });
+            bindEditPanel(contentDiv, (startTime, executorIds) => {
+                editor.updateItem(state.selected, { startTime, executorIds });
+                draw();
+            }, () => {
+                state.selected = null;
+                draw();
+            }, actuals => {
+                editor.updateActuals(state.selected, actuals);
+                draw();
+            });
+            bindExportControls(contentDiv, () => result);
+            bindSaveControls(contentDiv, onProgress => {
+                if (saveBlocked) {
+                    return Promise.reject(new Error('Saving is blocked: source data has errors'));
+                }
+                return save(getChanges(result), onProgress);
+            });
+            log('Calendar displayed successfully');
+
+            return html;
+        };
+
+        return draw();
+    }
+
+    /**
+     * Выводит ошибку планирования в элемент config.target
+     * (с результатами проверки данных, если они есть)
+     */
+    function renderError(err) {
+        const contentDiv = getTarget();
+        if (contentDiv) {
+            contentDiv.innerHTML = `<div style="color: red; padding: 20px;">
+                <h3>Ошибка планирования</h3>
+                <p>${err.message}</p>
+                <p>Подробности в консоли браузера (F12)</p>
+            </div>` + generateValidationReport(err.validation);
+        }
+    }
+
+    /**
+     * Полный цикл: загрузка, планирование (со сравнением сценариев config.scenarios) и вывод результата.
+     * Возвращает результат планирования или null при ошибке (ошибка выводится на страницу).
+     */
+    async function run() {
+        try {
+            log('Starting task scheduling...');
+            const data = await load();
+            // Сценарии планируются на копиях данных до основного плана, который дополняет исходные строки
+            const scenarios = options.scenarios.length > 0 ? compare(data) : null;
+            const result = plan(data);
+            result.scenarios = scenarios;
+            render(result);
+            log('Task scheduling completed successfully!');
+            return result;
+        } catch (err) {
+            error('Failed to schedule tasks', err);
+            renderError(err);
+            return null;
+        }
+    }
+
+    return { config: options, load, plan, compare, getChanges, save, cancel, render, run };
+}
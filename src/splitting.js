@@ -0,0 +1,71 @@
+/**
+ * Разбиение работ на части: по рабочим дням и между исполнителями
+ */
+
+/**
+ * Поле строки проекта, разрешающее или запрещающее прерывать работу концом рабочего дня
+ */
+export const INTERRUPTION_FIELD = 'Прерывание';
+
+/**
+ * Создает правила разбиения работ по настройкам проекта:
+ * - split_whole_max - работы длительностью до этого значения (мин) не прерываются концом дня
+ *   и целиком переносятся на следующий день (по умолчанию 240)
+ * - split_min_chunk - минимальная часть работы, мин: работа не начинается (и не продолжается),
+ *   если до конца дня или до занятости исполнителя успевает выполнить меньше (по умолчанию 0)
+ * - split_change_executors - 1: части работы могут выполнять разные исполнители (по умолчанию 0)
+ * - split_finish_priority - 1: начатая работа продолжается в ближайшее рабочее время без перерывов
+ *   (по умолчанию); 0: продолжение откладывается, пока исполнители заняты, зато работа может
+ *   начаться раньше в свободном окне
+ */
+export function createSplitRules(settings = {}) {
+    const number = (value, defaultValue) => value !== undefined && value !== '' && !isNaN(Number(value))
+        ? Number(value)
+        : defaultValue;
+
+    return {
+        wholeMax: number(settings.split_whole_max, 240),
+        minChunk: number(settings.split_min_chunk, 0),
+        changeExecutors: number(settings.split_change_executors, 0) === 1,
+        finishPriority: number(settings.split_finish_priority, 1) === 1
+    };
+}
+
+/**
+ * Разбирает поле "Прерывание": true - можно прерывать, false - нельзя,
+ * null - не заполнено (решают правила), undefined - значение не распознано
+ */
+export function parseInterruption(value) {
+    const str = String(value || '').trim().toLowerCase();
+    if (!str) return null;
+    if (['да', 'yes', '1', 'true'].includes(str)) return true;
+    if (['нет', 'no', '0', 'false'].includes(str)) return false;
+    return undefined;
+}
+
+/**
+ * Проверяет, можно ли прерывать работу концом рабочего дня: по полю "Прерывание",
+ * а если оно не заполнено - по длительности (длиннее split_whole_max)
+ */
+export function isInterruptible(item, duration, rules) {
+    const explicit = parseInterruption(item[INTERRUPTION_FIELD]);
+    if (explicit === true || explicit === false) return explicit;
+    return duration > rules.wholeMax;
+}
+
+/**
+ * Возвращает отрезки назначения [{ startTime, endTime, minutes }]: assignment.segments
+ * или весь интервал назначения одним отрезком (для назначений без отрезков)
+ */
+export function getAssignmentSegments(assignment) {
+    return assignment.segments && assignment.segments.length > 0
+        ? assignment.segments
+        : [{ startTime: assignment.startTime, endTime: assignment.endTime, minutes: assignment.duration }];
+}
+
+/**
+ * Возвращает рабочие минуты исполнителя по назначению (сумма его отрезков)
+ */
+export function getAssignmentMinutes(assignment) {
+    return getAssignmentSegments(assignment).reduce((sum, segment) => sum + segment.minutes, 0);
+}
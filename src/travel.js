@@ -0,0 +1,78 @@
+/**
+ * Переезды исполнителей между объектами: координаты и модель времени в пути
+ */
+
+// Средний радиус Земли, км
+const EARTH_RADIUS_KM = 6371;
+
+/**
+ * Разбирает координаты "широта, долгота" (например "55.7512, 37.6184"; разделитель -
+ * запятая, точка с запятой или пробел). Возвращает { lat, lon } или null.
+ */
+export function parseCoordinates(value) {
+    if (!value) return null;
+
+    const match = String(value).trim().match(/^(-?\d+(?:\.\d+)?)\s*[,;\s]\s*(-?\d+(?:\.\d+)?)$/);
+    if (!match) return null;
+
+    const lat = parseFloat(match[1]);
+    const lon = parseFloat(match[2]);
+    if (Math.abs(lat) > 90 || Math.abs(lon) > 180) return null;
+
+    return { lat, lon };
+}
+
+/**
+ * Расстояние между точками по прямой (формула гаверсинусов), км
+ */
+export function getDistanceKm(from, to) {
+    const toRadians = degrees => degrees * Math.PI / 180;
+    const dLat = toRadians(to.lat - from.lat);
+    const dLon = toRadians(to.lon - from.lon);
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLon / 2) ** 2;
+
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * Создает модель времени в пути по настройкам:
+ * - travel_speed - средняя скорость переезда, км/ч (по умолчанию 30; 0 - переезды не учитываются)
+ * - travel_factor - коэффициент извилистости дорог к расстоянию по прямой (по умолчанию 1.3)
+ *
+ * getTravelTime(from, to) возвращает время в пути в минутах (с округлением вверх до 5 минут)
+ * между координатами объектов (строки поля "Координаты"); 0 - если координаты не указаны
+ * или совпадают.
+ */
+export function createTravelModel(settings = {}) {
+    const speed = settings.travel_speed !== undefined && settings.travel_speed !== ''
+        ? parseFloat(settings.travel_speed)
+        : 30;
+    const factor = settings.travel_factor !== undefined && settings.travel_factor !== ''
+        ? parseFloat(settings.travel_factor)
+        : 1.3;
+
+    function getTravelTime(from, to) {
+        if (!speed || !from || !to || from === to) return 0;
+
+        const fromPoint = parseCoordinates(from);
+        const toPoint = parseCoordinates(to);
+        if (!fromPoint || !toPoint) return 0;
+
+        const minutes = getDistanceKm(fromPoint, toPoint) * factor / speed * 60;
+        return Math.ceil(minutes / 5) * 5;
+    }
+
+    return { speed, factor, getTravelTime };
+}
+
+/**
+ * Возвращает координаты работы: поле "Координаты" строки или, если оно пустое,
+ * первые заполненные координаты строк проекта (объекта)
+ */
+export function getItemLocation(item, projectItems = []) {
+    if (item['Координаты']) return String(item['Координаты']).trim();
+
+    const projectRow = projectItems.find(row => row['Координаты']);
+    return projectRow ? String(projectRow['Координаты']).trim() : '';
+}
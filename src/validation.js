@@ -0,0 +1,247 @@
+/**
+ * Проверка исходных данных перед планированием: нормативы, шаблоны, связи задач,
+ * параметры, оборудование, фактическое выполнение, справочники исполнителей и оборудования
+ */
+
+import { log } from './logger.js';
+import { parseSettings, groupProjects, buildTaskGroups } from './planner.js';
+import { TEMPLATE_LINK_FIELDS, calculateTemplateNormative, findTemplateItem, findTemplateItemById, getTemplateItems } from './normatives.js';
+import { createCalendar, getExecutorCalendar, parseShift } from './calendar.js';
+import { parseOccupiedTime } from './availability.js';
+import { evaluateParameters, parseParameters } from './parameters.js';
+import {
+    OPERATION_LINK_FIELDS, buildTaskGraph, orderTaskGroups, parseOperationLink, parsePreviousOperations, parsePreviousTasks
+} from './graph.js';
+import { parseCoordinates } from './travel.js';
+import { INTERRUPTION_FIELD, parseInterruption } from './splitting.js';
+import {
+    RESOURCE_FIELDS, findEquipment, getEquipmentCapacity, parseEquipmentRequirements, parseMaterialDeliveries
+} from './resources.js';
+import { getItemActuals } from './progress.js';
+import { findPinnedExecutors } from './assignment.js';
+
+/**
+ * Проверяет данные отчетов { projectData, settings, parameterDictionary, executors, equipment }
+ * до планирования (данные не изменяются, нормативы еще не рассчитаны).
+ *
+ * Возвращает { issues, errors, warnings }. Замечание - { severity, code, projectId, projectName,
+ * itemId, itemName, message }: severity 'error' - работа не может быть спланирована или будет
+ * спланирована неверно, 'warning' - план будет построен, но данные стоит исправить.
+ * Для замечаний по исполнителям и оборудованию itemId/itemName - ID и имя исполнителя или оборудования.
+ */
+export function validateData(data) {
+    const { projectData, settings, parameterDictionary, executors } = data;
+    const equipment = data.equipment || [];
+    const issues = [];
+    const add = (severity, code, target, message) => issues.push(Object.assign({
+        severity,
+        code,
+        projectId: null,
+        projectName: null,
+        itemId: null,
+        itemName: null,
+        message
+    }, target));
+
+    const calendar = createCalendar(parseSettings(settings));
+    const workingProject = projectData.filter(item => item['Статус проекта'] === 'В работе');
+
+    if (workingProject.length === 0) {
+        add('error', 'no_working_project', {}, 'Нет проектов в статусе "В работе"');
+    }
+
+    for (const project of groupProjects(workingProject)) {
+        const projectTarget = { projectId: project.projectId, projectName: project.projectName };
+
+        if (!project.startDate) {
+            add('error', 'no_start_date', projectTarget, 'Не указана дата старта проекта, проект не будет спланирован');
+        }
+
+        const templateItems = getTemplateItems(project, projectData);
+        if (project.templateId && templateItems.length === 0) {
+            add('error', 'template_not_found', projectTarget, `Шаблон проекта ${project.templateId} не найден`);
+        }
+
+        // Связи задач проверяются на копиях групп, чтобы не изменять данные
+        const taskGroups = buildTaskGroups(project.items);
+        const taskNames = new Set(taskGroups.map(tg => tg.taskName));
+
+        for (const taskGroup of taskGroups) {
+            for (const predecessorName of parsePreviousTasks(taskGroup.previousTask)) {
+                if (!taskNames.has(predecessorName)) {
+                    add('error', 'unknown_previous_task', Object.assign({
+                        itemId: taskGroup.taskId,
+                        itemName: taskGroup.taskName
+                    }, projectTarget), `Предыдущая задача "${predecessorName}" не найдена в проекте`);
+                }
+            }
+
+            taskGroup.items.forEach((item, index) => {
+                const target = Object.assign({
+                    itemId: item['ОперацияID'] || item['Задача проектаID'],
+                    itemName: item['ОперацияID'] ? item['Операция'] : item['Задача проекта']
+                }, projectTarget);
+                validateItem(item, target, templateItems);
+
+                // Предыдущие операции указываются из стоящих раньше в той же задаче
+                const earlierNames = taskGroup.items.slice(0, index).map(earlier => earlier['Операция']);
+                for (const name of parsePreviousOperations(item)) {
+                    if (!earlierNames.includes(name)) {
+                        add('error', 'unknown_previous_operation', target,
+                            `Предыдущая операция "${name}" не найдена среди операций задачи, стоящих раньше`);
+                    }
+                }
+            });
+        }
+
+        try {
+            orderTaskGroups(buildTaskGraph(taskGroups));
+        } catch (err) {
+            add('error', 'dependency_cycle', projectTarget, `Циклическая зависимость задач: ${err.message.replace(/^.*?: /, '')}`);
+        }
+    }
+
+    /**
+     * Проверяет задачу/операцию: ссылку на шаблон, норматив (в строке или по шаблону),
+     * тип связи, оборудование и поставки материалов, фактическое выполнение, координаты объекта
+     * и параметры исполнителей (наличие подходящих - только для работ без закрепленных исполнителей)
+     */
+    function validateItem(item, target, templateItems) {
+        const isOperation = !!item['ОперацияID'];
+        const normativeField = isOperation ? 'Норматив операции' : 'Норматив задачи';
+        const linkId = item[isOperation ? TEMPLATE_LINK_FIELDS.operation : TEMPLATE_LINK_FIELDS.task];
+
+        if (linkId && !findTemplateItemById(item, templateItems)) {
+            add('warning', 'template_item_not_found', target, `Строка шаблона ${linkId} не найдена, сопоставление по названию`);
+        }
+
+        if (item[normativeField]) {
+            if (isNaN(parseFloat(item[normativeField]))) {
+                add('error', 'invalid_normative', target, `Норматив "${item[normativeField]}" не является числом`);
+            }
+        } else {
+            const templateItem = findTemplateItem(item, templateItems);
+            if (!templateItem) {
+                add('error', 'no_template_item', target, 'Норматив не заполнен, в шаблоне нет соответствующей строки');
+            } else {
+                const calculation = calculateTemplateNormative(item, templateItem);
+                if (calculation.reason) {
+                    add('error', 'no_normative', target, `Норматив не заполнен и не рассчитан по шаблону: ${calculation.reason}`);
+                }
+            }
+        }
+
+        if (!parseOperationLink(item[OPERATION_LINK_FIELDS.type])) {
+            add('warning', 'invalid_operation_link', target,
+                `Не удалось разобрать тип связи "${item[OPERATION_LINK_FIELDS.type]}", используется ОН (после окончания)`);
+        }
+
+        const unrecognizedEquipment = [];
+        for (const requirement of parseEquipmentRequirements(item[RESOURCE_FIELDS.equipment], unrecognizedEquipment)) {
+            const row = findEquipment(requirement.ref, equipment);
+            if (!row) {
+                add('error', 'unknown_equipment', target,
+                    `Оборудование "${requirement.ref}" отсутствует в справочнике оборудования, оно не учитывается`);
+            } else if (requirement.count > getEquipmentCapacity(row)) {
+                add('error', 'not_enough_equipment', target,
+                    `Требуется единиц оборудования "${row['Оборудование']}": ${requirement.count}, в наличии: ${getEquipmentCapacity(row)}`);
+            }
+        }
+        for (const part of unrecognizedEquipment) {
+            add('error', 'invalid_equipment', target, `Не удалось разобрать требование "${part}" в поле "${RESOURCE_FIELDS.equipment}"`);
+        }
+
+        const unrecognizedDeliveries = [];
+        parseMaterialDeliveries(item[RESOURCE_FIELDS.materials], unrecognizedDeliveries);
+        for (const part of unrecognizedDeliveries) {
+            add('warning', 'invalid_material_delivery', target,
+                `Не удалось разобрать поставку материалов "${part}" (нужна дата DD.MM.YYYY), она не учитывается`);
+        }
+
+        const unrecognizedActuals = [];
+        const actuals = getItemActuals(item, unrecognizedActuals);
+        for (const { field, value } of unrecognizedActuals) {
+            add('warning', 'invalid_actual', target, `Не удалось разобрать поле "${field}" со значением "${value}", оно не учитывается`);
+        }
+        if (actuals && actuals.startTime && actuals.endTime && actuals.endTime < actuals.startTime) {
+            add('warning', 'actual_end_before_start', target, 'Фактическое окончание раньше фактического начала');
+        }
+
+        if (parseInterruption(item[INTERRUPTION_FIELD]) === undefined) {
+            add('warning', 'invalid_interruption', target,
+                `Не удалось разобрать поле "${INTERRUPTION_FIELD}" со значением "${item[INTERRUPTION_FIELD]}", прерывание определяется длительностью работы`);
+        }
+
+        if (item['Координаты'] && !parseCoordinates(item['Координаты'])) {
+            add('warning', 'invalid_coordinates', target,
+                `Не удалось разобрать координаты "${item['Координаты']}", время переезда не учитывается`);
+        }
+
+        const unrecognized = [];
+        const parameters = parseParameters(item['Параметры задачи'], unrecognized);
+        for (const part of unrecognized) {
+            add('error', 'invalid_parameters', target, `Не удалось разобрать требование "${part}" в поле "Параметры задачи"`);
+        }
+
+        const knownParameters = parameters.filter(param => {
+            if (parameterDictionary.some(p => p['ПараметрID'] === param.parameterId)) return true;
+            add('error', 'unknown_parameter', target, `Параметр ${param.parameterId} отсутствует в справочнике параметров`);
+            return false;
+        });
+
+        // Закрепленные исполнители ("Исполнитель Задачи") назначаются без проверки параметров
+        if (findPinnedExecutors(item, executors).length > 0) return;
+
+        const required = parseInt(item['Исполнителей'] || 1);
+        const suitable = executors.filter(executor =>
+            evaluateParameters(executor, knownParameters, parameterDictionary).length === 0
+        ).length;
+
+        if (suitable === 0) {
+            add('error', 'no_suitable_executor', target, 'Нет ни одного исполнителя, подходящего по параметрам');
+        } else if (suitable < required) {
+            add('error', 'not_enough_executors', target,
+                `Требуется исполнителей: ${required}, подходящих по параметрам: ${suitable}, работа не будет спланирована`);
+        }
+    }
+
+    for (const executor of executors) {
+        const target = { itemId: executor['ПользовательID'], itemName: executor['Пользователь'] };
+
+        const unrecognized = [];
+        parseOccupiedTime(executor['Занятое время'], unrecognized);
+        for (const value of unrecognized) {
+            add('warning', 'invalid_occupied_time', target, `Не удалось разобрать занятое время "${value}", оно не учитывается`);
+        }
+
+        // Нераспознанная смена и смена без рабочего времени заменяются общим календарем (см. getExecutorCalendar)
+        const shift = executor['Смена'] ? parseShift(executor['Смена']) : null;
+        if (executor['Смена'] && !shift) {
+            add('warning', 'invalid_shift', target, `Не удалось разобрать смену "${executor['Смена']}", используется общий график`);
+        } else if (shift && shift.dayEnd <= shift.dayStart) {
+            add('warning', 'invalid_shift', target,
+                `Смена "${executor['Смена']}" заканчивается не позже начала (ночные смены не поддерживаются), используется общий график`);
+        } else if (shift && getExecutorCalendar(executor, calendar) === calendar) {
+            add('warning', 'invalid_shift', target, `В смене "${executor['Смена']}" нет рабочего времени, используется общий график`);
+        } else if (shift && (shift.dayEnd <= calendar.dayStart || shift.dayStart >= calendar.dayEnd)) {
+            add('warning', 'shift_outside_working_day', target,
+                `Смена "${executor['Смена']}" не пересекается с общим рабочим днем: исполнитель не работает в одной бригаде с остальными`);
+        }
+    }
+
+    for (const row of equipment) {
+        const target = { itemId: row['ОборудованиеID'], itemName: row['Оборудование'] };
+
+        const unrecognized = [];
+        parseOccupiedTime(row['Занятое время'], unrecognized);
+        for (const value of unrecognized) {
+            add('warning', 'invalid_occupied_time', target, `Не удалось разобрать занятое время "${value}", оно не учитывается`);
+        }
+    }
+
+    const errors = issues.filter(issue => issue.severity === 'error');
+    const warnings = issues.filter(issue => issue.severity === 'warning');
+    log(`Data validation: ${errors.length} errors, ${warnings.length} warnings`);
+
+    return { issues, errors, warnings };
+}
@@ -0,0 +1,96 @@
+/**
+ * Минимальная запись ZIP-архива без сжатия (для XLSX)
+ */
+
+// Таблица CRC-32
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+/**
+ * Считает контрольную сумму CRC-32
+ */
+function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Создает ZIP-архив из файлов [{ name, content }] (content - строка или Uint8Array).
+ * Файлы сохраняются без сжатия. Возвращает Uint8Array.
+ */
+export function createZip(files) {
+    const encoder = new TextEncoder();
+    const chunks = [];
+    const centralDirectory = [];
+    let offset = 0;
+
+    for (const file of files) {
+        const name = encoder.encode(file.name);
+        const data = typeof file.content === 'string' ? encoder.encode(file.content) : file.content;
+        const crc = crc32(data);
+
+        // Локальный заголовок файла
+        const header = new DataView(new ArrayBuffer(30));
+        header.setUint32(0, 0x04034b50, true);
+        header.setUint16(4, 20, true);
+        header.setUint16(6, 0x0800, true); // имена в UTF-8
+        header.setUint16(8, 0, true); // без сжатия
+        header.setUint16(10, 0, true);
+        header.setUint16(12, 0x21, true); // 01.01.1980
+        header.setUint32(14, crc, true);
+        header.setUint32(18, data.length, true);
+        header.setUint32(22, data.length, true);
+        header.setUint16(26, name.length, true);
+        header.setUint16(28, 0, true);
+
+        // Запись центрального каталога
+        const entry = new DataView(new ArrayBuffer(46));
+        entry.setUint32(0, 0x02014b50, true);
+        entry.setUint16(4, 20, true);
+        entry.setUint16(6, 20, true);
+        entry.setUint16(8, 0x0800, true);
+        entry.setUint16(10, 0, true);
+        entry.setUint16(12, 0, true);
+        entry.setUint16(14, 0x21, true);
+        entry.setUint32(16, crc, true);
+        entry.setUint32(20, data.length, true);
+        entry.setUint32(24, data.length, true);
+        entry.setUint16(28, name.length, true);
+        entry.setUint32(42, offset, true);
+
+        chunks.push(new Uint8Array(header.buffer), name, data);
+        centralDirectory.push(new Uint8Array(entry.buffer), name);
+        offset += 30 + name.length + data.length;
+    }
+
+    const directorySize = centralDirectory.reduce((sum, chunk) => sum + chunk.length, 0);
+
+    // Конец центрального каталога
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, directorySize, true);
+    end.setUint32(16, offset, true);
+
+    const parts = [...chunks, ...centralDirectory, new Uint8Array(end.buffer)];
+    const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let position = 0;
+    for (const part of parts) {
+        result.set(part, position);
+        position += part.length;
+    }
+    return result;
+}
@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseOccupiedTime, formatOccupiedInterval, releaseOccupiedTime } from '../src/availability.js';
+
+test('parseOccupiedTime: часы, часы с минутами и весь день', () => {
+    assert.deepEqual(parseOccupiedTime('20251121:9-12, 20251124:9:30-12:15, 20251125'), [
+        { start: new Date(2025, 10, 21, 9, 0), end: new Date(2025, 10, 21, 12, 0), tag: null },
+        { start: new Date(2025, 10, 24, 9, 30), end: new Date(2025, 10, 24, 12, 15), tag: null },
+        { start: new Date(2025, 10, 25), end: new Date(2025, 10, 26), tag: null }
+    ]);
+});
+
+test('parseOccupiedTime: интервал на несколько дней', () => {
+    assert.deepEqual(parseOccupiedTime('20251121:14:00-20251122:12:00'), [
+        { start: new Date(2025, 10, 21, 14, 0), end: new Date(2025, 10, 22, 12, 0), tag: null }
+    ]);
+});
+
+test('parseOccupiedTime: метка проекта', () => {
+    assert.deepEqual(parseOccupiedTime('20251121:9-12#2614'), [
+        { start: new Date(2025, 10, 21, 9, 0), end: new Date(2025, 10, 21, 12, 0), tag: '2614' }
+    ]);
+});
+
+test('parseOccupiedTime: пустые, обратные и нераспознанные интервалы', () => {
+    assert.deepEqual(parseOccupiedTime(''), []);
+    assert.deepEqual(parseOccupiedTime('20251121:12-9'), []);
+
+    const unrecognized = [];
+    assert.equal(parseOccupiedTime('завтра, 20251121:9-10', unrecognized).length, 1);
+    assert.deepEqual(unrecognized, ['завтра']);
+});
+
+test('formatOccupiedInterval и releaseOccupiedTime: запись и снятие интервалов проекта', () => {
+    const interval = formatOccupiedInterval(new Date(2025, 10, 21, 9, 0), new Date(2025, 10, 21, 12, 30), '2614');
+    assert.equal(interval, '20251121:9-12:30#2614');
+    assert.equal(releaseOccupiedTime(`20251120, ${interval}`, ['2614']), '20251120');
+});
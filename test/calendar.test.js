@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createCalendar, calculateEndTime, calculateStartTime, calculateWorkSegments, getExecutorCalendar } from '../src/calendar.js';
+
+// График по умолчанию: 9-18, обед 13-14, рабочие дни пн-пт; 21.11.2025 - пятница
+const calendar = createCalendar({});
+
+test('calculateEndTime: работа в пределах утра', () => {
+    const end = calculateEndTime(new Date(2025, 10, 20, 9, 0), 120, calendar);
+    assert.deepEqual(end, new Date(2025, 10, 20, 11, 0));
+});
+
+test('calculateEndTime: обед не входит в длительность', () => {
+    const end = calculateEndTime(new Date(2025, 10, 20, 12, 0), 120, calendar);
+    assert.deepEqual(end, new Date(2025, 10, 20, 15, 0));
+});
+
+test('calculateEndTime: остаток переносится на следующий рабочий день', () => {
+    const end = calculateEndTime(new Date(2025, 10, 20, 17, 0), 120, calendar);
+    assert.deepEqual(end, new Date(2025, 10, 21, 10, 0));
+});
+
+test('calculateEndTime: выходные пропускаются', () => {
+    const end = calculateEndTime(new Date(2025, 10, 21, 17, 0), 120, calendar);
+    assert.deepEqual(end, new Date(2025, 10, 24, 10, 0));
+});
+
+test('calculateEndTime: праздники пропускаются, рабочие выходные учитываются', () => {
+    const holidays = createCalendar({ holidays: '24.11.2025' });
+    assert.deepEqual(
+        calculateEndTime(new Date(2025, 10, 21, 17, 0), 120, holidays),
+        new Date(2025, 10, 25, 10, 0)
+    );
+
+    const workSaturday = createCalendar({ work_weekends: '20251122' });
+    assert.deepEqual(
+        calculateEndTime(new Date(2025, 10, 21, 17, 0), 120, workSaturday),
+        new Date(2025, 10, 22, 10, 0)
+    );
+});
+
+test('calculateEndTime: начало вне рабочего времени сдвигается к началу рабочего периода', () => {
+    const end = calculateEndTime(new Date(2025, 10, 20, 7, 0), 60, calendar);
+    assert.deepEqual(end, new Date(2025, 10, 20, 10, 0));
+});
+
+test('calculateEndTime: смена исполнителя', () => {
+    const shift = getExecutorCalendar({ 'Смена': '8-17' }, calendar);
+    const end = calculateEndTime(new Date(2025, 10, 20, 16, 0), 120, shift);
+    assert.deepEqual(end, new Date(2025, 10, 21, 9, 0));
+});
+
+test('getExecutorCalendar: ночная смена заменяется общим календарем', () => {
+    assert.equal(getExecutorCalendar({ 'Смена': '22-6', 'Пользователь': 'Ночной' }, calendar), calendar);
+    assert.equal(getExecutorCalendar({ 'Смена': '1-5|18-18', 'Пользователь': 'Ночной' }, calendar), calendar);
+    // Смена только на время обеда и смена без рабочих дней недели
+    assert.equal(getExecutorCalendar({ 'Смена': '13-14', 'Пользователь': 'Обед' }, calendar), calendar);
+    assert.equal(getExecutorCalendar({ 'Смена': '8|9-18', 'Пользователь': 'Никогда' }, calendar), calendar);
+
+    const end = calculateEndTime(new Date(2025, 10, 20, 9, 0), 60, getExecutorCalendar({ 'Смена': '22-6' }, calendar));
+    assert.deepEqual(end, new Date(2025, 10, 20, 10, 0));
+});
+
+test('calculateWorkSegments: отрезки по рабочим дням с обедом внутри отрезка', () => {
+    const segments = calculateWorkSegments(new Date(2025, 10, 21, 16, 0), 300, calendar);
+    assert.deepEqual(segments, [
+        { startTime: new Date(2025, 10, 21, 16, 0), endTime: new Date(2025, 10, 21, 18, 0), minutes: 120 },
+        { startTime: new Date(2025, 10, 24, 9, 0), endTime: new Date(2025, 10, 24, 12, 0), minutes: 180 }
+    ]);
+    assert.deepEqual(segments[1].endTime, calculateEndTime(new Date(2025, 10, 21, 16, 0), 300, calendar));
+
+    assert.deepEqual(calculateWorkSegments(new Date(2025, 10, 20, 12, 0), 120, calendar), [
+        { startTime: new Date(2025, 10, 20, 12, 0), endTime: new Date(2025, 10, 20, 15, 0), minutes: 120 }
+    ]);
+});
+
+test('calculateStartTime: обратный расчет через обед и выходные', () => {
+    assert.deepEqual(calculateStartTime(new Date(2025, 10, 20, 15, 0), 120, calendar), new Date(2025, 10, 20, 12, 0));
+    // 24.11.2025 - понедельник: остаток берется из пятницы
+    assert.deepEqual(calculateStartTime(new Date(2025, 10, 24, 10, 0), 120, calendar), new Date(2025, 10, 21, 17, 0));
+    // Окончание датой без времени - конец предыдущего рабочего дня
+    assert.deepEqual(calculateStartTime(new Date(2025, 10, 21), 60, calendar), new Date(2025, 10, 20, 17, 0));
+});
@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildExperience, getExperienceKey, getTraineeTolerance } from '../src/experience.js';
+
+const executors = [
+    { 'ПользовательID': '1', 'Пользователь': 'vova' },
+    { 'ПользовательID': '2', 'Пользователь': 'Ян' },
+    { 'ПользовательID': '3', 'Пользователь': 'Стажер' }
+];
+
+test('buildExperience: операция засчитывается каждому участнику бригады', () => {
+    const history = [
+        { 'Операция': 'Монтаж', 'ОперацияID': '11', 'Исполнитель Задачи': 'vova, Ян' },
+        { 'Операция': 'Монтаж', 'ОперацияID': '12', 'Исполнитель Задачи': '2' },
+        { 'Операция': 'Монтаж', 'ОперацияID': '13', 'Исполнитель Задачи': 'Бывший сотрудник' }
+    ];
+    const planned = { 'Операция': 'Монтаж', 'ОперацияID': '21', 'Исполнитель Задачи': 'Стажер' };
+
+    const experience = buildExperience(history.concat(planned), [planned], executors);
+
+    assert.equal(experience.get(getExperienceKey('1', 'Монтаж')), 1);
+    assert.equal(experience.get(getExperienceKey('2', 'Монтаж')), 2);
+    assert.equal(experience.get(getExperienceKey('3', 'Монтаж')), undefined);
+
+    const settings = { '1st_op_tolerance': 50, '2nd_op_tolerance': 30, '3rd_op_tolerance': 10 };
+    assert.equal(getTraineeTolerance(experience.get(getExperienceKey('1', 'Монтаж')), settings), 30);
+    assert.equal(getTraineeTolerance(0, settings), 50);
+});
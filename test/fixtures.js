@@ -0,0 +1,24 @@
+import { fileURLToPath } from 'url';
+import { createJsonFileDataSource } from '../src/data-sources.js';
+import { createScheduler } from '../src/scheduler.js';
+
+export const FIXTURES_DIR = fileURLToPath(new URL('./fixtures/api', import.meta.url));
+
+/**
+ * Данные записанных отчетов с изменениями:
+ * fields - поля строк проекта ({ ID: { поле: значение } }),
+ * settings - дополнительные настройки ({ Код: Значение }),
+ * equipment - справочник оборудования,
+ * shifts - смены исполнителей ({ Пользователь: смена })
+ */
+export async function loadFixtures({ fields = {}, settings = {}, equipment, shifts = {} } = {}) {
+    const scheduler = createScheduler({ dataSource: createJsonFileDataSource(FIXTURES_DIR), config: { debug: false } });
+    const data = await scheduler.load();
+    return Object.assign({}, data, {
+        settings: data.settings.concat(Object.entries(settings).map(([code, value]) => ({ 'Код': code, 'Значение': value }))),
+        projectData: data.projectData.map(row => Object.assign({}, row, fields[row['ОперацияID'] || row['Задача проектаID']])),
+        executors: data.executors.map(executor => Object.assign({}, executor, shifts[executor['Пользователь']] !== undefined
+            ? { 'Смена': shifts[executor['Пользователь']] }
+            : {}))
+    }, equipment ? { equipment } : {});
+}
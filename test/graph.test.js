@@ -0,0 +1,143 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildTaskGraph, getDefaultOperationLink, linkWorkItems, orderTaskGroups, parseOperationLink } from '../src/graph.js';
+import { planSchedule } from '../src/planner.js';
+
+/**
+ * Задача с операциями: operations - [{ name, section, link, previous }]
+ */
+function createTask(taskId, taskName, previousTask, operations) {
+    const items = operations.map((operation, index) => ({
+        'Задача проектаID': taskId,
+        'Задача проекта': taskName,
+        'ОперацияID': `${taskId}${index + 1}`,
+        'Операция': operation.name,
+        'Захватка': operation.section || '',
+        'Тип связи': operation.link || '',
+        'Предыдущая операция': operation.previous || ''
+    }));
+    return { taskId, taskName, previousTask, items };
+}
+
+/**
+ * Связи работ в виде { "операция": ["ОН|НН+задержка предшественник", ...] }
+ */
+function describeLinks(taskGroups, defaultLink) {
+    const ordered = orderTaskGroups(buildTaskGraph(taskGroups));
+    const works = ordered.flatMap(taskGroup => taskGroup.items.map(item => ({ taskGroup, item })));
+    const links = linkWorkItems(ordered, works, defaultLink);
+
+    return Object.fromEntries(works.map(work => [
+        work.item['Операция'],
+        links.get(work).map(link => `${link.type}${link.lag ? `+${link.lag}` : ''} ${link.work.item['Операция']}`)
+    ]));
+}
+
+test('parseOperationLink: типы связей и задержка', () => {
+    assert.deepEqual(parseOperationLink(''), { type: 'FS', lag: 0 });
+    assert.deepEqual(parseOperationLink('ОН'), { type: 'FS', lag: 0 });
+    assert.deepEqual(parseOperationLink('нн + 30'), { type: 'SS', lag: 30 });
+    assert.deepEqual(parseOperationLink('SS+1,5ч'), { type: 'SS', lag: 90 });
+    assert.deepEqual(parseOperationLink('ОН+2ч'), { type: 'FS', lag: 120 });
+    assert.deepEqual(parseOperationLink('нет'), { type: 'none', lag: 0 });
+    assert.equal(parseOperationLink('потом'), null);
+});
+
+test('linkWorkItems: операции задачи по умолчанию выполняются друг за другом', () => {
+    assert.deepEqual(describeLinks([
+        createTask('1', 'Подготовка', '', [{ name: 'A' }, { name: 'B' }]),
+        createTask('2', 'Монтаж', 'Подготовка', [{ name: 'C' }])
+    ]), {
+        A: [],
+        B: ['FS A'],
+        C: ['FS B']
+    });
+});
+
+test('linkWorkItems: связь по умолчанию из настройки default_operation_link', () => {
+    assert.deepEqual(getDefaultOperationLink({}), { type: 'FS', lag: 0 });
+    assert.deepEqual(getDefaultOperationLink({ default_operation_link: 'нет' }), { type: 'none', lag: 0 });
+    assert.deepEqual(getDefaultOperationLink({ default_operation_link: 'потом' }), { type: 'FS', lag: 0 });
+
+    assert.deepEqual(describeLinks([
+        createTask('1', 'Подготовка', '', [{ name: 'A' }]),
+        createTask('2', 'Монтаж', 'Подготовка', [{ name: 'B' }, { name: 'C' }, { name: 'D', link: 'ОН' }])
+    ], { type: 'none', lag: 0 }), {
+        A: [],
+        B: ['FS A'],
+        C: ['FS A'],
+        // Явно указанная связь действует как обычно
+        D: ['FS B', 'FS C']
+    });
+});
+
+test('операции без связи при default_operation_link = нет выполняются одновременно разными исполнителями', () => {
+    const row = (operationId, operation, role) => ({
+        'ПроектID': '1',
+        'Проект': 'Объект',
+        'Старт': '20.11.2025',
+        'Статус проекта': 'В работе',
+        'Задача проектаID': '10',
+        'Задача проекта': 'Остекление',
+        'ОперацияID': operationId,
+        'Операция': operation,
+        'Норматив операции': '120',
+        'Параметры задачи': `115:${role}`
+    });
+    const plan = settings => planSchedule({
+        projectData: [row('11', 'Разгрузка стеклопакетов', 1), row('12', 'Проработка последовательности сборки', 2)],
+        settings,
+        parameterDictionary: [{ 'ПараметрID': '115', 'Параметр': 'Пользователь -> Роль' }],
+        executors: [
+            { 'ПользовательID': '1', 'Пользователь': 'Рабочий', 'Роль': '1', 'Занятое время': '' },
+            { 'ПользовательID': '2', 'Пользователь': 'Инженер', 'Роль': '2', 'Занятое время': '' }
+        ]
+    });
+    const getStart = (result, taskId) => result.assignments.find(a => a.taskId === taskId).startTime;
+
+    const parallel = plan([{ 'Код': 'default_operation_link', 'Значение': 'нет' }]);
+    assert.deepEqual(getStart(parallel, '11'), getStart(parallel, '12'));
+
+    // По умолчанию операции задачи выполняются друг за другом
+    const sequential = plan([]);
+    assert.deepEqual(getStart(sequential, '12'), sequential.assignments.find(a => a.taskId === '11').endTime);
+});
+
+test('linkWorkItems: операции без связи и с НН выполняются параллельно', () => {
+    assert.deepEqual(describeLinks([
+        createTask('1', 'Подготовка', '', [{ name: 'A' }]),
+        createTask('2', 'Монтаж', 'Подготовка', [
+            { name: 'B' },
+            { name: 'C', link: 'нет' },
+            { name: 'D', link: 'НН+60' },
+            { name: 'E' }
+        ]),
+        createTask('3', 'Сдача', 'Монтаж', [{ name: 'F' }])
+    ]), {
+        A: [],
+        B: ['FS A'],
+        // Без связи - только задачи-предшественники
+        C: ['FS A'],
+        D: ['SS+60 B', 'SS+60 C'],
+        // Следующая операция ждет окончания всех параллельных
+        E: ['FS B', 'FS C', 'FS D'],
+        F: ['FS E']
+    });
+});
+
+test('linkWorkItems: явные предыдущие операции и последние работы задачи', () => {
+    assert.deepEqual(describeLinks([
+        createTask('1', 'Подготовка', '', [
+            { name: 'A' },
+            { name: 'B', link: 'нет' },
+            { name: 'C', previous: 'A' }
+        ]),
+        createTask('2', 'Монтаж', 'Подготовка', [{ name: 'D' }])
+    ]), {
+        A: [],
+        B: [],
+        C: ['FS A'],
+        // Окончания B не ждет ни одна операция задачи, поэтому ее ждет следующая задача
+        D: ['FS B', 'FS C']
+    });
+});
@@ -0,0 +1,115 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createJsonFileDataSource } from '../src/data-sources.js';
+import { createScheduler } from '../src/scheduler.js';
+import { planSchedule } from '../src/planner.js';
+import { optimizeSchedule } from '../src/optimization.js';
+import { orderWorks } from '../src/graph.js';
+import { createPlanEditor } from '../src/editing.js';
+import { generateOptimizationReport } from '../src/render.js';
+import { toPlanJson } from '../src/cli.js';
+import { formatDateTime } from '../src/dates.js';
+import { FIXTURES_DIR } from './fixtures.js';
+
+/**
+ * Задача проекта без операций: role - роль исполнителя (параметр 115)
+ */
+function createRow(taskId, taskName, normative, role, previousTask = '') {
+    return {
+        'ПроектID': '1',
+        'Проект': 'Объект',
+        'Старт': '20.11.2025',
+        'Статус проекта': 'В работе',
+        'Задача проектаID': taskId,
+        'Задача проекта': taskName,
+        'Норматив задачи': String(normative),
+        'Параметры задачи': `115:${role}`,
+        'Предыдущая Задача': previousTask
+    };
+}
+
+/**
+ * Жадный план занимает инженера подготовкой, и монтаж ждет разметки до следующего дня;
+ * если разметку выполнить первой, оба исполнителя работают параллельно
+ */
+function createContentionData() {
+    return {
+        projectData: [
+            createRow('11', 'Подготовка', 480, 1),
+            createRow('12', 'Разметка', 60, 1),
+            createRow('13', 'Монтаж', 480, 2, 'Разметка')
+        ],
+        settings: [],
+        parameterDictionary: [{ 'ПараметрID': '115', 'Параметр': 'Пользователь -> Роль' }],
+        executors: [
+            { 'ПользовательID': '1', 'Пользователь': 'Инженер', 'Роль': '1', 'Занятое время': '' },
+            { 'ПользовательID': '2', 'Пользователь': 'Монтажник', 'Роль': '2', 'Занятое время': '' }
+        ]
+    };
+}
+
+test('orderWorks: порядок по приоритету без нарушения связей', () => {
+    const works = ['a', 'b', 'c', 'd'];
+    const links = new Map([['a', []], ['b', []], ['c', [{ work: 'a' }]], ['d', [{ work: 'b' }]]]);
+
+    assert.deepEqual(orderWorks(works, links, null), works);
+    assert.deepEqual(orderWorks(works, links, new Map([['a', 3], ['b', 0], ['c', 0], ['d', 1]])), ['b', 'd', 'a', 'c']);
+    // Одинаковый приоритет - исходный порядок
+    assert.deepEqual(orderWorks(works, links, new Map(works.map(work => [work, 0]))), works);
+});
+
+test('optimizeSchedule: срок короче жадного плана', () => {
+    const greedy = planSchedule(createContentionData());
+    const result = optimizeSchedule(createContentionData(), { maxIterations: 20 });
+    const { optimization } = result;
+
+    assert.equal(optimization.baseline.makespan, 1020);
+    assert.equal(optimization.best.makespan, 540);
+    assert.equal(optimization.rule, 'critical_path');
+    assert.ok(optimization.best.utilisation > optimization.baseline.utilisation);
+    assert.equal(optimization.rules[0].rule, 'order');
+    assert.equal(optimization.iterations, 20);
+
+    // Назначения того же вида, что у обычного плана
+    assert.equal(result.assignments.length, greedy.assignments.length);
+    assert.deepEqual(Object.keys(result.assignments[0]).sort(), Object.keys(greedy.assignments[0]).sort());
+
+    const times = new Map(result.assignments.map(a => [a.taskId, [formatDateTime(a.startTime), formatDateTime(a.endTime)]]));
+    assert.deepEqual(times.get('12'), ['20.11.2025 09:00:00', '20.11.2025 10:00:00']);
+    assert.deepEqual(times.get('13'), ['20.11.2025 10:00:00', '21.11.2025 10:00:00']);
+    assert.equal(formatDateTime(optimization.best.forecastEnd), '21.11.2025 10:00:00');
+
+    // Связи и занятость исполнителей не нарушены
+    assert.deepEqual(createPlanEditor(result).validate(), []);
+});
+
+test('optimizeSchedule: одинаковый результат при одном зерне', () => {
+    const first = optimizeSchedule(createContentionData(), { maxIterations: 30, seed: 7 });
+    const second = optimizeSchedule(createContentionData(), { maxIterations: 30, seed: 7 });
+
+    assert.deepEqual(
+        first.assignments.map(a => [a.taskId, a.executorId, a.startTime.getTime()]),
+        second.assignments.map(a => [a.taskId, a.executorId, a.startTime.getTime()])
+    );
+});
+
+test('optimizeSchedule: план проектов не хуже обычного', async () => {
+    const scheduler = createScheduler({
+        dataSource: createJsonFileDataSource(FIXTURES_DIR),
+        config: { debug: false, optimize: true, optimizeBudget: 500 }
+    });
+    const result = scheduler.plan(await scheduler.load());
+    const { optimization } = result;
+
+    assert.ok(optimization.best.makespan <= optimization.baseline.makespan);
+    assert.equal(result.rejections.length, 0);
+
+    const html = generateOptimizationReport(optimization);
+    assert.match(html, /Оптимизация плана/);
+    assert.match(html, /Правила приоритета/);
+    assert.equal(generateOptimizationReport(null), '');
+
+    const json = toPlanJson(result).optimization;
+    assert.equal(json.rule, optimization.rule);
+    assert.match(json.best.forecastEnd, /^\d{2}\.\d{2}\.\d{4} \d{2}:\d{2}:\d{2}$/);
+});
@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseParameters, matchesParameters, evaluateParameters } from '../src/parameters.js';
+
+// Названия параметров в справочнике приходят из API с HTML-сущностями
+const dictionary = [
+    { 'ПараметрID': '115', 'Параметр': 'Пользователь -&gt; Роль' },
+    { 'ПараметрID': '2673', 'Параметр': 'Квалификация -&gt; Уровень' }
+];
+
+const executor = { 'Пользователь': 'vova', 'Роль': '849', 'Квалификация -> Уровень': '4' };
+
+test('parseParameters: равенство, список, заполненность и диапазоны', () => {
+    assert.deepEqual(parseParameters('115:849,2673:(3-5), 728:%, 115:849|850'), [
+        { parameterId: '115', value: '849', values: ['849'], range: null, negate: false },
+        { parameterId: '2673', value: '', values: [], range: '3-5', negate: false },
+        { parameterId: '728', value: '%', values: [], range: null, negate: false },
+        { parameterId: '115', value: '849|850', values: ['849', '850'], range: null, negate: false }
+    ]);
+});
+
+test('parseParameters: отрицание и пустая строка', () => {
+    assert.deepEqual(parseParameters('115:!849'), [
+        { parameterId: '115', value: '849', values: ['849'], range: null, negate: true }
+    ]);
+    assert.deepEqual(parseParameters(''), []);
+    assert.deepEqual(parseParameters(null), []);
+});
+
+test('parseParameters: нераспознанные части собираются отдельно', () => {
+    const unrecognized = [];
+    const params = parseParameters('115:849, abc', unrecognized);
+    assert.equal(params.length, 1);
+    assert.deepEqual(unrecognized, ['abc']);
+});
+
+test('matchesParameters: равенство и список значений', () => {
+    assert.equal(matchesParameters(executor, parseParameters('115:849'), dictionary), true);
+    assert.equal(matchesParameters(executor, parseParameters('115:850'), dictionary), false);
+    assert.equal(matchesParameters(executor, parseParameters('115:850|849'), dictionary), true);
+});
+
+test('matchesParameters: числовой диапазон', () => {
+    assert.equal(matchesParameters(executor, parseParameters('2673:(3-5)'), dictionary), true);
+    assert.equal(matchesParameters(executor, parseParameters('2673:(5-)'), dictionary), false);
+    assert.equal(matchesParameters(executor, parseParameters('2673:(-4)'), dictionary), true);
+});
+
+test('matchesParameters: отрицание и заполненность', () => {
+    assert.equal(matchesParameters(executor, parseParameters('115:!849'), dictionary), false);
+    assert.equal(matchesParameters(executor, parseParameters('115:!850'), dictionary), true);
+    assert.equal(matchesParameters(executor, parseParameters('2673:%'), dictionary), true);
+    assert.equal(matchesParameters({ 'Квалификация -> Уровень': null }, parseParameters('2673:%'), dictionary), false);
+});
+
+test('matchesParameters: без требований подходит любой исполнитель', () => {
+    assert.equal(matchesParameters(executor, [], dictionary), true);
+});
+
+test('evaluateParameters: причины несоответствия', () => {
+    assert.deepEqual(evaluateParameters({}, parseParameters('115:849'), dictionary), [
+        { parameterId: '115', parameterName: 'Пользователь -> Роль', reason: 'у исполнителя нет такого атрибута' }
+    ]);
+    assert.deepEqual(evaluateParameters(executor, parseParameters('999:1'), dictionary), [
+        { parameterId: '999', parameterName: '', reason: 'параметр отсутствует в справочнике' }
+    ]);
+});
@@ -0,0 +1,145 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createJsonFileDataSource } from '../src/data-sources.js';
+import { createScheduler } from '../src/scheduler.js';
+import { planSchedule } from '../src/planner.js';
+import { validateData } from '../src/validation.js';
+import { createPlanEditor } from '../src/editing.js';
+import { generateProgressReport } from '../src/render.js';
+import { analyzeProgress, getItemActuals } from '../src/progress.js';
+import { FIXTURES_DIR, loadFixtures } from './fixtures.js';
+
+test('getItemActuals: поля операции и задачи, нераспознанные значения', () => {
+    assert.equal(getItemActuals({ 'ОперацияID': '1' }), null);
+    assert.deepEqual(getItemActuals({
+        'ОперацияID': '1',
+        'Операция -> Факт. начало': '20.11.2025 09:00',
+        'Операция -> Дата подтверждения': '20.11.2025 10:30'
+    }), {
+        startTime: new Date(2025, 10, 20, 9, 0),
+        endTime: new Date(2025, 10, 20, 10, 30),
+        minutes: null,
+        finished: true
+    });
+
+    const unrecognized = [];
+    assert.deepEqual(getItemActuals({ 'Факт. начало': 'вчера', 'Факт. минут': '90,5' }, unrecognized), {
+        startTime: null, endTime: null, minutes: 90.5, finished: false
+    });
+    assert.deepEqual(unrecognized, [{ field: 'Факт. начало', value: 'вчера' }]);
+});
+
+test('выполненные работы остаются на фактическом времени, отклонения и производительность', async () => {
+    const data = await loadFixtures({
+        fields: {
+            '2632': {
+                'Операция -> Факт. начало': '20.11.2025 09:00',
+                'Операция -> Дата подтверждения': '20.11.2025 10:30',
+                'Исполнитель Задачи': 'barabashinkv'
+            },
+            // Только дата подтверждения: начало рассчитывается назад по нормативу
+            '2617': { 'Операция -> Дата подтверждения': '21.11.2025 12:00', 'Исполнитель Задачи': 'barabashinkv' },
+            '2621': { 'Операция -> Факт. начало': '25.11.2025 14:00', 'Операция -> Факт. минут': '120' }
+        }
+    });
+    const result = planSchedule(data);
+
+    const checked = result.assignments.find(a => a.taskId === '2632');
+    assert.deepEqual([checked.startTime, checked.endTime, checked.duration], [new Date(2025, 10, 20, 9, 0), new Date(2025, 10, 20, 10, 30), 90]);
+    assert.equal(checked.reason, 'Работа выполнена');
+    // Следующая операция начинается после фактического окончания
+    assert.deepEqual(result.assignments.find(a => a.taskId === '2633').startTime, new Date(2025, 10, 20, 10, 30));
+
+    const marks = result.assignments.find(a => a.taskId === '2617');
+    assert.deepEqual([marks.startTime, marks.endTime], [new Date(2025, 10, 21, 9, 0), new Date(2025, 10, 21, 12, 0)]);
+    assert.ok(!result.changes.some(change => ['2632', '2617'].includes(change.itemId) &&
+        change.fields.some(field => field.label === 'Начало')));
+
+    const progress = analyzeProgress(result);
+    const item = progress.items.find(i => i.taskId === '2632');
+    assert.deepEqual([item.actualMinutes, item.durationVariance, item.percentComplete], [90, -30, 100]);
+
+    // Начатая работа без исполнителей: выполнено по фактическим минутам
+    const started = progress.items.find(i => i.taskId === '2621');
+    assert.equal(started.percentComplete, 33);
+    assert.equal(started.durationVariance, null);
+
+    const task = progress.tasks.find(t => t.taskId === '2616');
+    assert.ok(task.percentComplete > 0 && task.percentComplete < 100);
+    assert.ok(progress.projects[0].percentComplete > 0);
+    assert.equal(progress.projects[0].finished, 2);
+
+    // Работа только с датой подтверждения не учитывается в производительности: факт минут неизвестен
+    const executor = progress.executors.find(e => e.executorName === 'barabashinkv');
+    assert.deepEqual([executor.works, executor.normativeMinutes, executor.actualMinutes, executor.productivity], [1, 120, 90, 1.33]);
+    assert.match(generateProgressReport(progress), /Фактическое выполнение/);
+});
+
+test('нормативы шаблона уточняются по фактической производительности', async () => {
+    const fields = {
+        '2621': {
+            'Операция -> Факт. начало': '25.11.2025 09:00',
+            'Операция -> Дата подтверждения': '25.11.2025 17:00',
+            'Операция -> Факт. минут': '450'
+        }
+    };
+    const data = await loadFixtures({ fields, settings: { feedback_min_samples: '1' } });
+
+    const scheduler = createScheduler({
+        dataSource: createJsonFileDataSource(FIXTURES_DIR),
+        config: { debug: false, normativeFeedback: true }
+    });
+    const result = scheduler.plan(data);
+    assert.deepEqual(result.progress.normatives.map(n => [n.itemId, n.oldValue, n.newValue, n.ratio]), [['2388', '12', '15', 1.25]]);
+
+    const change = scheduler.getChanges(result).find(c => c.itemId === '2388');
+    assert.deepEqual(change.fields, [{ label: 'Норматив шаблона', code: 't3094', oldValue: '12', newValue: '15' }]);
+
+    // По умолчанию нужно не меньше трех выполненных работ
+    assert.deepEqual(analyzeProgress(planSchedule(await loadFixtures({ fields }))).normatives, []);
+});
+
+test('факт, введенный в графике, закрепляет работу и попадает в набор изменений', async () => {
+    const data = await loadFixtures({ fields: { '2620': { 'Операция -> Начать': '25.11.2025 09:00' } } });
+    const result = planSchedule(data);
+    const editor = createPlanEditor(result, { fieldCodes: { actualStart: 't1', actualEnd: 't2', actualMinutes: null } });
+    const key = `${result.projects[0].projectId}:2620`;
+
+    assert.throws(() => editor.updateActuals(key, {
+        startTime: new Date(2025, 10, 25, 12, 0), endTime: new Date(2025, 10, 25, 10, 0), minutes: null
+    }), /Actual end is before actual start/);
+
+    editor.updateActuals(key, { startTime: new Date(2025, 10, 25, 10, 0), endTime: new Date(2025, 10, 25, 15, 0), minutes: null });
+    const assignment = result.assignments.find(a => a.taskId === '2620');
+    assert.deepEqual([assignment.startTime, assignment.endTime, assignment.duration, assignment.fixed],
+        [new Date(2025, 10, 25, 10, 0), new Date(2025, 10, 25, 15, 0), 240, true]);
+
+    const change = result.changes.find(c => c.itemId === '2620');
+    assert.deepEqual(change.fields.filter(field => field.label !== 'Норматив').map(field => [field.label, field.code, field.newValue]), [
+        ['Исполнитель', null, 'barabashinkv'],
+        ['Факт. начало', 't1', '25.11.2025 10:00:00'],
+        ['Факт. окончание', 't2', '25.11.2025 15:00:00']
+    ]);
+    assert.deepEqual(editor.describeItem(key).actuals.startTime, new Date(2025, 10, 25, 10, 0));
+
+    const item = analyzeProgress(result).items.find(i => i.taskId === '2620');
+    assert.deepEqual([item.startVariance, item.durationVariance], [60, 60]);
+
+    // Очистка факта удаляет изменения полей факта
+    editor.updateActuals(key, { startTime: null, endTime: null, minutes: null });
+    assert.ok(!result.changes.find(c => c.itemId === '2620').fields.some(field => field.label.startsWith('Факт')));
+});
+
+test('validateData: нераспознанный факт и окончание раньше начала', async () => {
+    const data = await loadFixtures({
+        fields: {
+            '2632': { 'Операция -> Факт. начало': 'сегодня' },
+            '2633': { 'Операция -> Факт. начало': '21.11.2025 10:00', 'Операция -> Дата подтверждения': '20.11.2025 10:00' }
+        }
+    });
+    const { warnings } = validateData(data);
+
+    assert.ok(warnings.some(w => w.code === 'invalid_actual' && w.itemId === '2632' &&
+        w.message === 'Не удалось разобрать поле "Операция -> Факт. начало" со значением "сегодня", оно не учитывается'));
+    assert.ok(warnings.some(w => w.code === 'actual_end_before_start' && w.itemId === '2633'));
+});
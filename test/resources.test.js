@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { planSchedule } from '../src/planner.js';
+import { validateData } from '../src/validation.js';
+import { createPlanEditor } from '../src/editing.js';
+import { buildGanttModel } from '../src/gantt.js';
+import { generateEquipmentReport } from '../src/render.js';
+import { parseEquipmentRequirements, parseMaterialDeliveries } from '../src/resources.js';
+import { loadFixtures } from './fixtures.js';
+
+const crane = { 'ОборудованиеID': '1', 'Оборудование': 'Кран', 'Количество': '1', 'Занятое время': '' };
+
+test('parseEquipmentRequirements и parseMaterialDeliveries: разбор полей операции', () => {
+    const unrecognized = [];
+    assert.deepEqual(parseEquipmentRequirements('Кран, Подъемник:2, Леса:0', unrecognized), [
+        { ref: 'Кран', count: 1 },
+        { ref: 'Подъемник', count: 2 }
+    ]);
+    assert.deepEqual(unrecognized, ['Леса:0']);
+
+    const bad = [];
+    assert.deepEqual(parseMaterialDeliveries('стойки/ригели 25.11.2025; стеклопакеты: 27.11.2025 12:00; скоро', bad), [
+        { material: 'стойки/ригели', time: new Date(2025, 10, 25) },
+        { material: 'стеклопакеты', time: new Date(2025, 10, 27, 12, 0) }
+    ]);
+    assert.deepEqual(bad, ['скоро']);
+});
+
+test('операция не начинается до поставки материалов', async () => {
+    const data = await loadFixtures({ equipment: [], fields: { '2621': { 'Поставка материалов': 'стойки/ригели 27.11.2025' } } });
+    const result = planSchedule(data);
+    const unloading = result.assignments.filter(a => a.taskId === '2621');
+
+    assert.ok(unloading.length > 0);
+    assert.ok(unloading.every(a => a.startTime >= new Date(2025, 10, 27, 9, 0)));
+
+    // Ручной перенос раньше поставки отмечается нарушением
+    const editor = createPlanEditor(result);
+    const violations = editor.moveItem(`${unloading[0].projectId}:2621`, new Date(2025, 10, 26, 9, 0));
+    assert.ok(violations.some(v => v.taskId === '2621' && v.message.startsWith('Начало раньше поставки материалов')));
+});
+
+test('операции с общим краном не пересекаются, кран показан рядом с исполнителями', async () => {
+    const data = await loadFixtures({ equipment: [crane], fields: { '2625': { 'Оборудование': 'Кран' }, '2631': { 'Оборудование': '1' } } });
+    const result = planSchedule(data);
+    const usages = result.equipmentAssignments;
+
+    assert.deepEqual(usages.map(usage => usage.taskId).sort(), ['2625', '2631']);
+    const [first, second] = usages.slice().sort((a, b) => a.startTime - b.startTime);
+    assert.ok(second.startTime >= first.endTime, 'кран занят одной работой в каждый момент');
+
+    // Работа ждет крана, хотя исполнители свободны раньше
+    const waiting = result.assignments.find(a => a.taskId === second.taskId);
+    assert.deepEqual(waiting.startTime, second.startTime);
+
+    const model = buildGanttModel(result);
+    assert.equal(model.equipment.length, 1);
+    assert.equal(model.equipment[0].equipmentName, 'Кран');
+    assert.ok(model.equipment[0].bars.every(bar => !bar.overlap));
+    assert.match(generateEquipmentReport(usages), /Кран/);
+
+    // Перенос на время другой работы с краном отмечается нарушением
+    const editor = createPlanEditor(result);
+    const violations = editor.moveItem(`${second.projectId}:${second.taskId}`, first.startTime);
+    assert.ok(violations.some(v => v.message === `Оборудование Кран занято на работе "${first.taskName}" (${first.projectName})`));
+});
+
+test('занятое время оборудования и несколько единиц', async () => {
+    const busyCrane = Object.assign({}, crane, { 'Количество': '2', 'Занятое время': '20251120' });
+    const data = await loadFixtures({ equipment: [busyCrane], fields: { '2625': { 'Оборудование': 'Кран' }, '2631': { 'Оборудование': 'Кран' } } });
+    const result = planSchedule(data);
+
+    // Обе единицы свободны с 21.11: работы идут параллельно на разных единицах
+    const usages = result.equipmentAssignments;
+    assert.ok(usages.every(usage => usage.startTime >= new Date(2025, 10, 21, 9, 0)));
+    assert.deepEqual(usages.map(usage => usage.equipmentName).sort(), ['Кран #1', 'Кран #2']);
+});
+
+test('validateData: неизвестное оборудование, нехватка единиц и неразобранная поставка', async () => {
+    const data = await loadFixtures({
+        equipment: [crane],
+        fields: {
+            '2625': { 'Оборудование': 'Подъемник' },
+            '2626': { 'Оборудование': 'Кран:2' },
+            '2627': { 'Поставка материалов': 'стеклопакеты на следующей неделе' }
+        }
+    });
+    const codes = validateData(data).issues.map(issue => `${issue.itemId} ${issue.code}`);
+
+    assert.ok(codes.includes('2625 unknown_equipment'));
+    assert.ok(codes.includes('2626 not_enough_equipment'));
+    assert.ok(codes.includes('2627 invalid_material_delivery'));
+});
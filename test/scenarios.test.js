@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyScenario, compareScenarios } from '../src/scenarios.js';
+import { generateScenarioReport } from '../src/render.js';
+import { loadFixtures } from './fixtures.js';
+
+test('applyScenario: изменения применяются к копии данных', async () => {
+    const data = await loadFixtures();
+    const changed = applyScenario(data, {
+        start: '24.11.2025',
+        crew: { '2626': 2 },
+        settings: { day_start: 8, overtime: 1 },
+        executors: { exclude: ['Ян'], add: [{ copyOf: 'vova', count: 2 }] }
+    });
+
+    const working = changed.projectData.filter(row => row['Статус проекта'] === 'В работе');
+    assert.ok(working.every(row => row['Старт'] === '24.11.2025'));
+    assert.equal(changed.projectData.find(row => row['ОперацияID'] === '2626')['Исполнителей'], '2');
+    assert.equal(changed.settings.find(row => row['Код'] === 'day_start')['Значение'], '8');
+    assert.equal(changed.settings.find(row => row['Код'] === 'overtime')['Значение'], '1');
+
+    const names = changed.executors.map(executor => executor['Пользователь']);
+    assert.ok(!names.includes('Ян'));
+    assert.ok(names.includes('vova (доп. 1)') && names.includes('vova (доп. 2)'));
+
+    // Исходные данные не изменились
+    assert.ok(data.projectData.filter(row => row['Статус проекта'] === 'В работе').every(row => row['Старт'] === '20.11.2025'));
+    assert.equal(data.settings.find(row => row['Код'] === 'day_start')['Значение'], '9');
+    assert.ok(data.executors.some(executor => executor['Пользователь'] === 'Ян'));
+});
+
+test('compareScenarios: текущий план и сценарии', async () => {
+    const data = await loadFixtures();
+    const comparison = compareScenarios(data, [
+        { name: 'Старт позже', start: '24.11.2025' },
+        { name: 'Длинный день', settings: { day_start: 8, day_end: 20 } },
+        { name: 'Нет исполнителя', executors: { add: [{ copyOf: 'nobody' }] } }
+    ]);
+
+    const [current, later, longDay, failed] = comparison;
+    assert.equal(current.name, 'Текущий план');
+    assert.equal(current.summary.unassigned.length, 0);
+    assert.ok(later.summary.forecastEnd > current.summary.forecastEnd);
+    assert.ok(longDay.summary.forecastEnd < current.summary.forecastEnd);
+    assert.equal(later.summary.labourMinutes, current.summary.labourMinutes);
+
+    for (const executor of current.summary.executors) {
+        assert.ok(executor.utilisation >= 0 && executor.utilisation <= 1);
+    }
+
+    assert.equal(failed.summary, null);
+    assert.match(failed.error, /nobody/);
+
+    const html = generateScenarioReport(comparison);
+    assert.match(html, /Сравнение сценариев/);
+    assert.match(html, /Нет исполнителя: Executor "nobody" to copy not found/);
+});
+
+test('compareScenarios: работы без подходящих исполнителей', async () => {
+    const data = await loadFixtures();
+    // Роль 850 нет ни у одного исполнителя
+    data.projectData
+        .filter(row => row['ОперацияID'] === '2626')
+        .forEach(row => { row['Параметры задачи'] = '115:850'; });
+
+    const [current] = compareScenarios(data, []);
+
+    assert.deepEqual(current.summary.unassigned, [{
+        projectName: 'Установка витражей СПК (ОПЕРАЦИИ)',
+        itemId: '2626',
+        itemName: 'Установка каркаса',
+        reason: 'нет подходящих исполнителей'
+    }]);
+});
@@ -0,0 +1,221 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile, writeFile } from 'fs/promises';
+import { fileURLToPath } from 'url';
+import { createScheduler } from '../src/scheduler.js';
+import { createJsonFileDataSource } from '../src/data-sources.js';
+import { formatPlanTable, runCli, toPlanJson } from '../src/cli.js';
+import { planSchedule } from '../src/planner.js';
+import { createPlanEditor } from '../src/editing.js';
+import { buildGanttModel, generateGantt } from '../src/gantt.js';
+import { loadFixtures } from './fixtures.js';
+
+// Записанные ответы API отчетов и эталонный план по ним.
+// Эталон перезаписывается запуском с UPDATE_GOLDEN=1 (после проверки изменений плана).
+const FIXTURES_DIR = fileURLToPath(new URL('./fixtures/api', import.meta.url));
+const EXPECTED_PLAN = fileURLToPath(new URL('./fixtures/expected-plan.json', import.meta.url));
+
+async function planFixtures() {
+    const scheduler = createScheduler({ dataSource: createJsonFileDataSource(FIXTURES_DIR) });
+    return scheduler.plan(await scheduler.load());
+}
+
+/**
+ * Поток вывода, накапливающий записанный текст
+ */
+function createOutput() {
+    return {
+        text: '',
+        write(chunk) {
+            this.text += chunk;
+        }
+    };
+}
+
+test('план по записанным данным API совпадает с эталоном', async () => {
+    const plan = toPlanJson(await planFixtures());
+
+    if (process.env.UPDATE_GOLDEN) {
+        await writeFile(EXPECTED_PLAN, JSON.stringify(plan, null, 2) + '\n');
+    }
+
+    const expected = JSON.parse(await readFile(EXPECTED_PLAN, 'utf8'));
+    assert.deepEqual(plan, expected);
+});
+
+test('исполнитель не назначен на пересекающиеся работы', async () => {
+    const result = await planFixtures();
+    const byExecutor = new Map();
+
+    for (const assignment of result.assignments) {
+        if (!byExecutor.has(assignment.executorId)) byExecutor.set(assignment.executorId, []);
+        byExecutor.get(assignment.executorId).push(assignment);
+    }
+
+    for (const assignments of byExecutor.values()) {
+        assignments.sort((a, b) => a.startTime - b.startTime);
+        for (let i = 1; i < assignments.length; i++) {
+            assert.ok(assignments[i].startTime >= assignments[i - 1].endTime,
+                `${assignments[i].taskId} overlaps ${assignments[i - 1].taskId}`);
+        }
+    }
+});
+
+test('перепланирование: закрепленное начало сохраняется, если исполнитель занят', () => {
+    const result = planSchedule({
+        projectData: [{
+            'ПроектID': '1',
+            'Проект': 'Объект',
+            'Старт': '20.11.2025',
+            'Статус проекта': 'В работе',
+            'Задача проектаID': '11',
+            'Задача проекта': 'Монтаж',
+            'Норматив задачи': '120',
+            'Начать': '24.11.2025 10:00'
+        }],
+        settings: [],
+        parameterDictionary: [],
+        executors: [{ 'ПользовательID': '1', 'Пользователь': 'Монтажник', 'Занятое время': '20251124:9-12' }]
+    }, { replan: true, replanFrom: '21.11.2025 09:00' });
+
+    assert.equal(result.assignments.length, 1);
+    assert.equal(result.assignments[0].executorName, 'Монтажник');
+    assert.deepEqual(result.assignments[0].startTime, new Date(2025, 10, 24, 10, 0));
+    assert.equal(result.violations.length, 1);
+    assert.equal(result.violations[0].key, '1:11');
+    assert.match(result.violations[0].message, /Исполнители заняты в закрепленное начало 24\.11\.2025 10:00:00: Монтажник/);
+});
+
+test('ручная правка с неизвестным исполнителем не изменяет план', async () => {
+    const result = await planFixtures();
+    const editor = createPlanEditor(result);
+    const assignment = result.assignments[0];
+    const key = `${assignment.projectId}:${assignment.taskId}`;
+    const before = result.assignments.slice();
+    const changes = JSON.stringify(result.changes);
+
+    assert.throws(() => editor.updateItem(key, {
+        startTime: new Date(2025, 11, 1, 9, 0),
+        executorIds: [assignment.executorId, 'unknown']
+    }), /Executor unknown not found/);
+
+    assert.deepEqual(result.assignments, before);
+    assert.equal(JSON.stringify(result.changes), changes);
+    assert.equal(editor.describeItem(key).startTime.getTime(), assignment.startTime.getTime());
+});
+
+test('ручная правка с исполнителями без общего рабочего времени не изменяет план', async () => {
+    const result = planSchedule(await loadFixtures({ shifts: { barabashinkv: '8-12', eng: '14-20' } }));
+    const editor = createPlanEditor(result);
+    const assignment = result.assignments[0];
+    const key = `${assignment.projectId}:${assignment.taskId}`;
+    const before = result.assignments.slice();
+    const executorIds = ['barabashinkv', 'eng']
+        .map(name => result.executors.find(executor => executor['Пользователь'] === name)['ПользовательID']);
+
+    assert.throws(() => editor.updateItem(key, { executorIds }), /^Error: У выбранных исполнителей нет общего рабочего времени$/);
+    assert.deepEqual(result.assignments, before);
+});
+
+test('работа не планируется меньшим числом исполнителей, чем требуется', async () => {
+    const scheduler = createScheduler({ dataSource: createJsonFileDataSource(FIXTURES_DIR), config: { debug: false } });
+    const data = await scheduler.load();
+    data.projectData = data.projectData.map(row => row['ОперацияID'] === '2626' ? Object.assign({}, row, { 'Исполнителей': '10' }) : row);
+
+    const result = scheduler.plan(data);
+
+    assert.ok(!result.assignments.some(a => a.taskId === '2626'));
+    const rejection = result.rejections.find(r => r.taskId === '2626');
+    assert.equal(rejection.executorId, null);
+    assert.match(rejection.reasons[0], /^Требуется исполнителей: 10, подходящих по параметрам: \d+, работа не спланирована$/);
+    assert.match(formatPlanTable(result), /Не спланировано: .* \(2626\): Требуется исполнителей: 10/);
+});
+
+test('диаграмма Ганта экранирует название проекта в строке и легенде', async () => {
+    const data = await loadFixtures();
+    data.projectData = data.projectData.map(row => Object.assign({}, row, { 'Проект': '<b>Объект</b> & Co' }));
+    const html = generateGantt(buildGanttModel(planSchedule(data)));
+
+    assert.ok(!html.includes('<b>Объект</b>'));
+    assert.match(html, /">&lt;b&gt;Объект&lt;\/b&gt; &amp; Co<\/div>/);
+    assert.match(html, /<\/span> &lt;b&gt;Объект&lt;\/b&gt; &amp; Co &nbsp;/);
+});
+
+test('данные проходят проверку без ошибок', async () => {
+    const result = await planFixtures();
+    assert.deepEqual(result.validation.errors, []);
+});
+
+test('CLI выводит план в JSON', async () => {
+    const stdout = createOutput();
+    const stderr = createOutput();
+
+    const code = await runCli(['--fixtures', FIXTURES_DIR, '--format', 'json'], { stdout, stderr });
+
+    assert.equal(code, 0);
+    assert.equal(stderr.text, '');
+    assert.deepEqual(JSON.parse(stdout.text), JSON.parse(await readFile(EXPECTED_PLAN, 'utf8')));
+});
+
+test('CLI выводит план таблицей', async () => {
+    const stdout = createOutput();
+    const code = await runCli(['--fixtures', FIXTURES_DIR], { stdout, stderr: createOutput() });
+
+    assert.equal(code, 0);
+    assert.match(stdout.text, /^Начало\s+Окончание\s+Проект/);
+    assert.match(stdout.text, /Назначений: \d+, изменений: \d+, прогноз окончания: \d\d\.\d\d\.\d{4} \d\d:\d\d/);
+});
+
+test('CLI: лог планировщика выводится в stderr, консоль не изменяется', async () => {
+    const consoleLog = console.log;
+    const stdout = createOutput();
+    const stderr = createOutput();
+
+    const code = await runCli(['--fixtures', FIXTURES_DIR, '--format', 'json', '--debug'], { stdout, stderr });
+
+    assert.equal(code, 0);
+    assert.equal(console.log, consoleLog);
+    assert.match(stderr.text, /^\[Scheduler\] Loading data\.\.\./m);
+    assert.deepEqual(JSON.parse(stdout.text), JSON.parse(await readFile(EXPECTED_PLAN, 'utf8')));
+});
+
+test('CLI: неверные аргументы', async () => {
+    const stderr = createOutput();
+    assert.equal(await runCli(['--format', 'xml', '--fixtures', FIXTURES_DIR], { stdout: createOutput(), stderr }), 2);
+    assert.match(stderr.text, /Unknown format "xml"/);
+
+    assert.equal(await runCli([], { stdout: createOutput(), stderr: createOutput() }), 2);
+});
+
+test('CLI: файл настроек не найден или не разбирается', async () => {
+    const stderr = createOutput();
+    const missing = fileURLToPath(new URL('./fixtures/missing-config.json', import.meta.url));
+    assert.equal(await runCli(['--fixtures', FIXTURES_DIR, '--config', missing], { stdout: createOutput(), stderr }), 2);
+    assert.match(stderr.text, /Cannot read --config file ".*missing-config\.json": ENOENT/);
+
+    // README.md - не JSON
+    const invalid = createOutput();
+    const readme = fileURLToPath(new URL('../README.md', import.meta.url));
+    assert.equal(await runCli(['--fixtures', FIXTURES_DIR, '--config', readme], { stdout: createOutput(), stderr: invalid }), 2);
+    assert.match(invalid.text, /Cannot read --config file ".*README\.md": .*JSON/);
+});
+
+test('CLI: файл сценариев не найден, не разбирается или не содержит массив', async () => {
+    const run = async path => {
+        const stderr = createOutput();
+        const code = await runCli(['--fixtures', FIXTURES_DIR, '--scenarios', path], { stdout: createOutput(), stderr });
+        return { code, text: stderr.text };
+    };
+
+    const missing = await run(fileURLToPath(new URL('./fixtures/missing-scenarios.json', import.meta.url)));
+    assert.equal(missing.code, 2);
+    assert.match(missing.text, /Cannot read --scenarios file ".*missing-scenarios\.json": ENOENT/);
+
+    const invalid = await run(fileURLToPath(new URL('../README.md', import.meta.url)));
+    assert.equal(invalid.code, 2);
+    assert.match(invalid.text, /Cannot read --scenarios file ".*README\.md"/);
+
+    const notArray = await run(EXPECTED_PLAN);
+    assert.equal(notArray.code, 2);
+    assert.match(notArray.text, /must contain an array of scenarios/);
+});
@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createCalendar } from '../src/calendar.js';
+import { findFreeSlot } from '../src/availability.js';
+import { createSplitRules, isInterruptible, parseInterruption } from '../src/splitting.js';
+
+// График по умолчанию: 9-18, обед 13-14, рабочие дни пн-пт; 20.11.2025 - четверг
+const calendar = createCalendar({});
+
+const executor = (id, occupied = '') => ({ 'ПользовательID': id, 'Пользователь': `user${id}`, 'Занятое время': occupied });
+
+/**
+ * Ищет окно для работы duration мин с правилами rules и полем "Прерывание" item
+ */
+function findSlot(earliest, executors, duration, settings = {}, item = {}) {
+    const rules = createSplitRules(settings);
+    return findFreeSlot(earliest, executors, 1, [], calendar, {
+        getDuration: () => duration,
+        getCrewDuration: () => duration,
+        split: {
+            interruptible: isInterruptible(item, duration, rules),
+            minChunk: rules.minChunk,
+            changeExecutors: rules.changeExecutors,
+            finishPriority: rules.finishPriority
+        }
+    });
+}
+
+const brief = slot => slot.segments.map(segment =>
+    `${segment.startTime.getDate()} ${segment.startTime.getHours()}:${String(segment.startTime.getMinutes()).padStart(2, '0')}` +
+    ` ${segment.minutes} ${segment.crew.map(ex => ex['ПользовательID']).join(',')}`);
+
+test('createSplitRules: значения по умолчанию и настройки', () => {
+    assert.deepEqual(createSplitRules({}), { wholeMax: 240, minChunk: 0, changeExecutors: false, finishPriority: true });
+    assert.deepEqual(
+        createSplitRules({ split_whole_max: 120, split_min_chunk: 60, split_change_executors: 1, split_finish_priority: 0 }),
+        { wholeMax: 120, minChunk: 60, changeExecutors: true, finishPriority: false }
+    );
+});
+
+test('isInterruptible: поле "Прерывание" и длительность', () => {
+    const rules = createSplitRules({});
+    assert.equal(isInterruptible({}, 240, rules), false);
+    assert.equal(isInterruptible({}, 241, rules), true);
+    assert.equal(isInterruptible({ 'Прерывание': 'да' }, 60, rules), true);
+    assert.equal(isInterruptible({ 'Прерывание': 'нет' }, 600, rules), false);
+    assert.equal(parseInterruption('может быть'), undefined);
+});
+
+test('короткая работа не прерывается концом дня и переносится на утро', () => {
+    const slot = findSlot(new Date(2025, 10, 20, 16, 0), [executor('1')], 180);
+    assert.deepEqual(brief(slot), ['21 9:00 180 1']);
+});
+
+test('длинная работа продолжается на следующий день, минимальная часть не дает начать в конце дня', () => {
+    assert.deepEqual(brief(findSlot(new Date(2025, 10, 20, 17, 0), [executor('1')], 300)), ['20 17:00 60 1', '21 9:00 240 1']);
+    assert.deepEqual(brief(findSlot(new Date(2025, 10, 20, 17, 0), [executor('1')], 300, { split_min_chunk: 120 })),
+        ['21 9:00 300 1']);
+});
+
+test('работа с запретом прерывания, не помещающаяся в день, начинается с начала дня', () => {
+    const slot = findSlot(new Date(2025, 10, 20, 10, 0), [executor('1')], 600, {}, { 'Прерывание': 'нет' });
+    assert.deepEqual(brief(slot), ['21 9:00 480 1', '24 9:00 120 1']);
+});
+
+test('занятость исполнителя: с приоритетом завершения работа ждет окна целиком, без него - продолжается позже', () => {
+    const busy = executor('1', '20251121:9-12');
+    assert.deepEqual(brief(findSlot(new Date(2025, 10, 20, 15, 0), [busy], 300)), ['21 12:00 300 1']);
+    assert.deepEqual(brief(findSlot(new Date(2025, 10, 20, 15, 0), [busy], 300, { split_finish_priority: 0 })),
+        ['20 15:00 180 1', '21 12:00 120 1']);
+});
+
+test('продолжение другим исполнителем при разрешенной смене исполнителей', () => {
+    const slot = findSlot(new Date(2025, 10, 20, 15, 0), [executor('1', '20251121:9-12'), executor('2', '20251120')], 300,
+        { split_change_executors: 1 });
+    assert.deepEqual(brief(slot), ['20 15:00 180 1', '21 9:00 120 2']);
+    assert.deepEqual(slot.crew.map(ex => ex['ПользовательID']), ['1', '2']);
+    assert.deepEqual(slot.reasons, [null, 'Продолжение работы']);
+    assert.equal(slot.duration, 300);
+});
@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateData } from '../src/validation.js';
+import { planSchedule } from '../src/planner.js';
+import { loadFixtures } from './fixtures.js';
+
+test('validateData: нераспознанная, ночная, пустая и не пересекающаяся с рабочим днем смена', async () => {
+    const data = await loadFixtures({ shifts: { barabashinkv: 'утро', eng: '22-6', glushkovam: '13-14', vova: '19-23', 'Ян': '8-17' } });
+    const shiftIssues = validateData(data).issues
+        .filter(issue => issue.code === 'invalid_shift' || issue.code === 'shift_outside_working_day')
+        .map(issue => `${issue.itemName} ${issue.code}`);
+
+    assert.deepEqual(shiftIssues.sort(), [
+        'barabashinkv invalid_shift',
+        'eng invalid_shift',
+        'glushkovam invalid_shift',
+        'vova shift_outside_working_day'
+    ]);
+
+    // Ночная смена не мешает планированию: используется общий календарь
+    assert.ok(planSchedule(data).assignments.length > 0);
+});
+
+test('validateData: работа с закрепленными исполнителями не требует подходящих по параметрам', async () => {
+    const data = await loadFixtures();
+    const item = data.projectData.find(row => row['Статус проекта'] === 'В работе' && row['ОперацияID']);
+    const withParameter = parameters => Object.assign({}, data, {
+        projectData: data.projectData.map(row => row === item ? Object.assign({}, row, parameters) : row)
+    });
+    const getCodes = changed => validateData(changed).issues
+        .filter(issue => issue.itemId === item['ОперацияID'])
+        .map(issue => issue.code);
+
+    // Значение параметра, которого нет ни у одного исполнителя
+    const impossible = { 'Параметры задачи': '115:0' };
+    assert.ok(getCodes(withParameter(impossible)).includes('no_suitable_executor'));
+    assert.ok(!getCodes(withParameter(Object.assign({ 'Исполнитель Задачи': 'vova, Ян' }, impossible))).includes('no_suitable_executor'));
+});
+
+test('validateData: нераспознанный тип связи - предупреждение, план строится со связью ОН', async () => {
+    const data = await loadFixtures();
+    data.projectData = data.projectData.map(row => row['ОперацияID'] === '2626' ? Object.assign({}, row, { 'Тип связи': 'потом' }) : row);
+
+    const { errors, warnings } = validateData(data);
+    assert.ok(!errors.some(issue => issue.code === 'invalid_operation_link'));
+    assert.ok(warnings.some(issue => issue.code === 'invalid_operation_link' && issue.itemId === '2626'));
+});